@@ -30,10 +30,25 @@ const Cluster = require('./Cluster');
 const DaxClient = require('./DaxClient');
 const DaxClientError = require('./DaxClientError');
 const DaxErrorCode = require('./DaxErrorCode');
+const DaxClientEvents = require('./DaxClientEvents');
+const RequestContext = require('./RequestContext');
+const Logger = require('./Logger');
+const {Metrics, MetricNames} = require('./Metrics');
+const Tracing = require('./Tracing');
+const Paginator = require('./Paginator');
+const ParallelScan = require('./ParallelScan');
+const BatchHelpers = require('./BatchHelpers');
+const Source = require('./Source');
+const HedgingPolicy = require('./HedgingPolicy');
+const Fallback = require('./Fallback');
+const ItemCache = require('./ItemCache');
+const SingleFlight = require('./SingleFlight');
+const AutoBatcher = require('./AutoBatcher');
 
 const AWS = require('aws-sdk');
 const jmespath = require('jmespath');
 
+const DEFAULT_DRAIN_TIMEOUT_MS = 10000;
 const ERROR_CODES_WRITE_FAILURE_AMBIGUOUS = [[1, 37, 38, 53], [1, 37, 38, 55], ['*', 37, '*', 39, 47]];
 
 // Shim class to work with inheirtance model expected by DocumentClient
@@ -63,8 +78,13 @@ const _AmazonDaxClient = AWS.util.inherit({
     this.api = AWS.util.copy(new AWS.DynamoDB().api);
 
     let requestTimeout = config.requestTimeout || 60000;
+    let cacheSizes = {
+      keyCacheSize: config.keyCacheSize,
+      attributeListCacheSize: config.attributeListCacheSize,
+      attributeListIdCacheSize: config.attributeListIdCacheSize,
+    };
     this._cluster = cluster ? cluster : new Cluster(config, {createDaxClient: (pool, region, el) => {
-      return new DaxClient(pool, region, el, requestTimeout);
+      return new DaxClient(pool, region, el, requestTimeout, cacheSizes);
     }});
 
     // precedence: write/read retry > ddb maxRetries > AWS config maxRetries > default(1 same as JAVA)
@@ -81,69 +101,227 @@ const _AmazonDaxClient = AWS.util.inherit({
       return this._cluster.leaderClient(previous);
     }};
 
+    // Diagnostics go to the 'logger' setting, an object with debug, info, warn and error methods.
+    this._logger = Logger.create(config.logger);
+    // share the cluster's metrics so that all of them end up in the same sink.
+    this._metrics = this._cluster._metrics || Metrics.create(config.metrics);
+    // Calls are traced with the 'tracer' setting, an OpenTelemetry Tracer, see Tracing.
+    this._tracer = Tracing.create(config.tracer, config.tracingApi);
+    // Slow reads may be sent to a second node with the 'hedging' setting, see HedgingPolicy.
+    this._hedging = HedgingPolicy.create(config.hedging);
+    // Calls go to the 'fallbackClient' setting, e.g. an AWS.DynamoDB, when DAX can't serve them, see Fallback.
+    this._fallback = Fallback.create(config.fallbackClient, config.fallback, this._cluster, this._metrics, this._logger);
+    // Items read with getItem and batchGetItem are cached in process with the 'itemCache' setting, see ItemCache.
+    this._itemCache = ItemCache.create(config.itemCache, (tableName) => this._cluster.metadataClient().keySchema(tableName));
+    // Identical reads in flight at the same time share one request with the 'singleFlight' setting, see SingleFlight.
+    this._singleFlight = SingleFlight.create(config.singleFlight, this._metrics);
+    // getItem calls are merged into batchGetItem requests with the 'autoBatch' setting, see AutoBatcher.
+    this._autoBatcher = AutoBatcher.create(config.autoBatch, this);
+
+    // calls in flight, so that close() can wait for them.
+    this._inFlight = new Set();
+    this._closing = false;
+
     this._cluster.startup();
-    this._readOperationsRetryHandler = new RetryHandler(this._cluster, this._maxRetryDelay, this._readRetries);
-    this._writeOperationsRetryHandler = new WriteOperationsRetryHandler(this._cluster, this._maxRetryDelay, this._writeRetries);
+    this._readOperationsRetryHandler = new RetryHandler(this._cluster, this._maxRetryDelay, this._readRetries,
+      this._logger, this._metrics, this._tracer, this._hedging);
+    this._writeOperationsRetryHandler = new WriteOperationsRetryHandler(this._cluster, this._maxRetryDelay, this._writeRetries,
+      this._logger, this._metrics, this._tracer);
+  },
+
+  /**
+   * Waits until the client can serve requests. Resolves once the cluster was discovered and enough
+   * nodes passed their health check, or rejects with NoRouteException after the timeout.
+   * Options:
+   *  - minNodes: number of nodes to wait for, 1 by default.
+   *  - requireLeader: also wait for the leader, which serves the writes.
+   *  - timeoutMs: how long to wait in total, connectTimeout by default.
+   *  - connectionsPerNode: connections to open and authenticate beforehand on every node.
+   *  - tables: tables to fetch the key schemas of beforehand on every node.
+   */
+  ready: function ready(options) {
+    return this._cluster.ready(options);
   },
 
   shutdown: function shutdown() {
     this._cluster.close();
   },
 
+  /**
+   * Shuts the client down gracefully: new calls fail right away with ClientClosedException, calls
+   * in flight get drainTimeoutMs (10 seconds by default) to complete before they are aborted,
+   * then all connections are closed. Returns a promise resolved once every socket is closed.
+   */
+  close: function close(options) {
+    if(!this._closePromise) {
+      options = options || {};
+      let drainTimeout = options.drainTimeoutMs != null ? options.drainTimeoutMs : DEFAULT_DRAIN_TIMEOUT_MS;
+      this._closing = true;
+      this._closePromise = this._drain(drainTimeout).then(() => this._cluster.close());
+    }
+    return this._closePromise;
+  },
+
+  /**
+   * Returns the number of live routes per availability zone, e.g. {'us-east-1a': 2, 'us-east-1b': 1}.
+   * Useful to check that the preferredZone setting matches the zones reported by the cluster.
+   */
+  routeZoneCounts: function routeZoneCounts() {
+    return this._cluster.routeZoneCounts();
+  },
+
+  /**
+   * Returns the metrics recorded so far when the 'metrics' setting is true: {counters, gauges, histograms},
+   * see Metrics.MetricNames. Returns null when metrics go to a callback or custom sink, or are off.
+   */
+  metrics: function metrics() {
+    return this._metrics.snapshot();
+  },
+
+  /**
+   * Returns the hits, misses, evictions and occupancy of the 'itemCache', or null if it is off.
+   */
+  itemCacheStats: function itemCacheStats() {
+    return this._itemCache ? this._itemCache.stats() : null;
+  },
+
+  /**
+   * Returns the size, idle, busy, pending and queued counts of the connection pool of each node,
+   * keyed by host:port. The pools are limited by the maxConnectionsPerNode, maxPendingConnects
+   * and maxQueuedRequests settings, and keep minIdleConnectionsPerNode idle connections open and
+   * authenticated.
+   */
+  poolStats: function poolStats() {
+    return this._cluster.poolStats();
+  },
+
+  /**
+   * Returns the stats of the key schema and attribute list caches, summed over the nodes in use.
+   */
+  metadataCacheStats: function metadataCacheStats() {
+    return this._cluster.metadataCacheStats();
+  },
+
+  /**
+   * Listens to changes of the cluster topology, see DaxClientEvents:
+   *  - 'nodeUp', 'nodeDown': {nodeId, address, port, zone, role, reason}
+   *  - 'leaderChanged': the new leader as above, plus leaderSessionId and the previous leader
+   *  - 'routesRebuilt': {size, leaders, zones}
+   *  - 'refreshFailed': {reason, error}
+   *  - 'circuitStateChanged': the node as above, plus its circuit breaker state and the previous one
+   *  - 'fallbackEntered': {reason, error}, 'fallbackExited': {duration}
+   */
+  on: function on(event, listener) {
+    this._cluster.on(event, listener);
+    return this;
+  },
+
+  once: function once(event, listener) {
+    this._cluster.once(event, listener);
+    return this;
+  },
+
+  removeListener: function removeListener(event, listener) {
+    this._cluster.removeListener(event, listener);
+    return this;
+  },
+
+  off: function off(event, listener) {
+    return this.removeListener(event, listener);
+  },
+
   // vv Supported DDB methods vv
 
-  batchGetItem: function batchGetItem(params, callback) {
-    return this._makeReadRequestWithRetries('batchGetItem', params, (client, newParams) => {
-      return client.batchGetItem(newParams);
-    }, callback);
+  batchGetItem: function batchGetItem(params, options, callback) {
+    return this._makeReadRequestWithRetries('batchGetItem', params, (client, newParams, context) => {
+      return client.batchGetItem(newParams, context);
+    }, options, callback);
+  },
+
+  batchWriteItem: function batchWriteItem(params, options, callback) {
+    return this._makeWriteRequestWithRetries('batchWriteItem', params, (client, newParams, context) => {
+      return client.batchWriteItem(newParams, context);
+    }, options, callback);
+  },
+
+  /**
+   * Writes the RequestItems of a BatchWriteItem request of any size, re-driving unprocessed items.
+   * Resolves to {UnprocessedItems, Errors}, see BatchHelpers for the options.
+   */
+  batchWriteAll: function batchWriteAll(params, options) {
+    return BatchHelpers.batchWriteAll(this, params, options);
   },
 
-  batchWriteItem: function batchWriteItem(params, callback) {
-    return this._makeWriteRequestWithRetries('batchWriteItem', params, (client, newParams) => {
-      return client.batchWriteItem(newParams);
-    }, callback);
+  /**
+   * Gets the RequestItems of a BatchGetItem request of any size, re-driving unprocessed keys.
+   * Resolves to {Responses, UnprocessedKeys, Errors}, see BatchHelpers for the options.
+   */
+  batchGetAll: function batchGetAll(params, options) {
+    return BatchHelpers.batchGetAll(this, params, options);
   },
 
-  deleteItem: function deleteItem(params, callback) {
-    return this._makeWriteRequestWithRetries('deleteItem', params, (client, newParams) => {
-      return client.deleteItem(newParams);
-    }, callback);
+  deleteItem: function deleteItem(params, options, callback) {
+    return this._makeWriteRequestWithRetries('deleteItem', params, (client, newParams, context) => {
+      return client.deleteItem(newParams, context);
+    }, options, callback);
   },
 
-  getItem: function getItem(params, callback) {
-    return this._makeReadRequestWithRetries('getItem', params, (client, newParams) => {
-      return client.getItem(newParams);
-    }, callback);
+  getItem: function getItem(params, options, callback) {
+    return this._makeReadRequestWithRetries('getItem', params, (client, newParams, context) => {
+      return client.getItem(newParams, context);
+    }, options, callback);
   },
 
-  putItem: function putItem(params, callback) {
-    return this._makeWriteRequestWithRetries('putItem', params, (client, newParams) => {
-      return client.putItem(newParams);
-    }, callback);
+  putItem: function putItem(params, options, callback) {
+    return this._makeWriteRequestWithRetries('putItem', params, (client, newParams, context) => {
+      return client.putItem(newParams, context);
+    }, options, callback);
   },
 
-  query: function query(params, callback) {
-    return this._makeReadRequestWithRetries('query', params, (client, newParams) => {
-      return client.query(newParams);
-    }, callback);
+  query: function query(params, options, callback) {
+    return this._makeReadRequestWithRetries('query', params, (client, newParams, context) => {
+      return client.query(newParams, context);
+    }, options, callback);
   },
 
-  scan: function scan(params, callback) {
-    return this._makeReadRequestWithRetries('scan', params, (client, newParams) => {
-      return client.scan(newParams);
-    }, callback);
+  scan: function scan(params, options, callback) {
+    return this._makeReadRequestWithRetries('scan', params, (client, newParams, context) => {
+      return client.scan(newParams, context);
+    }, options, callback);
   },
 
-  transactGetItems: function transactGetItems(params, callback) {
-    return this._makeReadRequestWithRetries('transactGetItems', params, (client, newParams) => {
-      return client.transactGetItems(newParams);
-    }, callback);
+  /**
+   * Returns an async iterable of the pages of the query, see Paginator for the options.
+   */
+  paginateQuery: function paginateQuery(params, options) {
+    return new Paginator(this, 'query', params, options);
+  },
+
+  /**
+   * Returns an async iterable of the pages of the scan, see Paginator for the options.
+   */
+  paginateScan: function paginateScan(params, options) {
+    return new Paginator(this, 'scan', params, options);
+  },
+
+  /**
+   * Returns an async iterable of the items of a scan run as several segments at once,
+   * see ParallelScan for the options.
+   */
+  parallelScan: function parallelScan(params, options) {
+    return new ParallelScan(this, params, options);
   },
 
-  updateItem: function updateItem(params, callback) {
-    return this._makeWriteRequestWithRetries('updateItem', params, (client, newParams) => {
-      return client.updateItem(newParams);
-    }, callback);
+  transactGetItems: function transactGetItems(params, options, callback) {
+    return this._makeReadRequestWithRetries('transactGetItems', params, (client, newParams, context) => {
+      return client.transactGetItems(newParams, context);
+    }, options, callback);
+  },
+
+  updateItem: function updateItem(params, options, callback) {
+    return this._makeWriteRequestWithRetries('updateItem', params, (client, newParams, context) => {
+      return client.updateItem(newParams, context);
+    }, options, callback);
   },
 
   // vv Unsupported DDB methods vv
@@ -180,10 +358,10 @@ const _AmazonDaxClient = AWS.util.inherit({
     throw new DaxClientError('tagResource is not support for DAX. Use AWS.DynamoDB instead.', DaxErrorCode.Validation, false);
   },
 
-  transactWriteItems: function transactWriteItems(params, callback) {
-    return this._makeWriteRequestWithRetries('transactWriteItems', params, (client, newParams) => {
-      return client.transactWriteItems(newParams);
-    }, callback);
+  transactWriteItems: function transactWriteItems(params, options, callback) {
+    return this._makeWriteRequestWithRetries('transactWriteItems', params, (client, newParams, context) => {
+      return client.transactWriteItems(newParams, context);
+    }, options, callback);
   },
 
   untagResource: function untagResource(params, callback) {
@@ -240,27 +418,77 @@ const _AmazonDaxClient = AWS.util.inherit({
   /**
    * @api private
    */
-  _makeReadRequestWithRetries: function _makeReadRequestWithRetries(opname, params, operation, callback) {
-    let request = new DaxRequest(this, opname, params,
-      (newParams) => this._readOperationsRetryHandler.makeRequestWithRetries(
-        operation, newParams, this._readClientFactory, this._readRetries)
-    );
+  _makeReadRequestWithRetries: function _makeReadRequestWithRetries(opname, params, operation, options, callback) {
+    let daxCall = (newParams, context) => this._withFallback(opname, newParams, context,
+      () => this._readOperationsRetryHandler.makeRequestWithRetries(
+        operation, newParams, this._readClientFactory, this._readRetries, null, context));
+    let batchedCall = (newParams, context) => this._autoBatcher && opname === 'getItem' && this._autoBatcher.accepts(newParams) ?
+      this._autoBatcher.load(newParams, context, daxCall) :
+      daxCall(newParams, context);
+    let cachedCall = (newParams, context) => this._itemCache ?
+      this._itemCache.read(opname, newParams, (cacheParams) => batchedCall(cacheParams, context)) :
+      batchedCall(newParams, context);
+    return this._makeRequest(opname, params, (newParams, context) => this._singleFlight ?
+      this._singleFlight.run(opname, newParams, context, cachedCall) :
+      cachedCall(newParams, context), options, callback);
+  },
 
-    if(callback && typeof(callback) == 'function') {
-      request.send(callback);
-    }
+  /**
+   * @api private
+   */
+  _makeWriteRequestWithRetries: function _makeWriteRequestWithRetries(opname, params, operation, options, callback) {
+    let daxCall = (newParams, context) => this._withFallback(opname, newParams, context,
+      () => this._writeOperationsRetryHandler.makeRequestWithRetries(
+        operation, newParams, this._writeClientFactory, this._writeRetries, null, context));
+    return this._makeRequest(opname, params, (newParams, context) => this._itemCache ?
+      this._itemCache.write(opname, newParams, (cacheParams) => daxCall(cacheParams, context)) :
+      daxCall(newParams, context), options, callback);
+  },
 
-    return request;
+  /**
+   * @api private
+   */
+  _withFallback: function _withFallback(opname, params, context, daxCall) {
+    return this._fallback ? this._fallback.run(opname, params, context, daxCall) : daxCall();
   },
 
   /**
+   * Per-call options are optional, so the callback may be passed in their place.
+   * Supported options:
+   *  - abortSignal: an AbortSignal that aborts the call, same as calling abort() on the returned request.
+   *  - timeout: timeout in milliseconds of each attempt, overriding requestTimeout. An attempt that
+   *    exceeds it fails with RequestDeadlineExceededException and is retried.
+   *  - deadline: Date or epoch milliseconds by which the call must complete, including retries and
+   *    waits for the cluster to recover. The call fails with RequestDeadlineExceededException past it.
+   *
    * @api private
    */
-  _makeWriteRequestWithRetries: function _makeWriteRequestWithRetries(opname, params, operation, callback) {
-    let request = new DaxRequest(this, opname, params,
-      (newParams) => this._writeOperationsRetryHandler.makeRequestWithRetries(
-        operation, newParams, this._writeClientFactory, this._writeRetries)
-    );
+  _makeRequest: function _makeRequest(opname, params, op, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = null;
+    }
+
+    let trackedOp = (newParams, context) => {
+      if(this._closing) {
+        return Promise.reject(new DaxClientError('Client is closed', DaxErrorCode.ClientClosed, false));
+      }
+      this._inFlight.add(context);
+      let settled = () => {
+        this._inFlight.delete(context);
+        if(this._inFlight.size === 0 && this._onDrained) {
+          this._onDrained();
+        }
+      };
+      return this._tracer.traceCall(opname, newParams, context, () => op(newParams, context)).then((data) => {
+        settled();
+        return data;
+      }, (err) => {
+        settled();
+        throw err;
+      });
+    };
+    let request = new DaxRequest(this, opname, params, trackedOp, options);
 
     if(callback && typeof(callback) == 'function') {
       request.send(callback);
@@ -268,67 +496,193 @@ const _AmazonDaxClient = AWS.util.inherit({
 
     return request;
   },
+
+  /**
+   * Resolves once no call is in flight anymore, aborting the calls left after the timeout.
+   *
+   * @api private
+   */
+  _drain: function _drain(timeout) {
+    if(this._inFlight.size === 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      let timer = setTimeout(() => {
+        for(let context of this._inFlight) {
+          context.abort(new DaxClientError('Client closed before the request completed', DaxErrorCode.ClientClosed, false));
+        }
+      }, timeout);
+      this._onDrained = () => {
+        clearTimeout(timer);
+        this._onDrained = null;
+        resolve();
+      };
+    });
+  },
 });
 
 // Exists only to work with DocumentClient
 const AmazonDaxClient = AWS.util.inherit(_AmazonDaxClient, {});
 
 class RetryHandler {
-  constructor(cluster, retryDelay, retries) {
+  constructor(cluster, retryDelay, retries, logger, metrics, tracer, hedging) {
     this._cluster = cluster;
     this._maxRetryDelay = retryDelay;
     this._maxRetries = retries;
+    this._logger = Logger.create(logger);
+    this._metrics = Metrics.create(metrics);
+    this._tracer = Tracing.create(tracer);
+    this._hedging = hedging || null;
   }
 
-  makeRequestWithRetries(operation, params, clientFactory, retries, prevClient) {
+  makeRequestWithRetries(operation, params, clientFactory, retries, prevClient, context) {
+    if(context && context.aborted) {
+      return Promise.reject(context.abortError);
+    }
+
     let newClient;
-    return new Promise((resolve, reject) => {
+    let result = new Promise((resolve, reject) => {
       newClient = clientFactory.getClient(prevClient);
       return resolve(newClient);
     }).then((newClient) => {
-      return operation(newClient, params);
+      if(context) {
+        context.attempts++;
+      }
+      return this._tracer.traceAttempt(context, newClient, () => {
+        if(this._hedging && context && this._hedging.appliesTo(context.operation)) {
+          return this._hedgedAttempt(operation, params, clientFactory, newClient, context);
+        }
+        return this._cluster.trackRequest(newClient, () => operation(newClient, params, context));
+      });
     }).catch((err) => {
+      if(context && context.aborted) {
+        // don't retry once the caller gave up on the call.
+        return Promise.reject(context.abortError);
+      }
+
+      let opname = context ? context.operation : 'unknown';
+      if(err.code === DaxErrorCode.Throttling) {
+        this._metrics.increment(MetricNames.Throttles, {operation: opname});
+      }
+
       if(this._cluster.startupComplete() === false && err.code === DaxErrorCode.NoRoute) {
         retries++;
       }
 
-      if(retries <= 0) {
-        return Promise.reject(this.check(err));
+      if(retries <= 0 || !this.isRetryable(err)) {
+        err = this.check(err);
+        this._metrics.increment(MetricNames.RequestErrors, {operation: opname, code: (err && err.code) || 'unknown'});
+        return Promise.reject(err);
       }
 
-      if(!this.isRetryable(err)) {
-        return Promise.reject(this.check(err));
-      }
+      this._logger.debug('retrying request', {operation: opname, code: err.code, retriesLeft: retries - 1});
+      this._metrics.increment(MetricNames.Retries, {operation: opname, code: err.code || 'unknown'});
 
       let maybeWait;
+      // don't wait for the cluster beyond the deadline of the call.
+      let waitTime = context ? context.waitTime(this._maxRetryDelay) : this._maxRetryDelay;
 
       if(err.code === DaxErrorCode.NoRoute) {
-        maybeWait = this.waitForRoutesRebuilt();
+        maybeWait = this.waitForRoutesRebuilt(waitTime);
       } else {
         maybeWait = this.isWaitForClusterRecoveryBeforeRetrying(err) ?
-          this._cluster.waitForRecovery(this._cluster._leaderSessionId, this._maxRetryDelay) :
+          this._cluster.waitForRecovery(this._cluster._leaderSessionId, waitTime) :
           Promise.resolve();
       }
 
       const retryHandler = () => {
-        return this._exponentialBackOff(err, this._maxRetries - retries).then(() => {
-          return this.makeRequestWithRetries(operation, params, clientFactory, retries - 1, newClient);
+        return this._exponentialBackOff(err, this._maxRetries - retries, context).then(() => {
+          return this.makeRequestWithRetries(operation, params, clientFactory, retries - 1, newClient, context);
         });
       };
       return maybeWait.then(
         retryHandler, retryHandler // this is handler for wait fail
       );
     });
+
+    // stop waiting on the attempt, or on the cluster before the next one, as soon as the call is aborted.
+    return context ? context.race(result) : result;
+  }
+
+  /**
+   * Sends the request to the given client and, if it hasn't answered after the hedging delay, to a
+   * second one as well. The first answer wins, the other request is aborted, which closes its
+   * connection as its response may still arrive. Fails once all requests sent failed.
+   */
+  _hedgedAttempt(operation, params, clientFactory, client, context) {
+    let startTime = Date.now();
+    return new Promise((resolve, reject) => {
+      let contexts = [];
+      let pending = 0;
+      let settled = false;
+      let timer = null;
+
+      let send = (target, hedged) => {
+        let attemptContext = context.child();
+        contexts.push(attemptContext);
+        pending++;
+        this._cluster.trackRequest(target, () => operation(target, params, attemptContext)).then((result) => {
+          attemptContext.done();
+          if(settled) {
+            return;
+          }
+          settled = true;
+          clearTimeout(timer);
+          this._hedging.record(Date.now() - startTime);
+          if(hedged) {
+            this._metrics.increment(MetricNames.HedgeWins, {operation: context.operation});
+          }
+          for(let other of contexts) {
+            if(other !== attemptContext) {
+              other.abort(new DaxClientError('Hedged request superseded', DaxErrorCode.RequestAborted, false));
+            }
+          }
+          resolve(result);
+        }, (err) => {
+          attemptContext.done();
+          if(settled || --pending > 0) {
+            return;
+          }
+          settled = true;
+          clearTimeout(timer);
+          reject(err);
+        });
+      };
+
+      send(client, false);
+      timer = setTimeout(() => {
+        timer = null;
+        if(settled) {
+          return;
+        }
+        let second;
+        try {
+          second = clientFactory.getClient(client);
+        } catch(err) {
+          return; // no other route, keep waiting for the first one.
+        }
+        if(second && second !== client) {
+          this._metrics.increment(MetricNames.Hedges, {operation: context.operation});
+          this._logger.debug('hedging request', {operation: context.operation});
+          send(second, true);
+        }
+      }, this._hedging.delay());
+    });
   }
 
-  _exponentialBackOff(err, n) {
+  _exponentialBackOff(err, n, context) {
     if(err.code !== DaxErrorCode.Throttling) {
       return Promise.resolve();
     }
+    let delay = this._jitter(70 << n);
+    if(context && delay >= context.remaining()) {
+      // the next attempt would start after the deadline.
+      return Promise.reject(RequestContext.deadlineExceeded());
+    }
     return new Promise((resolve, reject) => {
       setTimeout(() => {
         resolve();
-      }, this._jitter(70 << n));
+      }, delay);
     });
   }
 
@@ -336,8 +690,8 @@ class RetryHandler {
     return interval * (0.5 + Math.random() * 0.5);
   }
 
-  waitForRoutesRebuilt() {
-    return this._cluster.waitForRoutesRebuilt(false);
+  waitForRoutesRebuilt(timeout) {
+    return this._cluster.waitForRoutesRebuilt(false, timeout);
   }
 
   check(err) {
@@ -362,8 +716,8 @@ class RetryHandler {
 }
 
 class WriteOperationsRetryHandler extends RetryHandler {
-  constructor(cluster, retryDelay, retries) {
-    super(cluster, retryDelay, retries);
+  constructor(cluster, retryDelay, retries, logger, metrics, tracer) {
+    super(cluster, retryDelay, retries, logger, metrics, tracer);
   }
 
   isRetryable(err) {
@@ -427,7 +781,7 @@ class WriteOperationsRetryHandler extends RetryHandler {
 }
 
 class DaxRequest extends EventEmitter {
-  constructor(service, opname, params, op) {
+  constructor(service, opname, params, op, options) {
     super();
 
     this.service = service;
@@ -438,6 +792,7 @@ class DaxRequest extends EventEmitter {
 
     this._op = op;
     this._fired = false;
+    this._context = new RequestContext(opname, options);
 
     // add a no-op listeners so that validate is an array
     // only needed for DocumentClient
@@ -445,8 +800,13 @@ class DaxRequest extends EventEmitter {
     this.addListener('validate', () => {});
   }
 
+  /**
+   * Aborts the call: no further retries are made and the request fails with a RequestAbortedError.
+   * A connection with a request still in flight is closed, so that a late response can't be
+   * read by another request.
+   */
   abort() {
-    // no-op, can't abort DAX calls
+    this._context.abort();
     return this;
   }
 
@@ -523,12 +883,14 @@ class DaxRequest extends EventEmitter {
     this.emit('validate', this);
     // skip 'build' and 'sign' as they are not meaningful for DAX
 
-    let resultP = this._op(this.params).then((data) => {
+    let resultP = this._op(this.params, this._context).then((data) => {
+      self._context.done();
       self.response.data = data;
       self.emit('extractData', self.response);
 
       self.emit('success', self.response);
     }, (err) => {
+      self._context.done();
       self.response.error = err;
       self.emit('extractError', self.response);
 
@@ -556,3 +918,12 @@ class DaxRequest extends EventEmitter {
 }
 
 module.exports = AmazonDaxClient;
+module.exports.Events = DaxClientEvents;
+module.exports.Metrics = Metrics;
+module.exports.MetricNames = MetricNames;
+module.exports.Source = Source;
+// loaded on use, as it needs the optional @aws-sdk/client-dynamodb package.
+Object.defineProperty(module.exports, 'DaxDynamoDBClient', {
+  enumerable: true,
+  get: () => require('./DaxDynamoDBClient'),
+});
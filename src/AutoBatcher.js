@@ -0,0 +1,210 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const DaxClientError = require('./DaxClientError');
+const DaxErrorCode = require('./DaxErrorCode');
+const BatchHelpers = require('./BatchHelpers');
+const Constants = require('./Constants');
+const Util = require('./Util');
+
+// prefix of the placeholders of the key attributes added to projections.
+const KEY_NAME_PLACEHOLDER = '#daxBatchKey';
+
+/**
+ * Merges the getItem calls made close together into batchGetItem requests, configured with
+ * the 'autoBatch' setting, true for the defaults or:
+ *  - windowMs: how long to collect calls before sending them, 0 (default) sends the calls made
+ *    in the same turn of the event loop together.
+ *  - maxBatchSize: number of keys that sends a batch right away, 100 by default, the most DAX accepts.
+ *
+ * Calls are batched by table, consistency and projection. Duplicate keys are read once. Keys
+ * left unprocessed are sent again, see BatchHelpers. Every caller gets the usual getItem result,
+ * with its own copy of the item. Calls that request the consumed capacity are not batched, as
+ * it can't be split among the callers.
+ *
+ * A batch must be done by the earliest deadline of its callers. If it fails as a whole with an
+ * error that isn't retried, e.g. because one of the keys is invalid or that deadline passed, each
+ * caller sends its key again on its own, so that the error only reaches the callers it concerns.
+ */
+class AutoBatcher {
+  static create(config, client) {
+    if(!config) {
+      return null;
+    }
+    return new AutoBatcher(client, config === true ? {} : config);
+  }
+
+  constructor(client, options) {
+    this._client = client;
+    this._windowMs = options.windowMs || 0;
+    this._maxBatchSize = Math.min(options.maxBatchSize || Constants.MAX_READ_BATCH_SIZE, Constants.MAX_READ_BATCH_SIZE);
+    if(this._windowMs < 0 || !(this._maxBatchSize >= 1)) {
+      throw new DaxClientError('autoBatch windowMs and maxBatchSize must be positive', DaxErrorCode.IllegalArgument, false);
+    }
+    this._groups = new Map();
+    this._timer = null;
+  }
+
+  accepts(params) {
+    return !params.ReturnConsumedCapacity || params.ReturnConsumedCapacity === 'NONE';
+  }
+
+  /**
+   * Adds the key of the getItem request to the next batch. Resolves to the getItem result.
+   * call(params, context) sends the request on its own if the batch fails as a whole.
+   */
+  load(params, context, call) {
+    let groupKey = Util.canonicalJson([params.TableName, !!params.ConsistentRead, params.ProjectionExpression,
+      params.ExpressionAttributeNames, params.AttributesToGet]);
+    let group = this._groups.get(groupKey);
+    if(!group) {
+      group = {params: params, keys: new Map(), deadline: 0};
+      this._groups.set(groupKey, group);
+    }
+    if(context.deadline && (!group.deadline || context.deadline < group.deadline)) {
+      group.deadline = context.deadline;
+    }
+
+    let keyId = Util.canonicalJson(params.Key);
+    let entry = group.keys.get(keyId);
+    if(!entry) {
+      entry = {key: params.Key};
+      entry.promise = new Promise((resolve, reject) => {
+        entry.resolve = resolve;
+        entry.reject = reject;
+      });
+      // callers that left don't handle the rejection.
+      entry.promise.catch(() => {});
+      group.keys.set(keyId, entry);
+    }
+
+    if(group.keys.size >= this._maxBatchSize) {
+      this._groups.delete(groupKey);
+      this._send(group);
+    } else {
+      this._schedule();
+    }
+    return context.race(entry.promise).then((item) => item ? {Item: Util.deepCopy(item)} : {}, (err) => {
+      if(!entry.resend || context.aborted) {
+        throw err;
+      }
+      return call(params, context);
+    });
+  }
+
+  _schedule() {
+    if(this._timer) {
+      return;
+    }
+    let flush = () => {
+      this._timer = null;
+      let groups = Array.from(this._groups.values());
+      this._groups.clear();
+      groups.forEach((group) => this._send(group));
+    };
+    this._timer = this._windowMs > 0 ? setTimeout(flush, this._windowMs) : setImmediate(flush);
+  }
+
+  _send(group) {
+    let params = group.params;
+    let entries = Array.from(group.keys.values());
+    // the items are matched to the keys by the key attributes, so they must be in the projection.
+    let keyNames = Object.keys(entries[0].key);
+    let tableParams = params.ConsistentRead ? {ConsistentRead: true} : {};
+    let added = [];
+    if(params.ProjectionExpression) {
+      let names = Object.assign({}, params.ExpressionAttributeNames);
+      let projected = projectedNames(params.ProjectionExpression, names);
+      let expression = params.ProjectionExpression;
+      keyNames.filter((name) => !projected.has(name)).forEach((name, i) => {
+        names[KEY_NAME_PLACEHOLDER + i] = name;
+        expression += ', ' + KEY_NAME_PLACEHOLDER + i;
+        added.push(name);
+      });
+      tableParams.ProjectionExpression = expression;
+      tableParams.ExpressionAttributeNames = names;
+    } else if(params.AttributesToGet) {
+      added = keyNames.filter((name) => params.AttributesToGet.indexOf(name) < 0);
+      tableParams.AttributesToGet = params.AttributesToGet.concat(added);
+    }
+
+    let table = params.TableName;
+    let request = {RequestItems: {[table]: Object.assign(tableParams, {Keys: entries.map((e) => e.key)})}};
+    let options = group.deadline ? {deadline: group.deadline} : {};
+    // with a single key, the error of the batch is the error of the key.
+    let fail = (entry, err) => {
+      entry.resend = entries.length > 1 && !isRetryable(err);
+      entry.reject(err);
+    };
+    BatchHelpers.batchGetAll(this._client, request, options).then((result) => {
+      let items = new Map();
+      for(let item of result.Responses[table] || []) {
+        let keyId = Util.canonicalJson(pick(item, keyNames));
+        added.forEach((name) => delete item[name]);
+        items.set(keyId, item);
+      }
+      let failed = new Map();
+      for(let e of result.Errors) {
+        for(let key of e.RequestItems[table].Keys) {
+          failed.set(Util.canonicalJson(key), e.error);
+        }
+      }
+      let unprocessed = new Set((result.UnprocessedKeys[table] ? result.UnprocessedKeys[table].Keys : [])
+        .map((key) => Util.canonicalJson(key)));
+
+      for(let entry of entries) {
+        let keyId = Util.canonicalJson(entry.key);
+        if(items.has(keyId)) {
+          entry.resolve(items.get(keyId));
+        } else if(failed.has(keyId)) {
+          fail(entry, failed.get(keyId));
+        } else if(unprocessed.has(keyId)) {
+          entry.reject(new DaxClientError('The key was left unprocessed by all attempts of the batch',
+            DaxErrorCode.ProvisionedThroughputExceeded, true));
+        } else {
+          entry.resolve(undefined);
+        }
+      }
+    }).catch((err) => {
+      entries.forEach((entry) => fail(entry, err));
+    });
+  }
+}
+
+/**
+ * Returns the names of the top level attributes of a projection expression.
+ */
+function projectedNames(expression, names) {
+  let projected = new Set();
+  for(let path of expression.split(',')) {
+    let name = path.trim().split(/[.[]/)[0];
+    projected.add(name.startsWith('#') && names[name] ? names[name] : name);
+  }
+  return projected;
+}
+
+function isRetryable(err) {
+  return err instanceof DaxClientError ? err.retryable !== false : false;
+}
+
+function pick(item, names) {
+  let key = {};
+  for(let name of names) {
+    key[name] = item[name];
+  }
+  return key;
+}
+
+module.exports = AutoBatcher;
@@ -15,19 +15,22 @@
 'use strict';
 const Util = require('./Util');
 const SessionVersion = require('./SessionVersion');
-const MIN_ERROR_COUNT_FOR_UNHEALTHY = 5;
+const DaxClientEvents = require('./DaxClientEvents');
+const CircuitBreaker = require('./CircuitBreaker');
 
 /** A backend service destination. */
 class Backend {
-  constructor(cluster, serviceEndpoint, maxPendingConnectionPerHost) {
-    this.errorCount = 0;
+  constructor(cluster, serviceEndpoint, circuitBreakerOptions) {
     this._cluster = cluster;
     this._config = serviceEndpoint;
     this.addr = (serviceEndpoint.address ? serviceEndpoint.address : serviceEndpoint.hostname);
     this.port = serviceEndpoint.port;
-    /* TODO Not sure if this is the best policy, as a high  maxPendingConnectionPerHost will defeat the purpose of
-        this change to bring down the bad hosts before the health checks could happen.*/
-    this._errorCountForUnhealthy = Math.max(maxPendingConnectionPerHost / 2, MIN_ERROR_COUNT_FOR_UNHEALTHY);
+    // A node that passes its health checks may still fail every request, e.g. when it accepts
+    // connections but is stuck. The breaker keeps such a node out of the routes by the outcome
+    // of its requests, independently of the health checks.
+    this.breaker = circuitBreakerOptions ? new CircuitBreaker(circuitBreakerOptions, (state, previous, reason) => {
+      this._cluster.onCircuitStateChange(this, state, previous, reason);
+    }) : null;
   }
 
   /**
@@ -42,7 +45,7 @@ class Backend {
     return false;
   }
 
-  close() {
+  close(reason) {
     if(this.closed) {
       return;
     }
@@ -55,7 +58,7 @@ class Backend {
       clearInterval(dial);
     }
 
-    this.down();
+    this.down(reason || 'closed');
   }
 
   /**
@@ -63,18 +66,23 @@ class Backend {
    * using the supplied client for access.
    */
   up(client) {
+    let activated = false;
     if(!this.active && !this.closed) {
       this.active = true;
       this.client = client;
+      activated = true;
     }
     this._cluster.addRoute(this);
+    if(activated) {
+      this._cluster.notify(DaxClientEvents.NodeUp, this.describe('healthCheckPassed'));
+    }
   }
 
   /**
    * Deactivates this backend, removing it from the active cluster set,
    * and shutting down its client.
    */
-  down() {
+  down(reason) {
     if(!this.active) {
       return;
     }
@@ -85,19 +93,47 @@ class Backend {
       this._cluster.unregisterAndClose(this.client);
       this.client = null;
     }
+    this._cluster.notify(DaxClientEvents.NodeDown, this.describe(reason));
+  }
+
+  /**
+   * Returns the node description carried by client events.
+   */
+  describe(reason) {
+    return {
+      nodeId: this._config.nodeId,
+      address: this.addr,
+      port: this.port,
+      zone: this.zone(),
+      role: this.leader() ? 'leader' : 'replica',
+      reason: reason,
+    };
   }
 
   leader() { // 1 is leader, 2 is replica
     return this._config.role == 1;
   }
 
-  onIoException() {
-    if(this.active) {
-      if(++this.errorCount > this._errorCountForUnhealthy) {
-        this.healthy = false;
-        this.down();
-      }
-    }
+  /**
+   * Returns the availability zone the node was reported in by the
+   * endpoints call, or undefined if it is not known.
+   */
+  zone() {
+    return this._config.zone;
+  }
+
+  /**
+   * Returns true if the node may be picked for a request, as far as its circuit breaker is concerned.
+   */
+  isAvailable() {
+    return !this.breaker || this.breaker.isAvailable();
+  }
+
+  /**
+   * Returns true if the node picked should be sent the request, see CircuitBreaker.tryAcquire.
+   */
+  tryAcquire() {
+    return !this.breaker || this.breaker.tryAcquire();
   }
 }
 
@@ -27,12 +27,42 @@ const DaxMethodIds = require('./Constants').DaxMethodIds;
 const Operation = require('./Constants').Operation;
 const ReturnValueOnConditionCheckFailure = require('./Constants').ReturnValueOnConditionCheckFailure;
 const RequestValidator = require('./RequestValidator');
+const RequestContext = require('./RequestContext');
 const UUID = require('uuid');
+const {Metrics, MetricNames} = require('./Metrics');
 
-const MAX_WRITE_BATCH_SIZE = 25;
-const MAX_READ_BATCH_SIZE = 100;
+const MAX_WRITE_BATCH_SIZE = Constants.MAX_WRITE_BATCH_SIZE;
+const MAX_READ_BATCH_SIZE = Constants.MAX_READ_BATCH_SIZE;
 const BATCH_WRITE_MAX_ITEM_SIZE = 409600;
 
+/**
+ * The connection pool as seen by a single call: a call waits for a free connection no longer
+ * than queueTimeout() allows, see SocketTubePool.alloc().
+ */
+class CallTubePool {
+  constructor(pool, queueTimeout) {
+    this._pool = pool;
+    this._queueTimeout = queueTimeout;
+    this.metrics = pool.metrics;
+  }
+
+  alloc() {
+    return this._pool.alloc(this._queueTimeout());
+  }
+
+  recycle(tube) {
+    return this._pool.recycle(tube);
+  }
+
+  discard(tube) {
+    return this._pool.discard(tube);
+  }
+
+  reset(tube) {
+    return this._pool.reset(tube);
+  }
+}
+
 module.exports = class BaseOperations {
   constructor(keyCache, attrListCache, attrListIdCache, tubePool, requestTimeout) {
     this.tubePool = tubePool;
@@ -47,11 +77,47 @@ module.exports = class BaseOperations {
     };
 
     this._requestTimeout = requestTimeout || 0;
+    this._metrics = Metrics.create(tubePool && tubePool.metrics);
+    // the RequestContext of the call, set on the views returned by withContext().
+    this._context = null;
   }
 
-  _getReturnHandler(tube, assembler, name) {
+  /**
+   * Returns a view of the operations for a single call. The generated operations only take the
+   * request, so the view carries the context of the call to _getReturnHandler, and to the pool
+   * to bound how long the call waits for a connection.
+   */
+  withContext(context) {
+    if(!context) {
+      return this;
+    }
+    let ops = Object.create(this);
+    ops._context = context;
+    ops.tubePool = new CallTubePool(this.tubePool, () => context.attemptTimeout(this._requestTimeout));
+    return ops;
+  }
+
+  _getReturnHandler(tube, assembler) {
+    let context = this._context;
     let endListener;
+    let removeAbortListener;
+    let startTime = Date.now();
+    let operation = context ? context.operation : 'internal';
     return new Promise((resolve, reject) => {
+      if(context) {
+        if(context.aborted) {
+          // Nothing was sent on the tube, so it goes back to the pool once the request is skipped.
+          tube.skipRequest(() => this.tubePool.recycle(tube));
+          return reject(context.abortError);
+        }
+        context.sent = true;
+        removeAbortListener = context.onAbort((err) => {
+          // The response may still arrive later, so the tube can't be handed to another request.
+          this.tubePool.discard(tube);
+          return reject(err);
+        });
+      }
+
       // Listen on end event to avoid the situation that server close
       // the connection but client is still waiting for an response
       // till timeout.
@@ -110,8 +176,26 @@ module.exports = class BaseOperations {
         return reject(new DaxClientError(err.message, DaxErrorCode.Connection, true));
       });
 
-      let timeout = this._requestTimeout; // capture the timeout in case it changes
+      // capture the timeout in case it changes
+      let timeout = this._requestTimeout;
+      // set when the caller's deadline or per-call timeout, rather than requestTimeout, limits the attempt.
+      let callerLimit = null;
+      if(context) {
+        timeout = context.attemptTimeout(this._requestTimeout);
+        if(context.deadline && timeout < (context.timeout || this._requestTimeout || Infinity)) {
+          callerLimit = 'deadline';
+        } else if(context.timeout) {
+          callerLimit = 'timeout';
+        }
+      }
       tube.setTimeout(timeout, () => {
+        if(callerLimit) {
+          // The node may only be slower than this caller allows, so the other requests on it are left alone.
+          this.tubePool.discard(tube);
+          return reject(callerLimit === 'deadline' ? RequestContext.deadlineExceeded() :
+            new DaxClientError('Request did not complete within its timeout of ' + timeout + 'ms',
+              DaxErrorCode.RequestDeadlineExceeded, true));
+        }
         // Either the network is down or the node is stuck. Either way, the pool can be reset.
         this.tubePool.reset(tube);
         return reject(new Tube.TimeoutError(timeout));
@@ -121,6 +205,10 @@ module.exports = class BaseOperations {
       if(endListener) {
         tube.socket.removeListener('end', endListener);
       }
+      if(removeAbortListener) {
+        removeAbortListener();
+      }
+      this._metrics.timing(MetricNames.OperationLatency, Date.now() - startTime, {operation: operation});
       this.tubePool.recycle(tube);
       return this._resolveAttributeValues(result);
     }).catch((err) => {
@@ -128,6 +216,10 @@ module.exports = class BaseOperations {
       if(endListener) {
         tube.socket.removeListener('end', endListener);
       }
+      if(removeAbortListener) {
+        removeAbortListener();
+      }
+      this._metrics.increment(MetricNames.OperationErrors, {operation: operation, code: err.code || 'unknown'});
       throw err;
     });
   }
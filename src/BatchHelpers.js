@@ -0,0 +1,213 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const DaxErrorCode = require('./DaxErrorCode');
+const Constants = require('./Constants');
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_ATTEMPTS = 10;
+const DEFAULT_BASE_DELAY = 50;
+const DEFAULT_MAX_DELAY = 5000;
+const HELPER_OPTIONS = ['concurrency', 'maxAttempts', 'baseDelay', 'maxDelay'];
+
+/**
+ * Batch writes and gets of any size. The input is split into batches of the size DAX accepts,
+ * which are sent with bounded concurrency. The unprocessed items or keys of each batch are sent
+ * again with jittered exponential backoff until none are left or the attempts are used up.
+ *
+ * Options:
+ *  - concurrency: number of batches in flight, 4 by default.
+ *  - maxAttempts: attempts per batch, including the re-drives of unprocessed entries, 10 by default.
+ *  - baseDelay, maxDelay: bounds of the backoff in milliseconds, 50 and 5000 by default.
+ * The other options, e.g. abortSignal or deadline, are passed on to every request. The backoff
+ * stops early rather than outlive the deadline.
+ *
+ * Entries that are still unprocessed in the end, or whose batch failed, are returned rather
+ * than thrown, together with the errors of the failed batches. Only aborting the call rejects.
+ */
+class BatchHelpers {
+  /**
+   * Writes all RequestItems of a BatchWriteItem request. Resolves to {UnprocessedItems, Errors},
+   * UnprocessedItems being empty if all items were written.
+   */
+  static batchWriteAll(client, params, options) {
+    // malformed RequestItems reject the returned promise rather than throw.
+    return Promise.resolve().then(() => {
+      let entries = [];
+      let requestItems = params.RequestItems || {};
+      for(let table of Object.keys(requestItems)) {
+        for(let request of requestItems[table]) {
+          entries.push({table: table, request: request});
+        }
+      }
+
+      let send = (batch, callOptions) => {
+        let batchParams = Object.assign({}, params, {RequestItems: BatchHelpers._groupWrites(batch)});
+        return client.batchWriteItem(batchParams, callOptions).promise().then((data) => {
+          return {unprocessed: BatchHelpers._ungroupWrites(data.UnprocessedItems)};
+        });
+      };
+
+      return BatchHelpers._runAll(entries, Constants.MAX_WRITE_BATCH_SIZE, send, options).then((result) => {
+        return {
+          UnprocessedItems: BatchHelpers._groupWrites(result.unprocessed),
+          Errors: result.errors.map((e) => ({error: e.error, RequestItems: BatchHelpers._groupWrites(e.batch)})),
+        };
+      });
+    });
+  }
+
+  /**
+   * Gets all keys of a BatchGetItem request. Resolves to {Responses, UnprocessedKeys, Errors},
+   * UnprocessedKeys being empty if all keys were read.
+   */
+  static batchGetAll(client, params, options) {
+    return Promise.resolve().then(() => {
+      let entries = [];
+      let tableParams = {};
+      let requestItems = params.RequestItems || {};
+      for(let table of Object.keys(requestItems)) {
+        // the projection and consistency settings apply to every batch of the table.
+        tableParams[table] = Object.assign({}, requestItems[table]);
+        delete tableParams[table].Keys;
+        for(let key of requestItems[table].Keys || []) {
+          entries.push({table: table, key: key});
+        }
+      }
+
+      let responses = {};
+      let send = (batch, callOptions) => {
+        let batchParams = Object.assign({}, params, {RequestItems: BatchHelpers._groupKeys(batch, tableParams)});
+        return client.batchGetItem(batchParams, callOptions).promise().then((data) => {
+          let tableResponses = data.Responses || {};
+          for(let table of Object.keys(tableResponses)) {
+            responses[table] = (responses[table] || []).concat(tableResponses[table]);
+          }
+          return {unprocessed: BatchHelpers._ungroupKeys(data.UnprocessedKeys)};
+        });
+      };
+
+      return BatchHelpers._runAll(entries, Constants.MAX_READ_BATCH_SIZE, send, options).then((result) => {
+        return {
+          Responses: responses,
+          UnprocessedKeys: BatchHelpers._groupKeys(result.unprocessed, tableParams),
+          Errors: result.errors.map((e) => ({error: e.error, RequestItems: BatchHelpers._groupKeys(e.batch, tableParams)})),
+        };
+      });
+    });
+  }
+
+  static _runAll(entries, batchSize, send, options) {
+    options = options || {};
+    let concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    let maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    let baseDelay = options.baseDelay || DEFAULT_BASE_DELAY;
+    let maxDelay = options.maxDelay || DEFAULT_MAX_DELAY;
+    let deadline = options.deadline ? Number(options.deadline) : 0;
+    let callOptions = Object.assign({}, options);
+    for(let option of HELPER_OPTIONS) {
+      delete callOptions[option];
+    }
+
+    let batches = [];
+    for(let i = 0; i < entries.length; i += batchSize) {
+      batches.push(entries.slice(i, i + batchSize));
+    }
+
+    let unprocessed = [];
+    let errors = [];
+
+    let runBatch = (batch, attempt) => {
+      return send(batch, callOptions).then((result) => {
+        if(result.unprocessed.length === 0) {
+          return;
+        }
+        let delay = BatchHelpers._backoff(attempt, baseDelay, maxDelay);
+        if(attempt + 1 >= maxAttempts || (deadline && Date.now() + delay >= deadline)) {
+          unprocessed = unprocessed.concat(result.unprocessed);
+          return;
+        }
+        return new Promise((resolve) => setTimeout(resolve, delay)).then(() => runBatch(result.unprocessed, attempt + 1));
+      }, (err) => {
+        if(err.code === DaxErrorCode.RequestAborted || err.code === DaxErrorCode.RequestDeadlineExceeded) {
+          throw err;
+        }
+        // the client already retried what could be retried.
+        unprocessed = unprocessed.concat(batch);
+        errors.push({error: err, batch: batch});
+      });
+    };
+
+    let next = 0;
+    let worker = () => {
+      if(next >= batches.length) {
+        return Promise.resolve();
+      }
+      return runBatch(batches[next++], 0).then(worker);
+    };
+
+    let workers = [];
+    for(let i = 0; i < Math.min(concurrency, batches.length); i++) {
+      workers.push(worker());
+    }
+    return Promise.all(workers).then(() => ({unprocessed: unprocessed, errors: errors}));
+  }
+
+  static _backoff(attempt, baseDelay, maxDelay) {
+    let interval = Math.min(baseDelay * Math.pow(2, attempt), maxDelay);
+    return interval * (0.5 + Math.random() * 0.5);
+  }
+
+  static _groupWrites(entries) {
+    let requestItems = {};
+    for(let entry of entries) {
+      (requestItems[entry.table] = requestItems[entry.table] || []).push(entry.request);
+    }
+    return requestItems;
+  }
+
+  static _ungroupWrites(requestItems) {
+    let entries = [];
+    for(let table of Object.keys(requestItems || {})) {
+      for(let request of requestItems[table]) {
+        entries.push({table: table, request: request});
+      }
+    }
+    return entries;
+  }
+
+  static _groupKeys(entries, tableParams) {
+    let requestItems = {};
+    for(let entry of entries) {
+      if(!requestItems[entry.table]) {
+        requestItems[entry.table] = Object.assign({}, tableParams[entry.table], {Keys: []});
+      }
+      requestItems[entry.table].Keys.push(entry.key);
+    }
+    return requestItems;
+  }
+
+  static _ungroupKeys(requestItems) {
+    let entries = [];
+    for(let table of Object.keys(requestItems || {})) {
+      for(let key of requestItems[table].Keys || []) {
+        entries.push({table: table, key: key});
+      }
+    }
+    return entries;
+  }
+}
+
+module.exports = BatchHelpers;
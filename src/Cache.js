@@ -14,103 +14,65 @@
  */
 'use strict';
 
-const Util = require('./Util');
+const LruCache = require('./LruCache');
 
 class CacheFactory {
   static create(CacheType, size) {
     if(!CacheType) {
       throw new Error('not support Cache type');
     }
-    return new CacheType();
+    return new CacheType(size);
   }
 }
 
 class Cache {
-  // plain object cache
+  // least recently used cache holding at most size entries
   constructor(size) {
     this._size = size;
-    this._cache = {};
+    this._cache = new LruCache({maxEntries: size});
+  }
+
+  /**
+   * Returns the key the value is stored under, equal for equal keys.
+   */
+  keyOf(key) {
+    return key;
   }
 
   get(key) {
-    return this._cache[key];
+    return this._cache.get(this.keyOf(key));
   }
 
   put(key, val) {
-    let old = this._cache[key];
-    this._cache[key] = val;
+    let hashedKey = this.keyOf(key);
+    let old = this._cache.peek(hashedKey);
+    this._cache.set(hashedKey, val);
     return old;
   }
 
   remove(key) {
-    delete this._cache[key];
+    this._cache.delete(this.keyOf(key));
   }
-}
 
-class StringListCache {
-// internal storage structure { _hash: [ [key, value], ...] }
-// when insert an string-list key into JS object, it will automatically
-// convert into string seperated by comma e.g. ['1', '2'] => '1,2'
-// to solve the conflicts we have to store its real value
-// For performance, arrays are compared as if they are sorted
-  constructor(size) {
-    this._size = size;
-    this._cache = {};
+  /**
+   * Returns the hits, misses and evictions, and the number of entries.
+   */
+  stats() {
+    return this._cache.stats();
   }
+}
 
-  _hash(key) {
-    return key.toString();
+class StringListCache extends Cache {
+  // cache keyed by lists of strings, e.g. attribute names.
+  // The lists are compared in order, so callers agree on sorting them first.
+  keyOf(key) {
+    // unlike joining with commas, keeps ['a,b'] and ['a', 'b'] apart.
+    return JSON.stringify(key);
   }
 
   get(key) {
-    let keyValuePairs = this._cache[this._hash(key)];
-    if(!keyValuePairs) {
-      return null;
-    }
-    // compare real key
-    for(let keyValuePair of keyValuePairs) {
-      let storedKey = keyValuePair[0];
-      if(Util.sortedArrayEquals(key, storedKey)) {
-      // if we agree on sort first then check cache, we can use in order compare, which will save a lot
-        return keyValuePair[1];
-      }
-    }
-    // pairs is empty array
-    return null;
-  }
-
-  put(key, val) {
-    let old = this.get(key);
-    let hashedKey = this._hash(key);
-    if(!this._cache[hashedKey]) {
-      this._cache[hashedKey] = [];
-    }
-    let keyValuePairs = this._cache[hashedKey];
-    if(old !== null && old !== undefined) {
-      for(let pair of keyValuePairs) {
-        if(Util.sortedArrayEquals(pair[0], key)) {
-          pair[1] = val;
-          return old;
-        }
-      }
-    }
-    keyValuePairs.push([key, val]);
-    return old;
-  }
-
-  remove(key) {
-    let hashKey = this._hash(key);
-    let keyValuePairs = this._cache[hashKey];
-    if(keyValuePairs) {
-      for(let i = 0; i < keyValuePairs.length; ++i) {
-        let pair = keyValuePairs[i];
-        if(Util.sortedArrayEquals(pair[0], key)) {
-          // delete this entry
-          this._cache[hashKey].splice(i, 1);
-          return;
-        }
-      }
-    }
+    let value = super.get(key);
+    return value === undefined ? null : value;
   }
 }
 
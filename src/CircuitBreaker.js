@@ -0,0 +1,290 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const DaxClientError = require('./DaxClientError');
+const DaxErrorCode = require('./DaxErrorCode');
+const DaxServiceError = require('./DaxServiceError');
+
+const CircuitState = {
+  Closed: 'closed',
+  Open: 'open',
+  HalfOpen: 'halfOpen',
+};
+
+const DEFAULTS = {
+  windowMs: 10000,
+  minRequests: 20,
+  errorRate: 0.5,
+  slowCallMs: 0,
+  slowCallRate: 0.8,
+  openMs: 5000,
+  maxOpenMs: 60000,
+  halfOpenRequests: 3,
+  probationMs: 10000,
+};
+// number of buckets the window is split into, older buckets expire as the window slides.
+const WINDOW_BUCKETS = 10;
+// share of the requests a node gets at the start of its probation.
+const MIN_PROBATION_SHARE = 0.1;
+// client errors that come from the connection to the node or from what it sent back, or that
+// the node didn't answer within the timeout or deadline of the caller.
+const NODE_FAILURE_CODES = new Set([DaxErrorCode.Connection, DaxErrorCode.EndOfStream, DaxErrorCode.Decoder,
+  DaxErrorCode.MalformedResult, DaxErrorCode.RequestDeadlineExceeded]);
+// client errors of requests that were given up on, e.g. aborted by the caller or superseded by a
+// hedged request, before the node could answer.
+const ABORT_CODES = new Set([DaxErrorCode.RequestAborted, DaxErrorCode.ClientClosed]);
+
+/**
+ * Circuit breaker of a single node, configured with the 'circuitBreaker' setting:
+ *  - windowMs: length of the sliding window the error and slow call rates are computed over, 10s by default.
+ *  - minRequests: requests needed in the window before the breaker can open, 20 by default.
+ *  - errorRate: share of failed requests that opens the breaker, 0.5 by default.
+ *  - slowCallMs, slowCallRate: share of requests slower than slowCallMs that opens the breaker.
+ *    Off unless slowCallMs is set, 0.8 by default.
+ *  - openMs: how long the node gets no requests once the breaker opened, 5s by default. Doubles
+ *    every time the node fails again while half-open, up to maxOpenMs (60s by default).
+ *  - halfOpenRequests: number of trial requests that must succeed before the breaker closes, 3 by default.
+ *  - probationMs: once closed, the node's share of the requests grows from 10% to all of them
+ *    over this period, 10s by default.
+ * Only failures that point at the node count: network errors, timeouts, including those of the
+ * callers, and server side errors. Errors about the request itself, e.g. a failed condition, or
+ * throttling don't. Aborted requests are not counted at all.
+ * The breakers are off without the setting, true turns them on with the defaults.
+ */
+class CircuitBreaker {
+  /**
+   * Returns the options of the 'circuitBreaker' setting, or null if the breakers are off.
+   */
+  static options(config) {
+    if(!config) {
+      return null;
+    }
+    let options = Object.assign({}, DEFAULTS, config === true ? {} : config);
+    if(!(options.windowMs > 0) || !(options.openMs > 0) || !(options.halfOpenRequests >= 1) ||
+      !(options.errorRate > 0 && options.errorRate <= 1) || !(options.slowCallRate > 0 && options.slowCallRate <= 1)) {
+      throw new DaxClientError('circuitBreaker windowMs, openMs and halfOpenRequests must be positive and rates between 0 and 1',
+        DaxErrorCode.IllegalArgument, false);
+    }
+    return options;
+  }
+
+  /**
+   * Returns true if the error says something about the health of the node that served the request.
+   */
+  static isNodeFailure(err) {
+    if(!err) {
+      return false;
+    }
+    if(err instanceof DaxServiceError) {
+      return err.statusCode >= 500;
+    }
+    if(err instanceof DaxClientError) {
+      // errors raised by the client itself, e.g. for an invalid request or one the caller gave up
+      // on, say nothing about the node.
+      return NODE_FAILURE_CODES.has(err.code);
+    }
+    return true;
+  }
+
+  /**
+   * Returns true if the request was given up on before the node answered.
+   */
+  static isAborted(err) {
+    return err instanceof DaxClientError && ABORT_CODES.has(err.code);
+  }
+
+  /**
+   * onStateChange is called with (state, previous, reason) on every transition.
+   */
+  constructor(options, onStateChange) {
+    this._options = options;
+    this._onStateChange = onStateChange;
+    this._bucketMs = Math.ceil(options.windowMs / WINDOW_BUCKETS);
+    this._buckets = [];
+    for(let i = 0; i < WINDOW_BUCKETS; ++i) {
+      this._buckets.push({start: 0, total: 0, errors: 0, slow: 0});
+    }
+    this.state = CircuitState.Closed;
+    this._openMs = options.openMs;
+    this._openUntil = 0;
+    this._probesInFlight = 0;
+    // trial requests admitted by tryAcquire that have not started yet.
+    this._probesAdmitted = 0;
+    this._probeSuccesses = 0;
+    this._probationStart = 0;
+  }
+
+  /**
+   * Returns true if the node may be picked for a request, without changing any state, so that
+   * routers may ask about every node before picking one of them.
+   */
+  isAvailable() {
+    if(this.state === CircuitState.Open) {
+      // past openUntil, the next request is a trial one.
+      return Date.now() >= this._openUntil;
+    }
+    if(this.state === CircuitState.HalfOpen) {
+      return this._probesInFlight < this._options.halfOpenRequests;
+    }
+    return true;
+  }
+
+  /**
+   * Returns true if the node picked by a router should be sent the request. Moves an open breaker
+   * to half-open once its time is up, and draws whether a node on probation gets the request.
+   * A trial request takes its slot right away, so that a burst of requests doesn't get past
+   * halfOpenRequests; the slot is given back by onRequestEnd.
+   */
+  tryAcquire() {
+    let now = Date.now();
+    if(this.state === CircuitState.Open) {
+      if(now < this._openUntil) {
+        return false;
+      }
+      this._transition(CircuitState.HalfOpen, 'openTimeout');
+    }
+    if(this.state === CircuitState.HalfOpen) {
+      if(this._probesInFlight >= this._options.halfOpenRequests) {
+        return false;
+      }
+      this._probesInFlight++;
+      this._probesAdmitted++;
+      return true;
+    }
+    if(this._probationStart) {
+      let elapsed = now - this._probationStart;
+      if(elapsed >= this._options.probationMs) {
+        this._probationStart = 0;
+        return true;
+      }
+      return Math.random() < Math.max(elapsed / this._options.probationMs, MIN_PROBATION_SHARE);
+    }
+    return true;
+  }
+
+  /**
+   * Records the start of a request, returns true if it is a trial request admitted by tryAcquire.
+   * The returned value is passed to onRequestEnd.
+   */
+  onRequestStart() {
+    if(this._probesAdmitted > 0) {
+      this._probesAdmitted--;
+      return true;
+    }
+    return false;
+  }
+
+  onRequestEnd(probe, err, latency) {
+    if(probe) {
+      this._probesInFlight = Math.max(this._probesInFlight - 1, 0);
+    }
+    if(CircuitBreaker.isAborted(err)) {
+      // says nothing about the node, the trial slot is simply free again.
+      return;
+    }
+
+    let failed = CircuitBreaker.isNodeFailure(err);
+    let slow = this._options.slowCallMs > 0 && latency > this._options.slowCallMs;
+    switch(this.state) {
+      case CircuitState.HalfOpen:
+        if(!probe) {
+          // started before the breaker opened, says nothing about the node's recovery.
+          return;
+        }
+        if(failed || slow) {
+          this._openMs = Math.min(this._openMs * 2, this._options.maxOpenMs);
+          this._open(failed ? 'probeFailed' : 'probeSlow');
+        } else if(++this._probeSuccesses >= this._options.halfOpenRequests) {
+          this._openMs = this._options.openMs;
+          this._probationStart = Date.now();
+          this._transition(CircuitState.Closed, 'probesSucceeded');
+        }
+        return;
+      case CircuitState.Closed: {
+        let bucket = this._bucket(Date.now());
+        bucket.total++;
+        if(failed) {
+          bucket.errors++;
+        }
+        if(slow) {
+          bucket.slow++;
+        }
+        this._checkRates();
+        return;
+      }
+    }
+  }
+
+  /**
+   * Returns the totals of the current window: {total, errors, slow}.
+   */
+  windowStats() {
+    let since = Date.now() - this._options.windowMs;
+    let stats = {total: 0, errors: 0, slow: 0};
+    for(let bucket of this._buckets) {
+      if(bucket.start > since) {
+        stats.total += bucket.total;
+        stats.errors += bucket.errors;
+        stats.slow += bucket.slow;
+      }
+    }
+    return stats;
+  }
+
+  _checkRates() {
+    let stats = this.windowStats();
+    if(stats.total < this._options.minRequests) {
+      return;
+    }
+    if(stats.errors / stats.total >= this._options.errorRate) {
+      this._open('errorRate');
+    } else if(this._options.slowCallMs > 0 && stats.slow / stats.total >= this._options.slowCallRate) {
+      this._open('slowCalls');
+    }
+  }
+
+  _bucket(now) {
+    let start = now - now % this._bucketMs;
+    let bucket = this._buckets[Math.floor(now / this._bucketMs) % WINDOW_BUCKETS];
+    if(bucket.start !== start) {
+      bucket.start = start;
+      bucket.total = bucket.errors = bucket.slow = 0;
+    }
+    return bucket;
+  }
+
+  _open(reason) {
+    this._openUntil = Date.now() + this._openMs;
+    this._probationStart = 0;
+    this._transition(CircuitState.Open, reason);
+  }
+
+  _transition(state, reason) {
+    let previous = this.state;
+    this.state = state;
+    this._probeSuccesses = 0;
+    // every state starts with fresh counts.
+    for(let bucket of this._buckets) {
+      bucket.start = bucket.total = bucket.errors = bucket.slow = 0;
+    }
+    if(this._onStateChange) {
+      this._onStateChange(state, previous, reason);
+    }
+  }
+}
+
+CircuitBreaker.CircuitState = CircuitState;
+
+module.exports = CircuitBreaker;
@@ -13,16 +13,24 @@
  * permissions and limitations under the License.
  */
 'use strict';
+const EventEmitter = require('events');
 const SessionVersion = require('./SessionVersion');
 const Backend = require('./Backend');
+const CircuitBreaker = require('./CircuitBreaker');
 const Router = require('./Router');
+const {RoutingStrategy, RouteStats} = require('./RoutingStrategy');
 const DaxHealthAgent = require('./DaxHealthAgent');
 const Source = require('./Source');
+const TlsOptions = require('./TlsOptions');
 const SocketTubePool = require('./Tube').SocketTubePool;
 const ClientTube = require('./Tube').ClientTube;
 const Util = require('./Util');
 const DaxClientError = require('./DaxClientError');
+const DaxServiceError = require('./DaxServiceError');
 const DaxErrorCode = require('./DaxErrorCode');
+const DaxClientEvents = require('./DaxClientEvents');
+const Logger = require('./Logger');
+const {Metrics, MetricNames} = require('./Metrics');
 const net = require('net');
 const AWS = require('aws-sdk');
 
@@ -41,10 +49,20 @@ class StaticCredentialProvider extends AWS.Credentials {
   }
 }
 
-class Cluster {
+/**
+ * Tracks the nodes of a DAX cluster and routes requests to them.
+ * Emits the DaxClientEvents as nodes come and go.
+ */
+class Cluster extends EventEmitter {
   constructor(config, daxManufacturer, source) {
+    super();
     // config, just put it here, will delete unused part
-    this._maxPendingConnectsPerHost = config.maxPendingConnectsPerHost ? config.maxPendingConnectsPerHost : 10;
+    this._maxPendingConnectsPerHost = config.maxPendingConnects || config.maxPendingConnectsPerHost || 10;
+    // limits of the connection pool of each node, see SocketTubePool.
+    this._maxConnectionsPerNode = config.maxConnectionsPerNode || 0;
+    this._maxQueuedRequests = config.maxQueuedRequests;
+    // idle connections kept ready on every node, see SocketTubePool.maintain().
+    this._minIdleConnectionsPerNode = config.minIdleConnectionsPerNode || 0;
     // Using a relatively high default interval (4 seconds, a little less
     // than the leader timeout) for automatic background updates of the
     // cluster state. This prevents connection churn in the steady-state
@@ -60,6 +78,21 @@ class Cluster {
     this._maxRetryDelay = config.maxRetryDelay || 7000;
     this._threadKeepAlive = config.threadKeepAlive || 10000;
     this._skipHostnameVerification = config.skipHostnameVerification != null ? config.skipHostnameVerification : false;
+    // CA, TLS version, ciphers, pinning and session resumption of encrypted clusters, see TlsOptions.
+    this._tls = TlsOptions.create(config.tls);
+    this._logger = Logger.create(config.logger);
+    this._metrics = Metrics.create(config.metrics);
+    // Availability zone of this client. When set, reads prefer nodes in the same zone to avoid
+    // cross-AZ latency and data transfer; other zones are only used when no local node is alive.
+    this._preferredZone = config.preferredZone || config.localZone || null;
+    // One of 'random' (default), 'roundRobin', 'leastOutstanding', 'ewmaLatency', 'powerOfTwoChoices',
+    // or an object with a pick(values, prev, stats) method.
+    this._routingStrategy = RoutingStrategy.create(config.routingStrategy);
+    this._routeStats = new RouteStats();
+    // per node circuit breakers, see CircuitBreaker. Off unless the 'circuitBreaker' setting is given.
+    this._circuitBreaker = CircuitBreaker.options(config.circuitBreaker);
+    // backend of each routed client, for the circuit breakers.
+    this._routeBackends = new Map();
     if(config.credentials) {
       this._credProvider = new StaticCredentialProvider(config.credentials);
     } else {
@@ -69,10 +102,13 @@ class Cluster {
     this._seeds = config.endpoints ? Util.parseHostPorts(config.endpoints) : (config.endpoint ? Util.parseHostPorts(config.endpoint) : null);
     this._manufacturer = daxManufacturer;
     this._closed = false;
-    this._source = source ? source : Source.autoconf(this, this._seeds);
+    // the 'source' setting replaces the discovery through the seeds, see Source.
+    source = source || config.source;
+    this._source = source ? Source.attach(source, this) : Source.autoconf(this, this._seeds);
     this._alive = new Set();
     this._daxHealthAgent = new DaxHealthAgent();
     this._pools = new Set();
+    this._healthCheckTubes = new Set();
     this._backends = {};
     this._startupComplete = false;
   }
@@ -97,18 +133,24 @@ class Cluster {
       if(!this._closed) {
         this.refresh(true, (err) => {
           if(err) { // FIXME this err not need to throw error or pass out, just handle at here
-            console.error('caught exception during cluster refresh:', err);
-            console.error(err.stack);
+            this._logger.error('caught exception during cluster refresh', {error: err});
           }
         });
       }
     }, refreshIntervalMs);
     this._refreshJob.unref(); // unref to let Lambda finish
 
+    if(this._minIdleConnectionsPerNode > 0) {
+      // reopens the idle connections the pools are short of, see SocketTubePool.maintain().
+      this._maintainJob = setInterval(() => {
+        this._pools.forEach((pool) => pool.maintain());
+      }, IDLE_CONNECTION_REAP_DELAY_MS);
+      this._maintainJob.unref();
+    }
+
     this.refresh(false, (err) => {
       if(err) {
-        // maybe change it to logging
-        console.error(err);
+        this._logger.error('caught exception during cluster startup', {error: err});
       }
     });
   }
@@ -118,10 +160,21 @@ class Cluster {
   }
 
   newClient(host, port, session, tube, el) {
-    let pool = new SocketTubePool(host, port, this._credProvider, this._region, IDLE_CONNECTION_REAP_DELAY_MS, this._connectTimeout, tube, this._seeds, this._skipHostnameVerification);
+    let pool = new SocketTubePool(host, port, this._credProvider, this._region, IDLE_CONNECTION_REAP_DELAY_MS, this._connectTimeout, tube, this._seeds,
+      this._skipHostnameVerification, {
+        logger: this._logger,
+        metrics: this._metrics,
+        maxConnections: this._maxConnectionsPerNode,
+        maxPendingConnects: this._maxPendingConnectsPerHost,
+        maxQueuedRequests: this._maxQueuedRequests,
+        // only the pools of the nodes serving requests, not those used for discovery.
+        minIdleConnections: el ? this._minIdleConnectionsPerNode : 0,
+        tls: this._tls,
+      });
 
-    // Register pool for periodic idle connection reaping.
+    // Register pool for closing and periodic maintenance of its idle connections.
     this._pools.add(pool);
+    pool.maintain();
     return this._manufacturer.createDaxClient(pool, this._region, el);
   }
 
@@ -143,26 +196,50 @@ class Cluster {
     return routes.nextAny(prev);
   }
 
-  close() {
+  /**
+   * Returns a client for requests that don't go through trackRequest, e.g. fetching key schemas,
+   * so that they don't take a circuit breaker's trial or probation decisions.
+   */
+  metadataClient() {
+    let routes = this._routes;
+    if(!routes) {
+      throw new DaxClientError('No endpoints available', DaxErrorCode.NoRoute, true);
+    }
+    return routes.peekAny();
+  }
+
+  /**
+   * Closes all connections. Returns a promise resolved once every socket is closed, destroying
+   * the sockets still open after socketCloseTimeout milliseconds.
+   */
+  close(socketCloseTimeout) {
     if(this._closed) {
-      return;
+      return Promise.resolve();
     }
     this._closed = true;
+    let pools = Array.from(this._pools);
+    let healthCheckTubes = Array.from(this._healthCheckTubes);
     if(this._refreshJob) {
       clearInterval(this._refreshJob);
     }
-    if(this._reapJob) {
-      clearInterval(this._reapJob);
+    if(this._maintainJob) {
+      clearInterval(this._maintainJob);
     }
 
     Object.keys(this._backends).forEach((key) => {
-      this._backends[key].close();
+      this._backends[key].close('closed');
     });
 
+    // pools not owned by a backend, e.g. of a discovery still in progress.
+    pools.forEach((pool) => pool.close());
     this._pools.clear();
     this._backends = {};
     this._alive.clear();
     this._routes = null;
+
+    let timeout = socketCloseTimeout || this._connectTimeout;
+    return Promise.all(pools.map((pool) => pool.whenClosed(timeout))
+      .concat(healthCheckTubes.map((tube) => tube.whenClosed(timeout)))).then(() => undefined);
   }
 
   refresh(forced, callback) {
@@ -224,7 +301,7 @@ class Cluster {
         // remove and close it.
         let old = backends[key];
         delete backends[key];
-        old.close();
+        old.close('removed');
       }
     });
 
@@ -233,6 +310,15 @@ class Cluster {
     // Signal all threads waiting for cluster to be healthy.
     for(let ep of se) {
       if(ep.role == 1) { // leader
+        let leader = backends[Cluster._endpointKey(ep)];
+        if(leader && leader !== this._leader) {
+          let previous = this._leader ? this._leader.describe() : null;
+          this._leader = leader;
+          this.notify(DaxClientEvents.LeaderChanged, Object.assign(leader.describe('endpointsUpdated'), {
+            leaderSessionId: ep.leaderSessionId,
+            previous: previous,
+          }));
+        }
         this._leaderSessionId = ep.leaderSessionId;
         // mClusterHealthy.signalAll();
         // trigger TODO
@@ -283,14 +369,72 @@ class Cluster {
     });
   }
 
-  waitForRoutesRebuilt(isLeader) {
+  waitForRoutesRebuilt(isLeader, timeout) {
     let eventToListen = isLeader ? LEADER_ROUTE_UPDATE_EVENT : ROUTE_UPDATE_EVENT;
+    if(timeout === undefined) {
+      timeout = this._maxRetryDelay;
+    }
 
-    return this._daxHealthAgent.getRecoveryPromise(eventToListen, this._maxRetryDelay).catch(() => {
+    return this._daxHealthAgent.getRecoveryPromise(eventToListen, timeout).catch(() => {
       return Promise.reject(new DaxClientError('fail to wait for routes rebuild', DaxErrorCode.NoRoute));
     });
   }
 
+  /**
+   * Resolves once the routes include at least minNodes nodes, and the leader if requireLeader is set,
+   * or rejects with NoRouteException after timeout milliseconds.
+   */
+  waitForRoutes(minNodes, requireLeader, timeout) {
+    let deadline = Date.now() + timeout;
+    let check = () => {
+      let routes = this._routes;
+      if(routes && routes.size() >= minNodes && (!requireLeader || routes.leadersCount() > 0)) {
+        return Promise.resolve();
+      }
+      let remaining = deadline - Date.now();
+      if(this._closed || remaining <= 0) {
+        return Promise.reject(new DaxClientError('cluster has not become ready, routes: ' + (routes ? routes.size() : 0) +
+          ', leaders: ' + (routes ? routes.leadersCount() : 0), DaxErrorCode.NoRoute, true));
+      }
+      // routes only grow on rebuilds that leave some routes, which is when the health agent is signalled.
+      return this._daxHealthAgent.getRecoveryPromise(ROUTE_UPDATE_EVENT, remaining).catch(() => {}).then(check);
+    };
+    return check();
+  }
+
+  /**
+   * Waits until the cluster can serve requests, see AmazonDaxClient.ready.
+   */
+  ready(options) {
+    options = options || {};
+    let minNodes = options.minNodes || 1;
+    let timeout = options.timeoutMs || this._connectTimeout;
+    let connections = options.connectionsPerNode || 0;
+    let tables = options.tables || [];
+    let deadline = Date.now() + timeout;
+
+    let ready = this.waitForRoutes(minNodes, !!options.requireLeader, timeout).then(() => {
+      let clients = Array.from(this._alive, (be) => be.client).filter((client) => client);
+      return Promise.all(clients.map((client) => {
+        return (connections > 0 ? client.warm(connections) : Promise.resolve()).then(() => {
+          return Promise.all(tables.map((table) => client.keySchema(table)));
+        });
+      }));
+    });
+
+    let timer;
+    let timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new DaxClientError('cluster has not become ready within ' + timeout + 'ms',
+        DaxErrorCode.NoRoute, true)), Math.max(deadline - Date.now(), 0));
+    });
+    return Promise.race([ready, timedOut]).then(() => {
+      clearTimeout(timer);
+    }, (err) => {
+      clearTimeout(timer);
+      throw err;
+    });
+  }
+
   waitForRecovery(leaderSessionId, time) {
     if(time <= 0) {
       return Promise.resolve();
@@ -318,7 +462,9 @@ class Cluster {
       const tube = new ClientTube(net.connect(be.port, be.addr, () => {
         be._PingLatency = Date.now() - startTime;
         this._onHealthCheck(be, session, tube);
-      }), session, this._credProvider, this._region);
+      }), session, this._credProvider, this._region, this._logger);
+      this._healthCheckTubes.add(tube);
+      tube.socket.once('close', () => this._healthCheckTubes.delete(tube));
       tube.socket.on('error', (err) => {
         this._onHealthCheck(be, session, tube, err);
       });
@@ -350,29 +496,39 @@ class Cluster {
         return;
       }
 
+      let node = {node: be.addr + ':' + be.port};
+      this._metrics.increment(MetricNames.HealthChecks, {node: node.node, outcome: e ? 'failure' : 'success'});
+      if(!e) {
+        this._metrics.timing(MetricNames.HealthCheckLatency, be._PingLatency, node);
+      }
+
       if(e && be.healthy) {
         // remove backend from active set.
+        this._logger.debug('health check failed, removing node', {address: be.addr, port: be.port, error: e});
         be.healthy = false;
-        be.down();
+        be.down('healthCheckFailed');
       } else if(!e && !be.healthy && !be.closed) {
         // add backend to active set.
         try {
           // build new client, giving it the tube established
           // for this health check.
-          be.errorCount = 0;
+          this._logger.debug('health check passed, adding node', {address: be.addr, port: be.port, latency: be._PingLatency});
           be.healthy = true;
-          be.up(this.newClient(be.addr, be.port, session, tube, be));
+          let client = this.newClient(be.addr, be.port, session, tube, be);
+          // until the node has served requests, use the connect latency as its expected latency.
+          this._routeStats.seed(client, be._PingLatency);
+          be.up(client);
 
           closeTube = false;
         } catch(ie) {
+          this._logger.warn('client creation failed, removing node', {address: be.addr, port: be.port, error: ie});
           be.healthy = false;
-          be.down();
+          be.down('healthCheckFailed');
           throw new Error('client creation failed for backend: ' + be +
             ' exception = ' + ie);
         }
-      } else if(!e) {
-        // host is healthy, reset the error counts from piling up and prevent host from going down unnecessarily.
-        be.errorCount = 0;
+      } else if(e) {
+        this._logger.debug('health check of unhealthy node failed', {address: be.addr, port: be.port, error: e});
       }
     } finally {
       if(closeTube && tube) {
@@ -384,26 +540,171 @@ class Cluster {
   _rebuildRoutes() {
     let bes = this._alive;
     let sz = bes.size;
+    this._routeBackends = new Map();
     if(sz === 0) {
       this._routes = null;
+      this._reportRoutes(0, 0);
+      this.notify(DaxClientEvents.RoutesRebuilt, {size: 0, leaders: 0, zones: {}});
       return;
     }
 
     let ldr = 0;
     let cs = [];
+    let zones = [];
     bes.forEach((be) => {
-      if(be.leader()) {
-        cs[ldr++] = be.client;
-      } else {
-        cs[--sz] = be.client;
-      }
+      let idx = be.leader() ? ldr++ : --sz;
+      cs[idx] = be.client;
+      zones[idx] = be.zone();
+      this._routeBackends.set(be.client, be);
+    });
+    let routeBackends = this._routeBackends;
+
+    this._routes = new Router(cs, ldr, {
+      zones: zones,
+      preferredZone: this._preferredZone,
+      strategy: this._routingStrategy,
+      stats: this._routeStats,
+      admission: this._circuitBreaker ? {
+        isAvailable: (client) => {
+          let be = routeBackends.get(client);
+          return !be || be.isAvailable();
+        },
+        tryAcquire: (client) => {
+          let be = routeBackends.get(client);
+          return !be || be.tryAcquire();
+        },
+      } : null,
     });
-
-    this._routes = new Router(cs, ldr);
     this._daxHealthAgent.resolveEvent(ROUTE_UPDATE_EVENT);
     if(ldr > 0) {
       this._daxHealthAgent.resolveEvent(LEADER_ROUTE_UPDATE_EVENT);
     }
+    this._reportRoutes(cs.length, ldr);
+    this.notify(DaxClientEvents.RoutesRebuilt, {size: cs.length, leaders: ldr, zones: this._routes.zoneCounts()});
+  }
+
+  _reportRoutes(size, leaders) {
+    this._metrics.gauge(MetricNames.Routes, leaders, {role: 'leader'});
+    this._metrics.gauge(MetricNames.Routes, size - leaders, {role: 'replica'});
+  }
+
+  /**
+   * Returns the current metric values when the 'metrics' setting aggregates them in memory, null otherwise.
+   */
+  metrics() {
+    return this._metrics.snapshot();
+  }
+
+  /**
+   * Emits a client event. Errors thrown by listeners are reported but don't
+   * interrupt the cluster bookkeeping that triggered the event.
+   */
+  notify(event, detail) {
+    try {
+      this.emit(event, detail);
+    } catch(err) {
+      this._logger.error('caught exception in event listener', {event: event, error: err});
+    }
+  }
+
+  /**
+   * Returns true if the circuit breakers are on and open for every leader node, so that writes
+   * are certain not to be sent to the cluster.
+   */
+  leaderCircuitsOpen() {
+    if(!this._circuitBreaker) {
+      return false;
+    }
+    let leaders = Array.from(this._routeBackends.values()).filter((be) => be.leader());
+    return leaders.length > 0 && leaders.every((be) => !be.isAvailable());
+  }
+
+  /**
+   * Runs request() against the given client, recording its in-flight count and latency
+   * for the routing strategy.
+   */
+  trackRequest(client, request) {
+    let stats = this._routeStats;
+    let startTime = Date.now();
+    stats.begin(client);
+    let be = this._routeBackends.get(client);
+    let breaker = be && be.breaker;
+    let probe = breaker ? breaker.onRequestStart() : false;
+    return Promise.resolve().then(request).then((result) => {
+      let latency = Date.now() - startTime;
+      stats.end(client, latency);
+      if(breaker) {
+        breaker.onRequestEnd(probe, null, latency);
+      }
+      return result;
+    }, (err) => {
+      let latency = Date.now() - startTime;
+      if(CircuitBreaker.isNodeFailure(err)) {
+        stats.fail(client, latency);
+      } else if(err instanceof DaxServiceError) {
+        // the node answered, e.g. that a condition failed.
+        stats.end(client, latency);
+      } else {
+        stats.cancel(client);
+      }
+      if(breaker) {
+        breaker.onRequestEnd(probe, err, latency);
+      }
+      throw err;
+    });
+  }
+
+  /**
+   * Called by a backend when its circuit breaker changes state.
+   */
+  onCircuitStateChange(be, state, previous, reason) {
+    let node = be.addr + ':' + be.port;
+    let log = state === CircuitBreaker.CircuitState.Open ? 'warn' : 'info';
+    this._logger[log]('circuit breaker state changed', {address: be.addr, port: be.port, state: state, previous: previous, reason: reason});
+    this._metrics.increment(MetricNames.CircuitTransitions, {node: node, state: state});
+    this.notify(DaxClientEvents.CircuitStateChanged, Object.assign(be.describe(reason), {state: state, previous: previous}));
+  }
+
+  /**
+   * Returns the connection pool stats of the nodes in use, keyed by host:port, see SocketTubePool.stats().
+   */
+  poolStats() {
+    let stats = {};
+    this._alive.forEach((be) => {
+      let poolStats = be.client ? be.client.poolStats() : null;
+      if(poolStats) {
+        stats[be.addr + ':' + be.port] = poolStats;
+      }
+    });
+    return stats;
+  }
+
+  /**
+   * Returns the stats of the metadata caches of the clients in use, summed by cache.
+   */
+  metadataCacheStats() {
+    let total = {};
+    this._alive.forEach((be) => {
+      if(!be.client || typeof be.client.cacheStats !== 'function') {
+        return;
+      }
+      let stats = be.client.cacheStats();
+      for(let cache of Object.keys(stats)) {
+        let sum = total[cache] = total[cache] || {};
+        for(let counter of Object.keys(stats[cache])) {
+          sum[counter] = (sum[counter] || 0) + stats[cache][counter];
+        }
+      }
+    });
+    return total;
+  }
+
+  /**
+   * Returns the number of live routes in each availability zone, for debugging.
+   */
+  routeZoneCounts() {
+    let routes = this._routes;
+    return routes ? routes.zoneCounts() : {};
   }
 
   addRoute(be) {
@@ -423,11 +724,15 @@ class Cluster {
   _expand(se) {
     let backends = {};
     for(let ep of se) {
-      let be = new Backend(this, ep, this._maxPendingConnectsPerHost);
+      let be = new Backend(this, ep, this._circuitBreaker);
       backends[be.addr + ':' + be.port] = be;
     }
     return backends;
   }
+
+  static _endpointKey(ep) {
+    return (ep.address ? ep.address : ep.hostname) + ':' + ep.port;
+  }
 }
 
 module.exports = Cluster;
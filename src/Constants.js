@@ -15,6 +15,10 @@
 /* eslint no-invalid-this: ["off"]*/
 'use strict';
 const self = this;
+// Maximum number of write requests in a BatchWriteItem and of keys in a BatchGetItem.
+self.MAX_WRITE_BATCH_SIZE = 25;
+self.MAX_READ_BATCH_SIZE = 100;
+
 self.DaxResponseParam = {
   Item: 0,
   ConsumedCapacity: 1,
@@ -15,12 +15,14 @@
 'use strict';
 
 class ControllablePromise {
-  constructor(timeout, timeoutError) {
+  // onDone, if given, is called once the promise is resolved, rejected or timed out.
+  constructor(timeout, timeoutError, onDone) {
     this._done = false;
+    this._onDone = onDone;
     this._promise = new Promise((resolve, reject) => {
       if(timeout > 0) { // if timeout less or equal to 0, it means no timeout.
         this._to = setTimeout(() => {
-          this._done = true;
+          this._finish();
           return reject(timeoutError);
         }, timeout);
       }
@@ -33,8 +35,8 @@ class ControllablePromise {
     return this._done;
   }
 
-  then(f) {
-    return this._promise.then(f);
+  then(f, r) {
+    return this._promise.then(f, r);
   }
 
   catch(f) {
@@ -45,7 +47,7 @@ class ControllablePromise {
     if(this._to) {
       clearTimeout(this._to);
     }
-    this._done = true;
+    this._finish();
     return this._resolve(args);
   }
 
@@ -53,9 +55,19 @@ class ControllablePromise {
     if(this._to) {
       clearTimeout(this._to);
     }
-    this._done = true;
+    this._finish();
     return this._reject(err);
   }
+
+  _finish() {
+    if(this._done) {
+      return;
+    }
+    this._done = true;
+    if(this._onDone) {
+      this._onDone();
+    }
+  }
 }
 
 module.exports = ControllablePromise;
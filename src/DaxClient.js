@@ -23,20 +23,27 @@ const CACHE_SIZE = 250;
 const KEY_CACHE_TTL_MILLIS = 60000;
 
 class DaxClient {
-  constructor(pool, region, exceptionListener, requestTimeout) {
+  /**
+   * The capacities of the metadata caches may be set in the options: keyCacheSize (key schemas
+   * by table), attributeListCacheSize (attribute names by list id) and attributeListIdCacheSize
+   * (list ids by attribute names), 250 entries each by default. The least recently used entries
+   * are evicted and fetched again from the node when needed.
+   */
+  constructor(pool, region, exceptionListener, requestTimeout, options) {
+    options = options || {};
     this._exceptionListener = exceptionListener;
 
-    let keyCache = new RefreshingCache(CACHE_SIZE, {
+    let keyCache = new RefreshingCache(options.keyCacheSize || CACHE_SIZE, {
       fetch: (tableName) => {
         return this._defineKeySchema(tableName);
       },
     }, KEY_CACHE_TTL_MILLIS);
 
-    let attrListCache = new SimpleCache(CACHE_SIZE, (attributeListId) => {
+    let attrListCache = new SimpleCache(options.attributeListCacheSize || CACHE_SIZE, (attributeListId) => {
       return this._defineAttributeList(attributeListId);
     });
 
-    let attrListIdCache = new SimpleCache(CACHE_SIZE, (attributeNames) => {
+    let attrListIdCache = new SimpleCache(options.attributeListIdCacheSize || CACHE_SIZE, (attributeNames) => {
       return this._defineAttributeListId(attributeNames);
     }, CacheType.StringListCache);
 
@@ -45,6 +52,46 @@ class DaxClient {
     this._tubePool = pool;
     this._keyCache = keyCache;
     this._attrListCache = attrListCache;
+    this._attrListIdCache = attrListIdCache;
+  }
+
+  /**
+   * Returns the hits, misses, evictions and sizes of the metadata caches.
+   */
+  cacheStats() {
+    return {
+      keySchemas: this._keyCache.stats(),
+      attributeLists: this._attrListCache.stats(),
+      attributeListIds: this._attrListIdCache.stats(),
+    };
+  }
+
+  /**
+   * Returns the stats of the connection pool of the node, see SocketTubePool.stats().
+   */
+  poolStats() {
+    return this._tubePool ? this._tubePool.stats() : null;
+  }
+
+  /**
+   * Returns the address of the node this client connects to.
+   */
+  address() {
+    return this._tubePool ? {host: this._tubePool._hostname, port: this._tubePool._port} : null;
+  }
+
+  /**
+   * Returns the key schema of the table, fetching it from the node if it's not cached.
+   */
+  keySchema(tableName) {
+    return this._keyCache.get(tableName);
+  }
+
+  /**
+   * Opens and authenticates connections until the node has at least count of them.
+   */
+  warm(count) {
+    return this._tubePool.warm(count);
   }
 
   shutdown() {
@@ -79,44 +126,44 @@ class DaxClient {
     return this.operations.endpoints_455855874_1();
   }
 
-  batchGetItem(request) {
-    return this.operations.batchGetItem_N697851100_1(request);
+  batchGetItem(request, context) {
+    return this.operations.withContext(context).batchGetItem_N697851100_1(request);
   }
 
-  batchWriteItem(request) {
-    return this.operations.batchWriteItem_116217951_1(request);
+  batchWriteItem(request, context) {
+    return this.operations.withContext(context).batchWriteItem_116217951_1(request);
   }
 
-  getItem(request) {
-    return this.operations.getItem_263244906_1(request);
+  getItem(request, context) {
+    return this.operations.withContext(context).getItem_263244906_1(request);
   }
 
-  putItem(request) {
-    return this.operations.putItem_N2106490455_1(request);
+  putItem(request, context) {
+    return this.operations.withContext(context).putItem_N2106490455_1(request);
   }
 
-  deleteItem(request) {
-    return this.operations.deleteItem_1013539361_1(request);
+  deleteItem(request, context) {
+    return this.operations.withContext(context).deleteItem_1013539361_1(request);
   }
 
-  updateItem(request) {
-    return this.operations.updateItem_1425579023_1(request);
+  updateItem(request, context) {
+    return this.operations.withContext(context).updateItem_1425579023_1(request);
   }
 
-  query(request) {
-    return this.operations.query_N931250863_1(request);
+  query(request, context) {
+    return this.operations.withContext(context).query_N931250863_1(request);
   }
 
-  scan(request) {
-    return this.operations.scan_N1875390620_1(request);
+  scan(request, context) {
+    return this.operations.withContext(context).scan_N1875390620_1(request);
   }
 
-  transactGetItems(request) {
-    return this.operations.transactGetItems_1866287579_1(request);
+  transactGetItems(request, context) {
+    return this.operations.withContext(context).transactGetItems_1866287579_1(request);
   }
 
-  transactWriteItems(request) {
-    return this.operations.transactWriteItems_N1160037738_1(request);
+  transactWriteItems(request, context) {
+    return this.operations.withContext(context).transactWriteItems_N1160037738_1(request);
   }
 }
 
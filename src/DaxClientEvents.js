@@ -0,0 +1,43 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+
+/*
+ * Events emitted by AmazonDaxClient, see AmazonDaxClient.on().
+ *
+ * Node events carry {nodeId, address, port, zone, role, reason}, role being 'leader' or 'replica'.
+ */
+const DaxClientEvents = {
+  // a node passed its health check and receives requests. reason: 'healthCheckPassed'
+  NodeUp: 'nodeUp',
+  // a node stopped receiving requests. reason: 'healthCheckFailed', 'removed' or 'closed'
+  NodeDown: 'nodeDown',
+  // the leader reported by the cluster changed. Also carries the previous leader, or null.
+  LeaderChanged: 'leaderChanged',
+  // the set of nodes requests are routed to changed. Carries {size, leaders, zones}.
+  RoutesRebuilt: 'routesRebuilt',
+  // refreshing the cluster configuration failed. Carries {reason, error}.
+  RefreshFailed: 'refreshFailed',
+  // the circuit breaker of a node changed state, see CircuitBreaker. Also carries the state
+  // ('closed', 'open' or 'halfOpen') and the previous one. reason: 'errorRate', 'slowCalls',
+  // 'openTimeout', 'probeFailed', 'probeSlow' or 'probesSucceeded'
+  CircuitStateChanged: 'circuitStateChanged',
+  // calls started to go to the fallback client, see Fallback. Carries {reason, error}, the DAX error.
+  FallbackEntered: 'fallbackEntered',
+  // DAX served a call again after falling back. Carries {duration} in milliseconds.
+  FallbackExited: 'fallbackExited',
+};
+
+module.exports = DaxClientEvents;
@@ -0,0 +1,244 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const AmazonDaxClient = require('./AmazonDaxClient');
+const DaxClientError = require('./DaxClientError');
+const DaxErrorCode = require('./DaxErrorCode');
+
+let DynamoDBClient;
+try {
+  DynamoDBClient = require('@aws-sdk/client-dynamodb').DynamoDBClient;
+} catch(err) {
+  throw new DaxClientError('DaxDynamoDBClient requires the @aws-sdk/client-dynamodb package to be installed',
+    DaxErrorCode.IllegalArgument, false);
+}
+
+const SUPPORTED_OPERATIONS = new Set([
+  'batchGetItem',
+  'batchWriteItem',
+  'deleteItem',
+  'getItem',
+  'putItem',
+  'query',
+  'scan',
+  'transactGetItems',
+  'transactWriteItems',
+  'updateItem',
+]);
+
+// settings that mean something else to the SDK, which must not try to use the DAX endpoints.
+const DAX_ONLY_SETTINGS = ['endpoint', 'endpoints'];
+
+const JSON_CONTENT_TYPE = 'application/x-amz-json-1.0';
+
+// request members holding attribute values: maps of them by attribute name, lists of such maps,
+// single values and lists of values.
+const ATTRIBUTE_MAP_MEMBERS = new Set(['ExclusiveStartKey', 'ExpressionAttributeValues', 'Item', 'Key']);
+const ATTRIBUTE_MAP_LIST_MEMBERS = new Set(['Keys']);
+const ATTRIBUTE_VALUE_MEMBERS = new Set(['Value']);
+const ATTRIBUTE_VALUE_LIST_MEMBERS = new Set(['AttributeValueList']);
+// request members keyed by table or attribute name rather than by member name.
+const NAMED_MEMBERS = new Set(['AttributeUpdates', 'Expected', 'KeyConditions', 'QueryFilter', 'RequestItems', 'ScanFilter']);
+
+/**
+ * Sends the requests of a DynamoDBClient to DAX instead of DynamoDB. The SDK serializes each
+ * command to its JSON wire format, which is decoded here and passed on to an AmazonDaxClient,
+ * and the result is encoded back the way DynamoDB would return it.
+ */
+class DaxRequestHandler {
+  constructor(dax) {
+    this._dax = dax;
+  }
+
+  handle(request, options) {
+    let target = request.headers['x-amz-target'] || request.headers['X-Amz-Target'] || '';
+    let action = target.substring(target.indexOf('.') + 1);
+    let opname = action.charAt(0).toLowerCase() + action.substring(1);
+    if(!SUPPORTED_OPERATIONS.has(opname)) {
+      return Promise.reject(new DaxClientError(action + ' is not support for DAX. Use DynamoDBClient instead.', DaxErrorCode.Validation, false));
+    }
+
+    let params;
+    try {
+      params = decodeRequest(JSON.parse(bodyString(request.body)));
+    } catch(err) {
+      return Promise.reject(new DaxClientError('Unable to decode ' + action + ' request: ' + err.message, DaxErrorCode.Validation, false));
+    }
+
+    let abortSignal = options && options.abortSignal;
+    let callOptions = abortSignal && typeof abortSignal.addEventListener === 'function' ? {abortSignal: abortSignal} : null;
+    return this._dax[opname](params, callOptions).promise().then((data) => {
+      return {response: jsonResponse(200, data, null)};
+    }, (err) => {
+      if(!(err instanceof DaxClientError)) {
+        throw err;
+      }
+      if(err.code === DaxErrorCode.RequestAborted) {
+        // the SDK's own handlers reject aborted requests this way.
+        let abortError = new Error(err.message);
+        abortError.name = 'AbortError';
+        throw abortError;
+      }
+      // let the SDK raise its own exception type, e.g. ConditionalCheckFailedException. Errors
+      // of the client, e.g. NoRouteException, are reported as server errors if they are retryable.
+      let body = {__type: 'com.amazonaws.dynamodb.v20120810#' + err.code, message: err.message};
+      if(err.cancellationReasons) {
+        body.CancellationReasons = err.cancellationReasons;
+      }
+      let statusCode = err.statusCode > 0 ? err.statusCode : (err.retryable ? 500 : 400);
+      return {response: jsonResponse(statusCode, body, err.requestId)};
+    });
+  }
+
+  updateHttpClientConfig(key, value) {
+  }
+
+  httpHandlerConfigs() {
+    return {};
+  }
+
+  destroy() {
+    this._dax.shutdown();
+  }
+}
+
+/**
+ * A DynamoDBClient of the AWS SDK v3 that sends the supported operations to DAX:
+ *
+ *   const client = new DaxDynamoDBClient({endpoints: ['dax://my-cluster...'], region: 'us-east-1'});
+ *   const result = await client.send(new GetItemCommand({...}));
+ *   const docClient = DynamoDBDocumentClient.from(client);
+ *
+ * It takes the settings of both clients. Credentials are resolved by the SDK, so its credential
+ * providers apply, and the middleware stack works as usual. DAX already retries the requests,
+ * so the SDK retries are off unless maxAttempts is set. Other operations fail, as with
+ * AmazonDaxClient. destroy() closes the connections to the cluster.
+ */
+class DaxDynamoDBClient extends DynamoDBClient {
+  constructor(config) {
+    config = config || {};
+    let sdkConfig = Object.assign({maxAttempts: 1}, config);
+    for(let setting of DAX_ONLY_SETTINGS) {
+      delete sdkConfig[setting];
+    }
+    let handler = new DaxRequestHandler(null);
+    sdkConfig.requestHandler = handler;
+    super(sdkConfig);
+
+    let daxConfig = Object.assign({}, config);
+    delete daxConfig.credentials;
+    delete daxConfig.maxAttempts;
+    if(typeof daxConfig.region !== 'string') {
+      delete daxConfig.region;
+    }
+    // sign the DAX requests with the credentials resolved by the SDK.
+    daxConfig.credentialProvider = {resolvePromise: () => this.config.credentials()};
+    handler._dax = new AmazonDaxClient(daxConfig);
+  }
+}
+
+function bodyString(body) {
+  if(body == null) {
+    return '{}';
+  }
+  if(body instanceof Uint8Array) {
+    return Buffer.from(body.buffer, body.byteOffset, body.byteLength).toString('utf8');
+  }
+  return String(body);
+}
+
+function jsonResponse(statusCode, body, requestId) {
+  let headers = {'content-type': JSON_CONTENT_TYPE};
+  if(requestId) {
+    headers['x-amzn-requestid'] = requestId;
+  }
+  return {
+    statusCode: statusCode,
+    headers: headers,
+    body: Buffer.from(JSON.stringify(body, encodeBinary)),
+  };
+}
+
+// The wire format has binary values base64 encoded, DAX takes and returns them as Buffers. Only
+// the attribute values are decoded, so that other members named like a type, e.g. an attribute
+// named 'B', are left alone.
+function decodeRequest(value) {
+  if(Array.isArray(value)) {
+    return value.map(decodeRequest);
+  }
+  if(value === null || typeof value !== 'object') {
+    return value;
+  }
+  let decoded = {};
+  for(let key of Object.keys(value)) {
+    let v = value[key];
+    if(ATTRIBUTE_MAP_MEMBERS.has(key)) {
+      decoded[key] = decodeAttributeMap(v);
+    } else if(ATTRIBUTE_MAP_LIST_MEMBERS.has(key) && Array.isArray(v)) {
+      decoded[key] = v.map(decodeAttributeMap);
+    } else if(ATTRIBUTE_VALUE_MEMBERS.has(key)) {
+      decoded[key] = decodeAttributeValue(v);
+    } else if(ATTRIBUTE_VALUE_LIST_MEMBERS.has(key) && Array.isArray(v)) {
+      decoded[key] = v.map(decodeAttributeValue);
+    } else if(NAMED_MEMBERS.has(key) && v && typeof v === 'object') {
+      decoded[key] = mapValues(v, decodeRequest);
+    } else {
+      decoded[key] = decodeRequest(v);
+    }
+  }
+  return decoded;
+}
+
+function decodeAttributeMap(map) {
+  return map && typeof map === 'object' ? mapValues(map, decodeAttributeValue) : map;
+}
+
+function decodeAttributeValue(av) {
+  if(!av || typeof av !== 'object') {
+    return av;
+  }
+  if(typeof av.B === 'string') {
+    return {B: Buffer.from(av.B, 'base64')};
+  }
+  if(Array.isArray(av.BS)) {
+    return {BS: av.BS.map((b) => Buffer.from(b, 'base64'))};
+  }
+  if(av.M) {
+    return {M: decodeAttributeMap(av.M)};
+  }
+  if(Array.isArray(av.L)) {
+    return {L: av.L.map(decodeAttributeValue)};
+  }
+  return av;
+}
+
+function mapValues(obj, fn) {
+  let mapped = {};
+  for(let key of Object.keys(obj)) {
+    mapped[key] = fn(obj[key]);
+  }
+  return mapped;
+}
+
+function encodeBinary(key, value) {
+  // 'this' holds the value before Buffer.toJSON was applied.
+  let original = this[key];
+  if(Buffer.isBuffer(original) || original instanceof Uint8Array) {
+    return Buffer.from(original).toString('base64');
+  }
+  return value;
+}
+
+module.exports = DaxDynamoDBClient;
@@ -32,6 +32,10 @@ const DaxErrorCode = {
   LimitExceeded: 'LimitExceededException',
   Throttling: 'ThrottlingException',
   Connection: 'ConnectionException',
+  RequestAborted: 'RequestAbortedError',
+  RequestDeadlineExceeded: 'RequestDeadlineExceededException',
+  ClientClosed: 'ClientClosedException',
+  PoolExhausted: 'PoolExhaustedException',
 };
 
 module.exports = DaxErrorCode;
@@ -0,0 +1,192 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const DaxClientError = require('./DaxClientError');
+const DaxErrorCode = require('./DaxErrorCode');
+const DaxClientEvents = require('./DaxClientEvents');
+const CircuitBreaker = require('./CircuitBreaker');
+const TokenBucket = require('./TokenBucket');
+const {MetricNames} = require('./Metrics');
+
+const READ_OPERATIONS = ['batchGetItem', 'getItem', 'query', 'scan', 'transactGetItems'];
+const WRITE_OPERATIONS = ['batchWriteItem', 'deleteItem', 'putItem', 'transactWriteItems', 'updateItem'];
+const DEFAULT_MAX_REQUESTS_PER_SECOND = 100;
+const DEFAULT_RECOVERY_CHECK_MS = 1000;
+
+/**
+ * Sends calls to DynamoDB when DAX can't serve them, configured with the 'fallbackClient' setting,
+ * an AWS.DynamoDB instance or any client with the same methods, and the 'fallback' setting:
+ *  - operations: 'reads' (default), 'all', or the names of the operations to fall back for.
+ *  - maxRequestsPerSecond: rate of the calls sent to DynamoDB, 100 by default. Calls over the
+ *    rate fail with the DAX error, so that an outage doesn't turn into a burst of DynamoDB traffic.
+ *  - recoveryCheckMs: while falling back, how often a call is sent to DAX to see whether it
+ *    recovered, 1000 by default. The other calls go straight to DynamoDB in the meantime.
+ *
+ * A read falls back when DAX has no route to a node, or when it failed on the nodes after all
+ * retries, e.g. on connection errors or timeouts. Errors returned by DAX for the request itself,
+ * such as a failed condition, are not retried against DynamoDB. A write only falls back when it
+ * is certain it never reached a node: there was no route, no connection could be made, or the
+ * circuits of all leader nodes are open. Otherwise it may already have been applied, and sending
+ * it again could apply it twice, so the DAX error is returned.
+ *
+ * The client emits 'fallbackEntered' when the first call falls back and 'fallbackExited' once DAX
+ * served a call again.
+ */
+class Fallback {
+  static create(client, config, cluster, metrics, logger) {
+    if(!client) {
+      return null;
+    }
+    return new Fallback(client, config || {}, cluster, metrics, logger);
+  }
+
+  constructor(client, options, cluster, metrics, logger) {
+    let operations = options.operations || 'reads';
+    if(operations === 'reads') {
+      operations = READ_OPERATIONS;
+    } else if(operations === 'all') {
+      operations = READ_OPERATIONS.concat(WRITE_OPERATIONS);
+    }
+    if(!Array.isArray(operations) || operations.some((op) => READ_OPERATIONS.indexOf(op) < 0 && WRITE_OPERATIONS.indexOf(op) < 0)) {
+      throw new DaxClientError('fallback operations must be \'reads\', \'all\' or a list of DAX operations', DaxErrorCode.IllegalArgument, false);
+    }
+    let rate = options.maxRequestsPerSecond || DEFAULT_MAX_REQUESTS_PER_SECOND;
+    if(!(rate > 0)) {
+      throw new DaxClientError('fallback maxRequestsPerSecond must be positive', DaxErrorCode.IllegalArgument, false);
+    }
+
+    this._client = client;
+    this._operations = new Set(operations);
+    this._bucket = new TokenBucket(rate);
+    this._recoveryCheckMs = options.recoveryCheckMs || DEFAULT_RECOVERY_CHECK_MS;
+    this._cluster = cluster;
+    this._metrics = metrics;
+    this._logger = logger;
+    // set while falling back: when it started and when DAX is tried next.
+    this._since = 0;
+    this._nextCheck = 0;
+  }
+
+  /**
+   * Returns true while calls are sent to DynamoDB.
+   */
+  active() {
+    return this._since > 0;
+  }
+
+  /**
+   * Runs the call against DAX with daxCall, or against DynamoDB if DAX can't serve it.
+   */
+  run(opname, params, context, daxCall) {
+    if(!this._operations.has(opname)) {
+      return daxCall();
+    }
+    if(this.active() && Date.now() < this._nextCheck) {
+      return this._send(opname, params, context, null);
+    }
+    let write = WRITE_OPERATIONS.indexOf(opname) >= 0;
+    if(write && this._cluster.leaderCircuitsOpen()) {
+      let err = new DaxClientError('The circuits of all leader nodes are open', DaxErrorCode.NoRoute, true);
+      this._enter(err);
+      return this._send(opname, params, context, err);
+    }
+    if(this.active()) {
+      this._nextCheck = Date.now() + this._recoveryCheckMs;
+    }
+    return daxCall().then((result) => {
+      this._exit();
+      return result;
+    }, (err) => {
+      if(!Fallback.isDaxUnavailable(err) || (write && !Fallback.wasNotSent(err, context))) {
+        throw err;
+      }
+      this._enter(err);
+      return this._send(opname, params, context, err);
+    });
+  }
+
+  /**
+   * Returns true if the error means the DAX cluster couldn't serve the call, rather than refused it.
+   */
+  static isDaxUnavailable(err) {
+    return err.code === DaxErrorCode.NoRoute || CircuitBreaker.isNodeFailure(err);
+  }
+
+  /**
+   * Returns true if no attempt of the call wrote its request to a node, e.g. when there was no
+   * route or all connection attempts failed. An attempt that was sent decides even if a later
+   * one found no route. Without a context, only a missing route shows that nothing was sent.
+   */
+  static wasNotSent(err, context) {
+    return context ? !context.sent : err.code === DaxErrorCode.NoRoute;
+  }
+
+  _send(opname, params, context, daxError) {
+    if(context && context.aborted) {
+      return Promise.reject(context.abortError);
+    }
+    if(!this._bucket.tryConsume(1)) {
+      this._metrics.increment(MetricNames.FallbackThrottled, {operation: opname});
+      return Promise.reject(daxError ||
+        new DaxClientError('DAX is unavailable and the fallback rate limit is exceeded', DaxErrorCode.NoRoute, true));
+    }
+    this._metrics.increment(MetricNames.FallbackRequests, {operation: opname});
+
+    let request = this._client[opname](params);
+    let abort = null;
+    if(typeof request.promise === 'function') {
+      // an AWS.Request of the v2 SDK.
+      abort = () => request.abort();
+      request = request.promise();
+    }
+    if(!context) {
+      return request;
+    }
+    let removeListener = context.onAbort(() => {
+      if(abort) {
+        abort();
+      }
+    });
+    return context.race(request).then((result) => {
+      removeListener();
+      return result;
+    }, (err) => {
+      removeListener();
+      throw err;
+    });
+  }
+
+  _enter(err) {
+    if(this.active()) {
+      return;
+    }
+    this._since = Date.now();
+    this._nextCheck = this._since + this._recoveryCheckMs;
+    this._logger.warn('DAX unavailable, falling back to DynamoDB', {error: err});
+    this._cluster.notify(DaxClientEvents.FallbackEntered, {reason: err.code, error: err});
+  }
+
+  _exit() {
+    if(!this.active()) {
+      return;
+    }
+    let duration = Date.now() - this._since;
+    this._since = 0;
+    this._logger.info('DAX recovered, no longer falling back to DynamoDB', {duration: duration});
+    this._cluster.notify(DaxClientEvents.FallbackExited, {duration: duration});
+  }
+}
+
+module.exports = Fallback;
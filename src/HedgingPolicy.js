@@ -0,0 +1,96 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const DaxClientError = require('./DaxClientError');
+const DaxErrorCode = require('./DaxErrorCode');
+
+const HEDGED_OPERATIONS = ['getItem', 'batchGetItem', 'query', 'transactGetItems'];
+const DEFAULT_DELAY_MS = 50;
+const MIN_DELAY_MS = 1;
+// number of recent latencies the percentile is computed from, and needed before it is used.
+const LATENCY_WINDOW = 200;
+const MIN_SAMPLES = 20;
+
+/**
+ * When to send a read again to a second node if the first one is slow to answer, configured
+ * with the 'hedging' setting:
+ *  - delayMs: how long to wait for the first node, 50ms by default.
+ *  - percentile: wait for this percentile (e.g. 95) of the recent latencies instead. delayMs
+ *    is used until enough latencies were seen.
+ *  - minDelayMs: lower bound of the percentile based delay, 1ms by default.
+ *  - operations: the operations to hedge, getItem, batchGetItem, query and transactGetItems by default.
+ * Hedging is off without the setting. Hedged requests add load to the cluster, so a percentile
+ * delay is the safer choice: only the slowest requests are sent twice.
+ */
+class HedgingPolicy {
+  static create(config) {
+    if(!config) {
+      return null;
+    }
+    if(config instanceof HedgingPolicy) {
+      return config;
+    }
+    return new HedgingPolicy(config === true ? {} : config);
+  }
+
+  constructor(options) {
+    this._delayMs = options.delayMs != null ? options.delayMs : DEFAULT_DELAY_MS;
+    this._percentile = options.percentile || 0;
+    this._minDelayMs = options.minDelayMs != null ? options.minDelayMs : MIN_DELAY_MS;
+    this._operations = new Set(options.operations || HEDGED_OPERATIONS);
+    if(this._delayMs < 0 || this._percentile < 0 || this._percentile > 100) {
+      throw new DaxClientError('hedging delayMs must be positive and percentile between 0 and 100',
+        DaxErrorCode.IllegalArgument, false);
+    }
+    for(let operation of this._operations) {
+      if(HEDGED_OPERATIONS.indexOf(operation) < 0) {
+        throw new DaxClientError('Only reads can be hedged, must be some of: ' + HEDGED_OPERATIONS,
+          DaxErrorCode.IllegalArgument, false);
+      }
+    }
+    this._latencies = [];
+    this._next = 0;
+  }
+
+  appliesTo(operation) {
+    return this._operations.has(operation);
+  }
+
+  /**
+   * Returns how long to wait for the first node before sending the request to a second one.
+   */
+  delay() {
+    if(!this._percentile || this._latencies.length < MIN_SAMPLES) {
+      return this._delayMs;
+    }
+    let sorted = this._latencies.slice().sort((a, b) => a - b);
+    let idx = Math.min(Math.ceil(this._percentile / 100 * sorted.length) - 1, sorted.length - 1);
+    return Math.max(sorted[Math.max(idx, 0)], this._minDelayMs);
+  }
+
+  record(latency) {
+    if(!this._percentile) {
+      return;
+    }
+    if(this._latencies.length < LATENCY_WINDOW) {
+      this._latencies.push(latency);
+    } else {
+      this._latencies[this._next] = latency;
+      this._next = (this._next + 1) % LATENCY_WINDOW;
+    }
+  }
+}
+
+module.exports = HedgingPolicy;
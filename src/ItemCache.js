@@ -0,0 +1,381 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const AttributeValueEncoder = require('./AttributeValueEncoder');
+const LruCache = require('./LruCache');
+const Util = require('./Util');
+
+const DEFAULT_MAX_ENTRIES = 10000;
+const DEFAULT_MAX_BYTES = 64 * 1024 * 1024;
+const DEFAULT_TTL_MS = 1000;
+// number of recently invalidated keys remembered, so that reads racing a write don't cache the old item.
+const INVALIDATIONS_KEPT = 10000;
+// marks a key known not to exist.
+const NOT_FOUND = Symbol('NotFound');
+
+/**
+ * In-process cache of the items read with getItem and batchGetItem, in front of DAX. Configured
+ * with the 'itemCache' setting, true for the defaults or:
+ *  - maxEntries: number of items kept, 10000 by default.
+ *  - maxBytes: approximate size of the items kept, 64MB by default.
+ *  - ttlMs: how long an item is served from the cache, 1s by default. Writes made by other
+ *    clients are not seen before the item expires, so keep it short unless the table rarely changes.
+ *  - negativeTtlMs: how long a key that doesn't exist is remembered, not at all by default.
+ *  - tables: the names of the tables to cache, all of them by default.
+ *
+ * Strongly consistent reads, reads with a projection and reads that return the consumed capacity
+ * bypass the cache. Writes through the same client remove the items they touch. Items are keyed
+ * by table and the encoded key, the same bytes DAX uses, so the key schema of a table is fetched
+ * before its items are cached.
+ */
+class ItemCache {
+  static create(config, keySchemaOf) {
+    if(!config) {
+      return null;
+    }
+    return new ItemCache(config === true ? {} : config, keySchemaOf);
+  }
+
+  constructor(options, keySchemaOf) {
+    this._cache = new LruCache({
+      maxEntries: options.maxEntries || DEFAULT_MAX_ENTRIES,
+      maxBytes: options.maxBytes || DEFAULT_MAX_BYTES,
+      ttlMs: options.ttlMs || DEFAULT_TTL_MS,
+    });
+    this._negativeTtlMs = options.negativeTtlMs || 0;
+    this._tables = options.tables ? new Set(options.tables) : null;
+    this._keySchemaOf = keySchemaOf;
+    this._schemas = new Map();
+
+    // sequence number of the last invalidation of each key. Once forgotten, a key is assumed to
+    // have been invalidated as late as the last invalidation forgotten.
+    this._seq = 0;
+    this._forgottenSeq = 0;
+    this._invalidations = new LruCache({
+      maxEntries: INVALIDATIONS_KEPT,
+      onEvict: (key, seq) => {
+        this._forgottenSeq = Math.max(this._forgottenSeq, seq);
+      },
+    });
+  }
+
+  /**
+   * Returns the hits, misses, evictions and expirations, and the number and size of the cached items.
+   */
+  stats() {
+    return this._cache.stats();
+  }
+
+  clear() {
+    this._cache.clear();
+  }
+
+  /**
+   * Serves the read from the cache when possible, otherwise calls call(params), possibly with only
+   * the keys that were not cached, and caches the result.
+   */
+  read(opname, params, call) {
+    switch(opname) {
+      case 'getItem':
+        return this._getItem(params, call);
+      case 'batchGetItem':
+        return this._batchGetItem(params, call);
+      default:
+        return call(params);
+    }
+  }
+
+  /**
+   * Runs the write with call(params), removing the items it touches from the cache.
+   */
+  write(opname, params, call) {
+    let written = writtenItems(opname, params);
+    // a read may be fetching the key schema of a table to cache its items, so wait for it.
+    if(written.some(([table]) => this._schemas.get(table) instanceof Promise)) {
+      return Promise.all(written.map(([table]) => this._schemas.get(table)))
+        .then(() => this._write(this._writtenKeys(written), params, call));
+    }
+    return this._write(this._writtenKeys(written), params, call);
+  }
+
+  _write(keys, params, call) {
+    if(keys.length === 0) {
+      return call(params);
+    }
+    keys.forEach((key) => this._invalidate(key));
+    // removed again once done, in case a read completed in the meantime. Failed writes may
+    // have been applied too.
+    return call(params).then((data) => {
+      keys.forEach((key) => this._invalidate(key));
+      return data;
+    }, (err) => {
+      keys.forEach((key) => this._invalidate(key));
+      throw err;
+    });
+  }
+
+  _getItem(params, call) {
+    if(returnsCapacity(params) || !this._cacheable(params.TableName, params)) {
+      return call(params);
+    }
+    return this._schema(params.TableName).then((schema) => {
+      let key = schema ? this._key(params.TableName, params.Key, schema) : null;
+      if(!key) {
+        return call(params);
+      }
+      let cached = this._cache.get(key);
+      if(cached === NOT_FOUND) {
+        return {};
+      }
+      if(cached !== undefined) {
+        return {Item: Util.deepCopy(cached)};
+      }
+      let seq = this._seq;
+      return call(params).then((data) => {
+        this._store(key, data.Item, seq);
+        return data;
+      });
+    });
+  }
+
+  _batchGetItem(params, call) {
+    let requestItems = params.RequestItems || {};
+    let tables = Object.keys(requestItems).filter((table) => this._cacheable(table, requestItems[table]));
+    if(returnsCapacity(params) || tables.length === 0) {
+      return call(params);
+    }
+    return Promise.all(tables.map((table) => this._schema(table))).then((schemas) => {
+      let hits = {};
+      // keys sent to DAX, by table, with their cache keys.
+      let pending = {};
+      let remaining = Object.assign({}, requestItems);
+      tables.forEach((table, i) => {
+        let schema = schemas[i];
+        if(!schema) {
+          return;
+        }
+        let keys = [];
+        for(let keyItem of requestItems[table].Keys || []) {
+          let key = this._key(table, keyItem, schema);
+          let cached = key ? this._cache.get(key) : undefined;
+          if(cached === undefined) {
+            keys.push(keyItem);
+            if(key) {
+              (pending[table] = pending[table] || {schema: schema, keys: []}).keys.push(key);
+            }
+          } else if(cached !== NOT_FOUND) {
+            (hits[table] = hits[table] || []).push(Util.deepCopy(cached));
+          }
+        }
+        if(keys.length > 0) {
+          remaining[table] = Object.assign({}, requestItems[table], {Keys: keys});
+        } else {
+          delete remaining[table];
+        }
+      });
+
+      if(Object.keys(remaining).length === 0) {
+        return {Responses: hits, UnprocessedKeys: {}};
+      }
+      let seq = this._seq;
+      return call(Object.assign({}, params, {RequestItems: remaining})).then((data) => {
+        let responses = data.Responses || {};
+        for(let table of Object.keys(pending)) {
+          let found = new Set();
+          for(let item of responses[table] || []) {
+            let key = this._key(table, item, pending[table].schema);
+            if(key) {
+              found.add(key);
+              this._store(key, item, seq);
+            }
+          }
+          let unprocessed = new Set();
+          let unprocessedKeys = data.UnprocessedKeys && data.UnprocessedKeys[table] ? data.UnprocessedKeys[table].Keys : [];
+          for(let keyItem of unprocessedKeys || []) {
+            unprocessed.add(this._key(table, keyItem, pending[table].schema));
+          }
+          for(let key of pending[table].keys) {
+            if(!found.has(key) && !unprocessed.has(key)) {
+              this._store(key, undefined, seq);
+            }
+          }
+        }
+        for(let table of Object.keys(hits)) {
+          responses[table] = (responses[table] || []).concat(hits[table]);
+        }
+        data.Responses = responses;
+        return data;
+      });
+    });
+  }
+
+  _cacheable(table, params) {
+    return !params.ConsistentRead && !params.ProjectionExpression && !params.AttributesToGet &&
+      (!this._tables || this._tables.has(table));
+  }
+
+  /**
+   * Resolves to the key schema of the table, or null if it can't be fetched, in which case the
+   * cache is bypassed.
+   */
+  _schema(table) {
+    let schema = this._schemas.get(table);
+    if(!schema) {
+      schema = Promise.resolve().then(() => this._keySchemaOf(table)).then((keySchema) => {
+        this._schemas.set(table, keySchema);
+        return keySchema;
+      }, () => {
+        this._schemas.delete(table);
+        return null;
+      });
+      this._schemas.set(table, schema);
+    }
+    return Promise.resolve(schema);
+  }
+
+  _key(table, keyItem, schema) {
+    try {
+      return table + '\u0000' + AttributeValueEncoder.encodeKey(keyItem, schema).toString('base64');
+    } catch(err) {
+      // an invalid key, DAX reports the error.
+      return null;
+    }
+  }
+
+  _writtenKeys(written) {
+    let keys = [];
+    for(let [table, keyItem] of written) {
+      // no item of a table is cached before its schema is known.
+      let schema = this._schemas.get(table);
+      if(Array.isArray(schema)) {
+        let key = this._key(table, keyItem, schema);
+        if(key) {
+          keys.push(key);
+        }
+      }
+    }
+    return keys;
+  }
+
+  _invalidate(key) {
+    this._cache.delete(key);
+    this._invalidations.set(key, ++this._seq);
+  }
+
+  /**
+   * Caches the item read by a request started at the given sequence number, unless the item was
+   * written since. An undefined item is cached as not found if negative caching is on.
+   */
+  _store(key, item, seq) {
+    let invalidated = this._invalidations.has(key) ? this._invalidations.get(key) : this._forgottenSeq;
+    if(invalidated > seq) {
+      return;
+    }
+    if(item) {
+      this._cache.set(key, Util.deepCopy(item), key.length + itemSize(item));
+    } else if(this._negativeTtlMs) {
+      this._cache.set(key, NOT_FOUND, key.length, this._negativeTtlMs);
+    }
+  }
+}
+
+/**
+ * Returns the [table, key item] pairs of the items the write touches.
+ */
+function writtenItems(opname, params) {
+  let written = [];
+  switch(opname) {
+    case 'putItem':
+      written.push([params.TableName, params.Item]);
+      break;
+    case 'updateItem':
+    case 'deleteItem':
+      written.push([params.TableName, params.Key]);
+      break;
+    case 'batchWriteItem': {
+      let requestItems = params.RequestItems || {};
+      for(let table of Object.keys(requestItems)) {
+        for(let request of requestItems[table]) {
+          if(request.PutRequest) {
+            written.push([table, request.PutRequest.Item]);
+          } else if(request.DeleteRequest) {
+            written.push([table, request.DeleteRequest.Key]);
+          }
+        }
+      }
+      break;
+    }
+    case 'transactWriteItems':
+      for(let item of params.TransactItems || []) {
+        if(item.Put) {
+          written.push([item.Put.TableName, item.Put.Item]);
+        } else if(item.Update) {
+          written.push([item.Update.TableName, item.Update.Key]);
+        } else if(item.Delete) {
+          written.push([item.Delete.TableName, item.Delete.Key]);
+        }
+      }
+      break;
+  }
+  return written;
+}
+
+/**
+ * Returns true if the read asks for the consumed capacity, which a cache hit can't return.
+ */
+function returnsCapacity(params) {
+  return !!params.ReturnConsumedCapacity && params.ReturnConsumedCapacity !== 'NONE';
+}
+
+/**
+ * Approximates the size of an item the way DynamoDB does: attribute names plus values.
+ */
+function itemSize(item) {
+  let size = 0;
+  for(let name of Object.keys(item)) {
+    size += Buffer.byteLength(name) + valueSize(item[name]);
+  }
+  return size;
+}
+
+function valueSize(av) {
+  if(av.S !== undefined) {
+    return Buffer.byteLength(av.S);
+  }
+  if(av.N !== undefined) {
+    return av.N.length;
+  }
+  if(av.B !== undefined) {
+    return av.B.length;
+  }
+  if(av.SS) {
+    return av.SS.reduce((sum, s) => sum + Buffer.byteLength(s), 0);
+  }
+  if(av.NS) {
+    return av.NS.reduce((sum, n) => sum + n.length, 0);
+  }
+  if(av.BS) {
+    return av.BS.reduce((sum, b) => sum + b.length, 0);
+  }
+  if(av.M) {
+    return 3 + itemSize(av.M);
+  }
+  if(av.L) {
+    return 3 + av.L.reduce((sum, v) => sum + 1 + valueSize(v), 0);
+  }
+  return 1;
+}
+
+module.exports = ItemCache;
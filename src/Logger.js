@@ -0,0 +1,53 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+function noop() {}
+
+// Without a configured logger, warnings and errors go to the console and the rest is dropped.
+const CONSOLE_LOGGER = {
+  debug: noop,
+  info: noop,
+  warn: (message, meta) => meta === undefined ? console.warn(message) : console.warn(message, meta),
+  error: (message, meta) => meta === undefined ? console.error(message) : console.error(message, meta),
+};
+
+/**
+ * Diagnostics of the client. Every message is a constant string, details such as hosts and
+ * errors are passed separately as an object so that they can be logged as structured fields.
+ */
+class Logger {
+  /**
+   * Wraps the 'logger' setting, e.g. console, pino or winston: any object with some of the
+   * debug, info, warn and error methods, each called as method(message, meta).
+   * Levels the logger doesn't implement behave as without a logger.
+   */
+  static create(logger) {
+    if(logger instanceof Logger) {
+      return logger;
+    }
+    return new Logger(logger);
+  }
+
+  constructor(logger) {
+    for(let level of LEVELS) {
+      this[level] = (logger && typeof logger[level] === 'function') ? logger[level].bind(logger) : CONSOLE_LOGGER[level];
+    }
+  }
+}
+
+module.exports = Logger;
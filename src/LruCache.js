@@ -0,0 +1,147 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+
+/**
+ * Least recently used cache bounded by the number of entries and, optionally, by their total size.
+ * Entries may expire after a time to live. Keys are compared as Map keys.
+ *
+ * Options:
+ *  - maxEntries: number of entries kept, Infinity by default.
+ *  - maxBytes: total size of the entries kept, as given to set(), Infinity by default.
+ *  - ttlMs: time to live of the entries, forever by default. set() may override it per entry.
+ *  - onEvict: called with (key, value) when an entry is dropped to make room.
+ */
+class LruCache {
+  constructor(options) {
+    options = options || {};
+    this._maxEntries = options.maxEntries || Infinity;
+    this._maxBytes = options.maxBytes || Infinity;
+    this._ttlMs = options.ttlMs || 0;
+    this._onEvict = options.onEvict || null;
+    // Maps iterate in insertion order, so the first entry is the least recently used one.
+    this._entries = new Map();
+    this._bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this.expirations = 0;
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+
+  get bytes() {
+    return this._bytes;
+  }
+
+  /**
+   * Returns the value of the key, or undefined if it is not cached or has expired.
+   */
+  get(key) {
+    let entry = this._entries.get(key);
+    if(!entry) {
+      this.misses++;
+      return undefined;
+    }
+    if(entry.expires && entry.expires <= Date.now()) {
+      this._remove(key, entry);
+      this.expirations++;
+      this.misses++;
+      return undefined;
+    }
+    // move to the most recently used end.
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Returns the value of the key like get(), without counting it or making it recently used.
+   */
+  peek(key) {
+    let entry = this._entries.get(key);
+    return entry && !(entry.expires && entry.expires <= Date.now()) ? entry.value : undefined;
+  }
+
+  has(key) {
+    let entry = this._entries.get(key);
+    return !!entry && !(entry.expires && entry.expires <= Date.now());
+  }
+
+  /**
+   * Caches the value, evicting the least recently used entries if the cache is full. Values larger
+   * than maxBytes on their own are not cached.
+   */
+  set(key, value, bytes, ttlMs) {
+    bytes = bytes || 0;
+    let old = this._entries.get(key);
+    if(old) {
+      this._remove(key, old);
+    }
+    if(bytes > this._maxBytes) {
+      return;
+    }
+    let ttl = ttlMs !== undefined ? ttlMs : this._ttlMs;
+    this._entries.set(key, {value: value, bytes: bytes, expires: ttl ? Date.now() + ttl : 0});
+    this._bytes += bytes;
+
+    while(this._entries.size > this._maxEntries || this._bytes > this._maxBytes) {
+      let lruKey = this._entries.keys().next().value;
+      let lru = this._entries.get(lruKey);
+      this._remove(lruKey, lru);
+      this.evictions++;
+      if(this._onEvict) {
+        this._onEvict(lruKey, lru.value);
+      }
+    }
+  }
+
+  delete(key) {
+    let entry = this._entries.get(key);
+    if(entry) {
+      this._remove(key, entry);
+    }
+    return !!entry;
+  }
+
+  clear() {
+    this._entries.clear();
+    this._bytes = 0;
+  }
+
+  /**
+   * Returns the counters and the current occupancy of the cache.
+   */
+  stats() {
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      expirations: this.expirations,
+      entries: this._entries.size,
+      bytes: this._bytes,
+    };
+  }
+
+  _remove(key, entry) {
+    this._entries.delete(key);
+    this._bytes -= entry.bytes;
+  }
+}
+
+module.exports = LruCache;
@@ -0,0 +1,264 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const DaxClientError = require('./DaxClientError');
+const DaxErrorCode = require('./DaxErrorCode');
+
+// upper bounds in milliseconds of the latency histogram buckets, the last bucket is unbounded.
+const LATENCY_BUCKETS = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * Names of the metrics recorded by the client. Tags are noted in brackets.
+ */
+const MetricNames = {
+  // counters
+  Retries: 'dax.retries', // [operation, code]
+  Throttles: 'dax.throttles', // [operation]
+  RequestErrors: 'dax.request.errors', // [operation, code], calls failed after all retries
+  OperationErrors: 'dax.operation.errors', // [operation, code], failed attempts
+  PoolWaits: 'dax.pool.waits', // [node], allocations that found no idle connection
+  PoolConnects: 'dax.pool.connects', // [node]
+  PoolConnectErrors: 'dax.pool.connectErrors', // [node]
+  PoolResets: 'dax.pool.resets', // [node]
+  PoolExhausted: 'dax.pool.exhausted', // [node], requests rejected as too many were waiting
+  HealthChecks: 'dax.healthChecks', // [node, outcome]
+  Hedges: 'dax.hedges', // [operation], requests sent to a second node
+  HedgeWins: 'dax.hedgeWins', // [operation], hedged requests answered before the first one
+  CircuitTransitions: 'dax.circuit.transitions', // [node, state]
+  FallbackRequests: 'dax.fallback.requests', // [operation], calls sent to DynamoDB
+  FallbackThrottled: 'dax.fallback.throttled', // [operation], calls over the fallback rate
+  Coalesced: 'dax.coalesced', // [operation], reads that joined an identical one in flight
+  // gauges
+  PoolIdle: 'dax.pool.idle', // [node]
+  PoolBusy: 'dax.pool.busy', // [node]
+  PoolPendingConnects: 'dax.pool.pendingConnects', // [node]
+  PoolQueued: 'dax.pool.queued', // [node], requests waiting for a connection
+  Routes: 'dax.routes', // [role]
+  // histograms
+  OperationLatency: 'dax.operation.latency', // [operation], per attempt
+  HealthCheckLatency: 'dax.healthCheck.latency', // [node]
+};
+
+/**
+ * Aggregates the metrics in memory: counters are summed, gauges keep their last value and
+ * timings are kept as latency histograms. Read them with snapshot().
+ */
+class InMemorySink {
+  constructor() {
+    this.reset();
+  }
+
+  record(type, name, value, tags) {
+    let key = metricKey(name, tags);
+    switch(type) {
+      case 'counter': {
+        let counter = this._counters.get(key);
+        if(!counter) {
+          counter = {name: name, tags: tags || {}, value: 0};
+          this._counters.set(key, counter);
+        }
+        counter.value += value;
+        break;
+      }
+      case 'gauge':
+        this._gauges.set(key, {name: name, tags: tags || {}, value: value});
+        break;
+      case 'timing': {
+        let histogram = this._histograms.get(key);
+        if(!histogram) {
+          histogram = {name: name, tags: tags || {}, count: 0, sum: 0, min: Infinity, max: 0,
+            buckets: LATENCY_BUCKETS.map((le) => ({le: le, count: 0})).concat({le: Infinity, count: 0})};
+          this._histograms.set(key, histogram);
+        }
+        histogram.count++;
+        histogram.sum += value;
+        histogram.min = Math.min(histogram.min, value);
+        histogram.max = Math.max(histogram.max, value);
+        // buckets are cumulative, as in Prometheus.
+        for(let bucket of histogram.buckets) {
+          if(value <= bucket.le) {
+            bucket.count++;
+          }
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Returns a copy of the current values: {counters, gauges, histograms}.
+   */
+  snapshot() {
+    return {
+      counters: Array.from(this._counters.values(), (c) => Object.assign({}, c)),
+      gauges: Array.from(this._gauges.values(), (g) => Object.assign({}, g)),
+      histograms: Array.from(this._histograms.values(), (h) => Object.assign({}, h, {buckets: h.buckets.map((b) => Object.assign({}, b))})),
+    };
+  }
+
+  reset() {
+    this._counters = new Map();
+    this._gauges = new Map();
+    this._histograms = new Map();
+  }
+}
+
+/**
+ * Passes every recorded value to a function as {type, name, value, tags}, e.g. to push them to
+ * StatsD using Metrics.formatStatsd.
+ */
+class CallbackSink {
+  constructor(callback) {
+    this._callback = callback;
+  }
+
+  record(type, name, value, tags) {
+    try {
+      this._callback({type: type, name: name, value: value, tags: tags || {}});
+    } catch(err) {
+      // a broken sink must not fail requests.
+    }
+  }
+}
+
+class Metrics {
+  /**
+   * Creates the metrics of the 'metrics' setting:
+   *  - true: aggregated in memory, see snapshot()
+   *  - a function: called with every recorded value
+   *  - an object with a record(type, name, value, tags) method: used as the sink
+   * Metrics are not recorded without the setting.
+   */
+  static create(metrics) {
+    if(metrics instanceof Metrics) {
+      return metrics;
+    }
+    if(!metrics) {
+      return new Metrics(null);
+    }
+    if(metrics === true) {
+      return new Metrics(new InMemorySink());
+    }
+    if(typeof metrics === 'function') {
+      return new Metrics(new CallbackSink(metrics));
+    }
+    if(typeof metrics.record === 'function') {
+      return new Metrics(metrics);
+    }
+    throw new DaxClientError('metrics must be true, a function or an object with a record method', DaxErrorCode.IllegalArgument, false);
+  }
+
+  constructor(sink) {
+    this._sink = sink;
+    this.enabled = !!sink;
+  }
+
+  increment(name, tags, value) {
+    if(this._sink) {
+      this._sink.record('counter', name, value === undefined ? 1 : value, tags);
+    }
+  }
+
+  gauge(name, value, tags) {
+    if(this._sink) {
+      this._sink.record('gauge', name, value, tags);
+    }
+  }
+
+  timing(name, value, tags) {
+    if(this._sink) {
+      this._sink.record('timing', name, value, tags);
+    }
+  }
+
+  /**
+   * Returns the current values if the sink keeps them, null otherwise.
+   */
+  snapshot() {
+    return this._sink && typeof this._sink.snapshot === 'function' ? this._sink.snapshot() : null;
+  }
+
+  /**
+   * Formats a value passed to a callback sink as a StatsD line, with DogStatsD style tags.
+   */
+  static formatStatsd(metric, prefix) {
+    let type = metric.type === 'counter' ? 'c' : (metric.type === 'gauge' ? 'g' : 'ms');
+    let line = (prefix || '') + metric.name + ':' + metric.value + '|' + type;
+    let tags = Object.keys(metric.tags || {}).map((k) => k + ':' + metric.tags[k]);
+    return tags.length > 0 ? line + '|#' + tags.join(',') : line;
+  }
+
+  /**
+   * Formats a snapshot in the Prometheus text exposition format.
+   */
+  static formatPrometheus(snapshot) {
+    let lines = [];
+    let typed = new Set();
+    let declare = (name, type) => {
+      if(!typed.has(name)) {
+        typed.add(name);
+        lines.push('# TYPE ' + name + ' ' + type);
+      }
+    };
+
+    for(let c of snapshot.counters) {
+      let name = promName(c.name) + '_total';
+      declare(name, 'counter');
+      lines.push(name + promLabels(c.tags) + ' ' + c.value);
+    }
+    for(let g of snapshot.gauges) {
+      let name = promName(g.name);
+      declare(name, 'gauge');
+      lines.push(name + promLabels(g.tags) + ' ' + g.value);
+    }
+    for(let h of snapshot.histograms) {
+      let name = promName(h.name) + '_ms';
+      declare(name, 'histogram');
+      for(let b of h.buckets) {
+        lines.push(name + '_bucket' + promLabels(h.tags, {le: b.le === Infinity ? '+Inf' : String(b.le)}) + ' ' + b.count);
+      }
+      lines.push(name + '_sum' + promLabels(h.tags) + ' ' + h.sum);
+      lines.push(name + '_count' + promLabels(h.tags) + ' ' + h.count);
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+function metricKey(name, tags) {
+  if(!tags) {
+    return name;
+  }
+  return name + '|' + Object.keys(tags).sort().map((k) => k + '=' + tags[k]).join(',');
+}
+
+function promName(name) {
+  return name.replace(/[^a-zA-Z0-9_]/g, '_');
+}
+
+function promLabels(tags, extra) {
+  let all = Object.assign({}, tags, extra);
+  let keys = Object.keys(all);
+  if(keys.length === 0) {
+    return '';
+  }
+  return '{' + keys.map((k) => promName(k) + '="' + String(all[k]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"').join(',') + '}';
+}
+
+module.exports = {
+  Metrics: Metrics,
+  MetricNames: MetricNames,
+  InMemorySink: InMemorySink,
+  CallbackSink: CallbackSink,
+};
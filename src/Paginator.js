@@ -0,0 +1,156 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const DaxClientError = require('./DaxClientError');
+const DaxErrorCode = require('./DaxErrorCode');
+
+/**
+ * Async iterable of the pages of a query or scan. Each page is the response of one request,
+ * the next one starts at the LastEvaluatedKey of the previous one:
+ *
+ *   for await (const page of client.paginateQuery(params)) { ... }
+ *   for await (const item of client.paginateQuery(params).items()) { ... }
+ *
+ * Options:
+ *  - pageSize: maximum number of items per page, sent as Limit.
+ *  - maxItems: stop once this many items have been returned.
+ * The other options, e.g. abortSignal or deadline, are passed on to every request.
+ * Each iteration starts over at the ExclusiveStartKey of the params.
+ */
+class Paginator {
+  constructor(client, operation, params, options) {
+    options = Object.assign({}, options);
+    this._pageSize = options.pageSize || 0;
+    this._maxItems = options.maxItems != null ? options.maxItems : Infinity;
+    delete options.pageSize;
+    delete options.maxItems;
+    if(this._pageSize < 0 || !(this._maxItems >= 0)) {
+      throw new DaxClientError('pageSize and maxItems must be positive', DaxErrorCode.IllegalArgument, false);
+    }
+
+    this._client = client;
+    this._operation = operation;
+    this._params = params;
+    this._options = options;
+  }
+
+  [Symbol.asyncIterator]() {
+    let startKey = this._params.ExclusiveStartKey;
+    let remaining = this._maxItems;
+    let done = remaining <= 0;
+
+    let next = () => {
+      if(done) {
+        return Promise.resolve({value: undefined, done: true});
+      }
+
+      let params = Object.assign({}, this._params);
+      if(startKey) {
+        params.ExclusiveStartKey = startKey;
+      } else {
+        delete params.ExclusiveStartKey;
+      }
+      let limit = Math.min(this._pageSize || params.Limit || Infinity, remaining);
+      if(limit !== Infinity) {
+        params.Limit = limit;
+      }
+
+      return this._client[this._operation](params, this._options).promise().then((page) => {
+        if(page.Items && page.Items.length > remaining) {
+          // resume at the last item returned, so that the items cut off are not skipped. Without
+          // the key attributes in the items, the whole page is returned instead.
+          let lastKey = page.LastEvaluatedKey ? keyOf(page.Items[remaining - 1], page.LastEvaluatedKey) : null;
+          if(lastKey || !page.LastEvaluatedKey) {
+            page.Items = page.Items.slice(0, remaining);
+            page.Count = page.Items.length;
+            page.LastEvaluatedKey = lastKey || page.LastEvaluatedKey;
+          }
+        }
+        remaining -= page.Items ? page.Items.length : (page.Count || 0);
+        startKey = page.LastEvaluatedKey;
+        done = !startKey || remaining <= 0;
+        return {value: page, done: false};
+      }, (err) => {
+        done = true;
+        throw err;
+      });
+    };
+
+    return {
+      next: next,
+      return: (value) => {
+        done = true;
+        return Promise.resolve({value: value, done: true});
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  }
+
+  /**
+   * Returns an async iterable of the items of all pages.
+   */
+  items() {
+    return {
+      [Symbol.asyncIterator]: () => {
+        let pages = this[Symbol.asyncIterator]();
+        let items = [];
+        let idx = 0;
+
+        let next = () => {
+          if(idx < items.length) {
+            return Promise.resolve({value: items[idx++], done: false});
+          }
+          return pages.next().then((result) => {
+            if(result.done) {
+              return result;
+            }
+            items = result.value.Items || [];
+            idx = 0;
+            return next();
+          });
+        };
+
+        return {
+          next: next,
+          return: (value) => {
+            items = [];
+            return pages.return(value);
+          },
+          [Symbol.asyncIterator]() {
+            return this;
+          },
+        };
+      },
+    };
+  }
+}
+
+/**
+ * Returns the attributes of the item named in the given key, or null if the item lacks any of them.
+ */
+function keyOf(item, key) {
+  let itemKey = {};
+  for(let name of Object.keys(key)) {
+    if(!item || item[name] === undefined) {
+      return null;
+    }
+    itemKey[name] = item[name];
+  }
+  return itemKey;
+}
+
+module.exports = Paginator;
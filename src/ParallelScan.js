@@ -0,0 +1,193 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const Readable = require('stream').Readable;
+const DaxClientError = require('./DaxClientError');
+const DaxErrorCode = require('./DaxErrorCode');
+const Paginator = require('./Paginator');
+const TokenBucket = require('./TokenBucket');
+
+const DEFAULT_SEGMENTS = 4;
+// pages buffered per running segment before the segments wait for the consumer.
+const PAGES_BUFFERED_PER_SEGMENT = 2;
+
+/**
+ * Scans a table with several segments at once and yields the items of all segments, in no
+ * particular order:
+ *
+ *   for await (const item of client.parallelScan(params, {segments: 8})) { ... }
+ *   client.parallelScan(params).stream().pipe(...)
+ *
+ * Options:
+ *  - segments: the TotalSegments to split the table into, 4 by default.
+ *  - concurrency: how many segments are scanned at the same time, all of them by default.
+ *  - targetReadCapacity: read capacity units per second to stay under. The scan requests the
+ *    ConsumedCapacity of each page and waits once it used up its budget.
+ *  - pageSize: maximum number of items per request, sent as Limit.
+ * The other options, e.g. abortSignal or deadline, are passed on to every request.
+ * Each request goes to a route picked by the client, so the segments are spread over the nodes.
+ */
+class ParallelScan {
+  constructor(client, params, options) {
+    options = Object.assign({}, options);
+    this._segments = options.segments || DEFAULT_SEGMENTS;
+    this._concurrency = Math.min(options.concurrency || this._segments, this._segments);
+    this._targetReadCapacity = options.targetReadCapacity || 0;
+    if(!(this._segments >= 1) || !(this._concurrency >= 1) || this._targetReadCapacity < 0) {
+      throw new DaxClientError('segments, concurrency and targetReadCapacity must be positive', DaxErrorCode.IllegalArgument, false);
+    }
+    this._pageOptions = Object.assign({}, options);
+    delete this._pageOptions.segments;
+    delete this._pageOptions.concurrency;
+    delete this._pageOptions.targetReadCapacity;
+    delete this._pageOptions.maxItems;
+
+    this._params = Object.assign({}, params);
+    delete this._params.Segment;
+    delete this._params.TotalSegments;
+    delete this._params.ExclusiveStartKey;
+    if(this._targetReadCapacity && (!this._params.ReturnConsumedCapacity || this._params.ReturnConsumedCapacity === 'NONE')) {
+      this._params.ReturnConsumedCapacity = 'TOTAL';
+    }
+    this._client = client;
+  }
+
+  [Symbol.asyncIterator]() {
+    let bucket = this._targetReadCapacity ? new TokenBucket(this._targetReadCapacity) : null;
+    let pages = [];
+    let items = [];
+    let idx = 0;
+    let nextSegment = 0;
+    let running = 0;
+    let closed = false;
+    let error = null;
+    // resolves the consumer waiting for a page, and the segments waiting for the consumer.
+    let wakeConsumer = null;
+    let wakeProducers = [];
+
+    let notifyConsumer = () => {
+      if(wakeConsumer) {
+        let wake = wakeConsumer;
+        wakeConsumer = null;
+        wake();
+      }
+    };
+
+    let notifyProducers = () => {
+      let wake = wakeProducers;
+      wakeProducers = [];
+      wake.forEach((w) => w());
+    };
+
+    let hasRoom = () => pages.length < running * PAGES_BUFFERED_PER_SEGMENT;
+
+    let startSegment = () => {
+      let segment = nextSegment++;
+      running++;
+      let params = Object.assign({}, this._params, {Segment: segment, TotalSegments: this._segments});
+      let iterator = new Paginator(this._client, 'scan', params, this._pageOptions)[Symbol.asyncIterator]();
+
+      let step = () => {
+        if(closed) {
+          return Promise.resolve();
+        }
+        if(!hasRoom()) {
+          return new Promise((resolve) => wakeProducers.push(resolve)).then(step);
+        }
+        return (bucket ? bucket.waitForTokens() : Promise.resolve()).then(() => {
+          return closed ? {done: true} : iterator.next();
+        }).then((result) => {
+          if(result.done) {
+            return;
+          }
+          let page = result.value;
+          if(bucket && page.ConsumedCapacity) {
+            bucket.consume(page.ConsumedCapacity.CapacityUnits || 0);
+          }
+          pages.push(page.Items || []);
+          notifyConsumer();
+          return step();
+        });
+      };
+
+      step().then(() => {
+        running--;
+        if(nextSegment < this._segments && !closed) {
+          startSegment();
+        }
+        notifyConsumer();
+      }, (err) => {
+        running--;
+        if(!error) {
+          error = err;
+        }
+        closed = true;
+        notifyProducers();
+        notifyConsumer();
+      });
+    };
+
+    let started = false;
+    let next = () => {
+      if(!started) {
+        started = true;
+        while(nextSegment < this._concurrency) {
+          startSegment();
+        }
+      }
+      if(idx < items.length) {
+        return Promise.resolve({value: items[idx++], done: false});
+      }
+      if(error) {
+        return Promise.reject(error);
+      }
+      if(pages.length > 0) {
+        items = pages.shift();
+        idx = 0;
+        notifyProducers();
+        return next();
+      }
+      if(closed || (running === 0 && nextSegment >= this._segments)) {
+        return Promise.resolve({value: undefined, done: true});
+      }
+      return new Promise((resolve) => {
+        wakeConsumer = resolve;
+      }).then(next);
+    };
+
+    return {
+      next: next,
+      return: (value) => {
+        closed = true;
+        pages = [];
+        items = [];
+        notifyProducers();
+        return Promise.resolve({value: value, done: true});
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  }
+
+  /**
+   * Returns a readable stream of the items in object mode.
+   */
+  stream() {
+    return Readable.from(this);
+  }
+}
+
+module.exports = ParallelScan;
@@ -0,0 +1,188 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const DaxClientError = require('./DaxClientError');
+const DaxErrorCode = require('./DaxErrorCode');
+
+/**
+ * State of a single call through the client, shared by all of its attempts.
+ * Carries the abort state so that retries stop and in-flight attempts are
+ * cancelled once the caller gives up on the call, and the per-call timeout
+ * and deadline.
+ */
+class RequestContext {
+  constructor(operation, options) {
+    options = options || {};
+    this.operation = operation;
+    this.aborted = false;
+    this.abortError = null;
+    this._abortListeners = [];
+    // number of attempts made so far, and the tracing span of the call if tracing is on.
+    this.attempts = 0;
+    this.span = null;
+    // set once an attempt wrote the request to a node, after which a write may have been applied.
+    this.sent = false;
+
+    // timeout of a single attempt, overriding the client's requestTimeout.
+    this.timeout = options.timeout || 0;
+    // point in time (Date or epoch milliseconds) by which the whole call, including retries, must be done.
+    this.deadline = options.deadline ? Number(options.deadline) : 0;
+    if(this.timeout < 0 || isNaN(this.deadline)) {
+      throw new DaxClientError('timeout must be positive and deadline a Date or a timestamp', DaxErrorCode.IllegalArgument, false);
+    }
+    if(this.deadline) {
+      let remaining = this.remaining();
+      if(remaining <= 0) {
+        this.abort(RequestContext.deadlineExceeded());
+      } else {
+        this._deadlineTimer = setTimeout(() => this.abort(RequestContext.deadlineExceeded()), remaining);
+        this._deadlineTimer.unref();
+      }
+    }
+
+    let signal = options.abortSignal;
+    if(signal) {
+      if(typeof signal.addEventListener !== 'function') {
+        throw new DaxClientError('abortSignal must be an AbortSignal', DaxErrorCode.IllegalArgument, false);
+      }
+      if(signal.aborted) {
+        this.abort();
+      } else {
+        this._signal = signal;
+        this._onSignal = () => this.abort();
+        signal.addEventListener('abort', this._onSignal);
+      }
+    }
+  }
+
+  /**
+   * Returns a context for a part of the call, e.g. one of the requests of a hedged attempt. It shares
+   * the timeouts of the call and is aborted along with it, but can also be aborted on its own.
+   */
+  child() {
+    let child = new RequestContext(this.operation, {timeout: this.timeout});
+    // the deadline timer of the call aborts the child too.
+    child.deadline = this.deadline;
+    child.attempts = this.attempts;
+    child.span = this.span;
+    child._removeFromParent = this.onAbort((err) => child.abort(err));
+    return child;
+  }
+
+  /**
+   * Returns the milliseconds left until the deadline, or Infinity if there is none.
+   */
+  remaining() {
+    return this.deadline ? this.deadline - Date.now() : Infinity;
+  }
+
+  /**
+   * Returns the timeout to use for the next attempt: the per-call timeout, or the given default,
+   * shortened so that the attempt doesn't outlive the deadline. 0 means no timeout.
+   */
+  attemptTimeout(defaultTimeout) {
+    let timeout = this.timeout || defaultTimeout;
+    if(this.deadline) {
+      let remaining = Math.max(Math.ceil(this.remaining()), 1);
+      timeout = timeout > 0 ? Math.min(timeout, remaining) : remaining;
+    }
+    return timeout;
+  }
+
+  /**
+   * Returns how long to wait for the cluster before the next attempt: the given time, shortened
+   * so that the wait doesn't outlive the deadline.
+   */
+  waitTime(time) {
+    return Math.max(Math.min(time, this.remaining()), 0);
+  }
+
+  /**
+   * Aborts the call. Listeners registered with onAbort() are called with the abort error.
+   */
+  abort(err) {
+    if(this.aborted) {
+      return;
+    }
+    this.aborted = true;
+    this.abortError = err || new DaxClientError('Request aborted by user', DaxErrorCode.RequestAborted, false);
+
+    let listeners = this._abortListeners;
+    this._abortListeners = [];
+    for(let listener of listeners) {
+      listener(this.abortError);
+    }
+  }
+
+  /**
+   * Registers a listener called when the call is aborted, immediately if it already is.
+   * Returns a function that removes the listener.
+   */
+  onAbort(listener) {
+    if(this.aborted) {
+      listener(this.abortError);
+      return () => {};
+    }
+    this._abortListeners.push(listener);
+    return () => {
+      let idx = this._abortListeners.indexOf(listener);
+      if(idx >= 0) {
+        this._abortListeners.splice(idx, 1);
+      }
+    };
+  }
+
+  /**
+   * Returns a promise that settles like the given one, or rejects with the abort error
+   * as soon as the call is aborted.
+   */
+  race(promise) {
+    return new Promise((resolve, reject) => {
+      let removeListener = this.onAbort(reject);
+      promise.then((result) => {
+        removeListener();
+        resolve(result);
+      }, (err) => {
+        removeListener();
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Releases the abort signal and the deadline timer once the call has completed.
+   */
+  done() {
+    if(this._deadlineTimer) {
+      clearTimeout(this._deadlineTimer);
+      this._deadlineTimer = null;
+    }
+    if(this._signal) {
+      this._signal.removeEventListener('abort', this._onSignal);
+      this._signal = null;
+    }
+    if(this._removeFromParent) {
+      this._removeFromParent();
+      this._removeFromParent = null;
+    }
+    this._abortListeners = [];
+  }
+
+  static deadlineExceeded() {
+    return new DaxClientError('Request did not complete before its deadline', DaxErrorCode.RequestDeadlineExceeded, false);
+  }
+}
+
+module.exports = RequestContext;
@@ -15,21 +15,40 @@
 'use strict';
 const DaxClientError = require('./DaxClientError');
 const DaxErrorCode = require('./DaxErrorCode');
+const {RandomStrategy, RouteStats} = require('./RoutingStrategy');
 
 /**
- * Randomized router over an array of entries.
+ * Router over an array of entries. Entries are picked at random unless another routing
+ * strategy is given, in which case it decides using the in-flight counts and latencies
+ * recorded in the route stats.
+ *
+ * When a preferred zone is given, reads are routed to entries in that zone and only fall back
+ * to entries in other zones when none of the local ones are available.
  */
 class Router {
-  constructor(values, leaderCnt) {
+  constructor(values, leaderCnt, options) {
     if(!values) {
       throw new DaxClientError('routes must not be null', DaxErrorCode.IllegalArgument, false);
     }
     if(leaderCnt > values.length) {
       throw new DaxClientError('leader count must be <= routes', DaxErrorCode.IllegalArgument, false);
     }
+    options = options || {};
+    if(options.zones && options.zones.length !== values.length) {
+      throw new DaxClientError('zones must match routes', DaxErrorCode.IllegalArgument, false);
+    }
 
     this._values = values;
     this._leaderCnt = leaderCnt;
+    this._leaders = values.slice(0, leaderCnt);
+    this._zones = options.zones || [];
+    this._preferredZone = options.preferredZone || null;
+    this._local = this._preferredZone ? values.filter((value, i) => this._zones[i] === this._preferredZone) : [];
+    this._strategy = options.strategy || new RandomStrategy();
+    this._stats = options.stats || new RouteStats();
+    // {isAvailable(value), tryAcquire(value)}: entries that are not available are skipped, e.g.
+    // nodes whose circuit breaker is open, and the entry picked must be acquired.
+    this._admission = options.admission || null;
   }
 
   /**
@@ -38,7 +57,7 @@ class Router {
    * Returns null if nothing is available.
    */
   nextLeader(prev) {
-    let next = this._next(prev, this._leaderCnt);
+    let next = this._next(prev, this._leaders);
     if(!next || next === prev) {
       return this.nextAny(prev);
     }
@@ -47,28 +66,68 @@ class Router {
 
   /**
    * Returns any entry that is not the given prev value, if any such entry is available.
+   * Entries in the preferred zone are chosen first; other zones are only used when no local entry
+   * is available, or when the only local entry is prev.
    * If there is only one entry and that is equals to prev, prev is returned.
    * Returns null if nothing is available.
    */
   nextAny(prev) {
-    return this._next(prev, this._values.length);
+    if(this._local.length > 0) {
+      let next = this._next(prev, this._local);
+      if(next !== prev || this._local.length === this._values.length) {
+        return next;
+      }
+      // the only local entry is the one that just failed, so retry in another zone.
+    }
+    return this._next(prev, this._values);
+  }
+
+  /**
+   * Returns any available entry without acquiring it, for requests that are not tracked by the
+   * admission, e.g. fetching table metadata. Entries in the preferred zone are chosen first.
+   * Returns null if nothing is available.
+   */
+  peekAny() {
+    let values = this._values;
+    if(this._admission) {
+      let available = values.filter((value) => this._admission.isAvailable(value));
+      if(available.length > 0) {
+        values = available;
+      }
+    }
+    let local = values.filter((value) => this._local.indexOf(value) !== -1);
+    return this._pick(null, local.length > 0 ? local : values);
+  }
+
+  _next(prev, values) {
+    if(!this._admission) {
+      return this._pick(prev, values);
+    }
+    let available = values.filter((value) => this._admission.isAvailable(value));
+    // when no entry is available, keep routing to all of them rather than fail every request.
+    if(available.length > 0) {
+      values = available;
+    }
+    let first = this._pick(prev, values);
+    let next = first;
+    while(next && !this._admission.tryAcquire(next)) {
+      // e.g. a node on probation that doesn't get this request, pick among the others.
+      let declined = next;
+      values = values.filter((value) => value !== declined);
+      next = this._pick(prev, values);
+    }
+    return next || first;
   }
 
-  _next(prev, len) {
+  _pick(prev, values) {
+    let len = values.length;
     if(len === 0) {
       return null;
     }
     if(len === 1) {
-      return this._values[0];
+      return values[0];
     }
-    let idx = Math.floor(Math.random() * len);
-    if(this._values[idx] === prev) {
-      if(++idx >= len) {
-        idx -= len;
-      }
-    }
-
-    return this._values[idx];
+    return this._strategy.pick(values, prev, this._stats);
   }
 
   size() {
@@ -78,6 +137,23 @@ class Router {
   leadersCount() {
     return this._leaderCnt;
   }
+
+  localCount() {
+    return this._local.length;
+  }
+
+  /**
+   * Returns the number of routes in each zone, keyed by zone name.
+   * Routes without a known zone are counted under 'unknown'.
+   */
+  zoneCounts() {
+    let counts = {};
+    for(let i = 0; i < this._values.length; ++i) {
+      let zone = this._zones[i] || 'unknown';
+      counts[zone] = (counts[zone] || 0) + 1;
+    }
+    return counts;
+  }
 }
 
 module.exports = Router;
@@ -0,0 +1,238 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const DaxClientError = require('./DaxClientError');
+const DaxErrorCode = require('./DaxErrorCode');
+
+// weight of the newest sample in the latency moving average.
+const EWMA_ALPHA = 0.3;
+// a failed request counts as at least this many times the average latency, so that a node
+// failing fast doesn't look like the fastest one.
+const FAILURE_LATENCY_FACTOR = 2;
+
+/**
+ * In-flight request counts and observed latencies per backend client.
+ * Kept by the cluster so that they survive route rebuilds.
+ */
+class RouteStats {
+  constructor() {
+    this._stats = new WeakMap();
+  }
+
+  get(client) {
+    let stats = this._stats.get(client);
+    if(!stats) {
+      stats = {inFlight: 0, ewma: 0, samples: 0};
+      this._stats.set(client, stats);
+    }
+    return stats;
+  }
+
+  begin(client) {
+    this.get(client).inFlight++;
+  }
+
+  end(client, latency) {
+    let stats = this.get(client);
+    stats.inFlight = Math.max(stats.inFlight - 1, 0);
+    this._record(stats, latency);
+  }
+
+  /**
+   * Ends a request the node failed, recording a penalized latency.
+   */
+  fail(client, latency) {
+    let stats = this.get(client);
+    stats.inFlight = Math.max(stats.inFlight - 1, 0);
+    this._record(stats, Math.max(latency, stats.ewma * FAILURE_LATENCY_FACTOR));
+  }
+
+  /**
+   * Ends a request without recording its latency, e.g. one the caller gave up on.
+   */
+  cancel(client) {
+    let stats = this.get(client);
+    stats.inFlight = Math.max(stats.inFlight - 1, 0);
+  }
+
+  /**
+   * Seeds the latency of a client that has not served any request yet, e.g. with the
+   * connect latency measured by the health check.
+   */
+  seed(client, latency) {
+    let stats = this.get(client);
+    if(stats.samples === 0 && latency >= 0) {
+      stats.ewma = latency;
+    }
+  }
+
+  _record(stats, latency) {
+    stats.ewma = stats.samples === 0 ? latency : stats.ewma + EWMA_ALPHA * (latency - stats.ewma);
+    stats.samples++;
+  }
+}
+
+/**
+ * Picks a random entry, moving on to the next one if it hits prev.
+ */
+class RandomStrategy {
+  pick(values, prev, stats) {
+    let len = values.length;
+    let idx = Math.floor(Math.random() * len);
+    if(values[idx] === prev) {
+      if(++idx >= len) {
+        idx -= len;
+      }
+    }
+    return values[idx];
+  }
+}
+
+/**
+ * Cycles through the entries in order.
+ */
+class RoundRobinStrategy {
+  constructor() {
+    this._counter = 0;
+  }
+
+  pick(values, prev, stats) {
+    let next = this._next(values);
+    return next === prev ? this._next(values) : next;
+  }
+
+  _next(values) {
+    if(this._counter >= Number.MAX_SAFE_INTEGER) {
+      this._counter = 0;
+    }
+    return values[this._counter++ % values.length];
+  }
+}
+
+/**
+ * Picks the entry with the fewest requests in flight.
+ */
+class LeastOutstandingStrategy {
+  pick(values, prev, stats) {
+    return pickMin(candidates(values, prev), (value) => stats.get(value).inFlight);
+  }
+}
+
+/**
+ * Picks the entry with the lowest expected latency, using the moving average of observed
+ * latencies scaled by the number of requests already queued on it. Entries not measured yet,
+ * e.g. the nodes added by a route rebuild, count as average rather than as the fastest, so
+ * that they don't draw all the traffic until their first requests complete.
+ */
+class EwmaLatencyStrategy {
+  pick(values, prev, stats) {
+    let cs = candidates(values, prev);
+    let measured = cs.map((value) => stats.get(value)).filter((s) => s.samples > 0 || s.ewma > 0);
+    // with nothing measured, only the in-flight counts tell the entries apart.
+    let mean = measured.length > 0 ? measured.reduce((sum, s) => sum + s.ewma, 0) / measured.length : 1;
+    return pickMin(cs, (value) => {
+      let s = stats.get(value);
+      let ewma = s.samples > 0 || s.ewma > 0 ? s.ewma : mean;
+      return ewma * (s.inFlight + 1);
+    });
+  }
+}
+
+/**
+ * Picks two entries at random and uses the less loaded one, which avoids the herding of
+ * always choosing the global minimum.
+ */
+class PowerOfTwoChoicesStrategy {
+  pick(values, prev, stats) {
+    let cs = candidates(values, prev);
+    if(cs.length === 1) {
+      return cs[0];
+    }
+    let i = Math.floor(Math.random() * cs.length);
+    let j = Math.floor(Math.random() * (cs.length - 1));
+    if(j >= i) {
+      j++;
+    }
+    let a = stats.get(cs[i]);
+    let b = stats.get(cs[j]);
+    if(a.inFlight !== b.inFlight) {
+      return a.inFlight < b.inFlight ? cs[i] : cs[j];
+    }
+    return a.ewma <= b.ewma ? cs[i] : cs[j];
+  }
+}
+
+function candidates(values, prev) {
+  if(prev == null || values.length < 2) {
+    return values;
+  }
+  let cs = values.filter((value) => value !== prev);
+  return cs.length > 0 ? cs : values;
+}
+
+// Returns the entry with the lowest score, breaking ties randomly.
+function pickMin(values, score) {
+  let best = [];
+  let bestScore = Infinity;
+  for(let value of values) {
+    let s = score(value);
+    if(s < bestScore) {
+      bestScore = s;
+      best = [value];
+    } else if(s === bestScore) {
+      best.push(value);
+    }
+  }
+  return best[Math.floor(Math.random() * best.length)];
+}
+
+const STRATEGIES = {
+  random: RandomStrategy,
+  roundRobin: RoundRobinStrategy,
+  leastOutstanding: LeastOutstandingStrategy,
+  ewmaLatency: EwmaLatencyStrategy,
+  powerOfTwoChoices: PowerOfTwoChoicesStrategy,
+};
+
+class RoutingStrategy {
+  /**
+   * Creates the routing strategy named by the 'routingStrategy' setting. An object with a
+   * pick(values, prev, stats) method is used as is. Defaults to random.
+   */
+  static create(strategy) {
+    if(!strategy) {
+      return new RandomStrategy();
+    }
+    if(typeof strategy.pick === 'function') {
+      return strategy;
+    }
+    let Strategy = STRATEGIES[strategy];
+    if(!Strategy) {
+      throw new DaxClientError('Unknown routing strategy: ' + strategy + ', must be one of: ' + Object.keys(STRATEGIES),
+        DaxErrorCode.IllegalArgument, false);
+    }
+    return new Strategy();
+  }
+}
+
+module.exports = {
+  RoutingStrategy: RoutingStrategy,
+  RouteStats: RouteStats,
+  RandomStrategy: RandomStrategy,
+  RoundRobinStrategy: RoundRobinStrategy,
+  LeastOutstandingStrategy: LeastOutstandingStrategy,
+  EwmaLatencyStrategy: EwmaLatencyStrategy,
+  PowerOfTwoChoicesStrategy: PowerOfTwoChoicesStrategy,
+};
@@ -25,7 +25,8 @@ class SimpleCache {
     this._size = size;
     this._fetch = fetch;
     this._cache = CacheFactory.create(type, size);
-    this._reqOnFly = {};
+    // fetches in progress, by the key of the cache.
+    this._reqOnFly = new Map();
   }
 
   get(key) {
@@ -34,21 +35,22 @@ class SimpleCache {
       // already have at local
       return Promise.resolve(value);
     } else {
-      if(!this._reqOnFly[key]) {
+      let hashedKey = this._cache.keyOf(key);
+      if(!this._reqOnFly.has(hashedKey)) {
         // no request on fly
         let p = this._fetch(key).then((val) => {
           this._cache.put(key, val);
-          delete this._reqOnFly[key];
+          this._reqOnFly.delete(hashedKey);
           return Promise.resolve(val);
         }).catch((err) => {
-          delete this._reqOnFly[key];
+          this._reqOnFly.delete(hashedKey);
           throw err;
         });
-        this._reqOnFly[key] = p;
+        this._reqOnFly.set(hashedKey, p);
         return p;
       } else {
         // request on fly
-        return this._reqOnFly[key];
+        return this._reqOnFly.get(hashedKey);
       }
     }
   }
@@ -69,6 +71,10 @@ class SimpleCache {
   remove(key) {
     this._cache.remove(key);
   }
+
+  stats() {
+    return this._cache.stats();
+  }
 }
 
 module.exports = SimpleCache;
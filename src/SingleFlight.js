@@ -0,0 +1,113 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const DaxClientError = require('./DaxClientError');
+const DaxErrorCode = require('./DaxErrorCode');
+const RequestContext = require('./RequestContext');
+const {MetricNames} = require('./Metrics');
+const Util = require('./Util');
+
+const READ_OPERATIONS = ['batchGetItem', 'getItem', 'query', 'scan', 'transactGetItems'];
+
+/**
+ * Shares one request among identical reads in flight at the same time, configured with the
+ * 'singleFlight' setting, true to coalesce getItem calls or:
+ *  - operations: the reads to coalesce, getItem by default.
+ *
+ * Reads are identical when all of their parameters are, e.g. table, key, projection and
+ * consistency. Each caller gets its own copy of the result. A caller that aborts or reaches its
+ * deadline leaves the shared request running for the others; it is only aborted once all of
+ * its callers left.
+ */
+class SingleFlight {
+  static create(config, metrics) {
+    if(!config) {
+      return null;
+    }
+    return new SingleFlight(config === true ? {} : config, metrics);
+  }
+
+  constructor(options, metrics) {
+    let operations = options.operations || ['getItem'];
+    for(let operation of operations) {
+      if(READ_OPERATIONS.indexOf(operation) < 0) {
+        throw new DaxClientError('Only reads can be coalesced, must be some of: ' + READ_OPERATIONS,
+          DaxErrorCode.IllegalArgument, false);
+      }
+    }
+    this._operations = new Set(operations);
+    this._metrics = metrics;
+    this._flights = new Map();
+  }
+
+  /**
+   * Runs call(params, context), or joins the identical call already in flight.
+   */
+  run(opname, params, context, call) {
+    if(!this._operations.has(opname)) {
+      return call(params, context);
+    }
+
+    let key = opname + ':' + Util.canonicalJson(params);
+    let flight = this._flights.get(key);
+    if(flight) {
+      this._metrics.increment(MetricNames.Coalesced, {operation: opname});
+    } else {
+      flight = this._start(key, opname, params, context, call);
+    }
+
+    flight.callers++;
+    let leave = () => {
+      if(--flight.callers === 0 && this._flights.get(key) === flight) {
+        // everyone gave up on the request.
+        this._flights.delete(key);
+        flight.context.abort();
+      }
+    };
+    return context.race(flight.promise).then((data) => {
+      leave();
+      return Util.deepCopy(data);
+    }, (err) => {
+      leave();
+      throw err;
+    });
+  }
+
+  _start(key, opname, params, context, call) {
+    // the shared request doesn't belong to any of its callers, who may each abort or time out.
+    let shared = new RequestContext(opname, {timeout: context.timeout});
+    shared.span = context.span;
+    let flight = {context: shared, callers: 0};
+    let finish = () => {
+      shared.done();
+      if(this._flights.get(key) === flight) {
+        this._flights.delete(key);
+      }
+    };
+    flight.promise = call(params, shared).then((data) => {
+      finish();
+      return data;
+    }, (err) => {
+      finish();
+      throw err;
+    });
+    // callers that left don't handle the rejection.
+    flight.promise.catch(() => {});
+    this._flights.set(key, flight);
+    return flight;
+  }
+}
+
+module.exports = SingleFlight;
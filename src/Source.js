@@ -18,7 +18,21 @@ const net = require('net');
 const Util = require('./Util');
 const DaxClientError = require('./DaxClientError');
 const DaxErrorCode = require('./DaxErrorCode');
+const DaxClientEvents = require('./DaxClientEvents');
 
+const LEADER_ROLE = 1;
+const REPLICA_ROLE = 2;
+
+/**
+ * Sources tell the cluster which nodes there are. A source is any object with a refresh(callback)
+ * method that passes the current endpoints to cluster.update() and calls back, with an error if
+ * the nodes could not be determined. If it has an attach(cluster) method, it is called first
+ * with the cluster to update. Refresh is called at startup and then periodically.
+ *
+ * A source can be given with the 'source' setting, by default the nodes are discovered through
+ * the seed 'endpoints'. The scheme of the 'endpoints', if any, still decides whether to use TLS.
+ * The sources made here serve a single client each.
+ */
 class Source {
   static autoconf(cluster, seeds) {
     if(!seeds || !seeds.length) {
@@ -26,23 +40,99 @@ class Source {
     }
     return new AutoconfSource(cluster, seeds);
   }
-}
 
-class AutoconfSource {
-  constructor(cluster, seeds) {
-    this._cluster = cluster;
-    this._seeds = seeds;
+  /**
+   * A fixed list of nodes, used as is without discovery. Nodes are 'host:port' strings or objects
+   * {host, port, role, zone, nodeId}, role being 'leader' or 'replica'. Writes go to the leader,
+   * the first node unless one is marked as leader.
+   */
+  static static(nodes) {
+    let endpoints = Source.toEndpoints(nodes);
+    return new NodeListSource(() => endpoints);
   }
 
-  refresh(callback) {
-    this._pullWithRetry(this._seeds, (err, cfg) => {
-      if(err) {
-        callback(err);
-      } else {
-        this._checkConfig(cfg);
-        callback();
+  /**
+   * Nodes listed by the SRV records of the given DNS name, looked up on every refresh. The record
+   * with the lowest priority value is the leader.
+   */
+  static fromDnsSrv(name) {
+    return new NodeListSource(() => {
+      return new Promise((resolve, reject) => {
+        dns.resolveSrv(name, (err, records) => err ? reject(err) : resolve(records));
+      }).then((records) => {
+        records.sort((a, b) => a.priority - b.priority || b.weight - a.weight);
+        return Source.toEndpoints(records.map((record, i) => ({
+          host: record.name,
+          port: record.port,
+          role: i === 0 ? 'leader' : 'replica',
+        })));
+      });
+    });
+  }
+
+  /**
+   * Nodes returned by the given function on every refresh, as a list or a promise of one,
+   * in the format of Source.static.
+   */
+  static fromFunction(fn) {
+    if(typeof fn !== 'function') {
+      throw new DaxClientError('source must be a function', DaxErrorCode.IllegalArgument, false);
+    }
+    return new NodeListSource(() => Promise.resolve().then(fn).then((nodes) => Source.toEndpoints(nodes)));
+  }
+
+  /**
+   * Prepares a source given with the 'source' setting for the cluster.
+   */
+  static attach(source, cluster) {
+    if(!source || typeof source.refresh !== 'function') {
+      throw new DaxClientError('source must have a refresh method', DaxErrorCode.IllegalArgument, false);
+    }
+    if(typeof source.attach === 'function') {
+      source.attach(cluster);
+    }
+    return source;
+  }
+
+  /**
+   * Converts a list of nodes in the format of Source.static to cluster endpoints.
+   */
+  static toEndpoints(nodes) {
+    if(!Array.isArray(nodes) || nodes.length === 0) {
+      throw new DaxClientError('source provided no nodes', DaxErrorCode.NoRoute);
+    }
+    let endpoints = nodes.map((node) => {
+      if(typeof node === 'string') {
+        node = Util.parseHostPort(node);
+      }
+      let host = node.host || node.address || node.hostname;
+      let port = parseInt(node.port);
+      if(!host || !port) {
+        throw new DaxClientError('Invalid node: ' + JSON.stringify(node), DaxErrorCode.IllegalArgument, false);
       }
+      let role = (node.role === 'leader' || node.role === LEADER_ROLE) ? LEADER_ROLE : REPLICA_ROLE;
+      return Util.serviceEndpointFrom(node.nodeId || host + ':' + port, host, net.isIP(host) ? host : null, port,
+        role, node.zone, 1);
     });
+    if(!endpoints.some((ep) => ep.role === LEADER_ROLE)) {
+      endpoints[0].role = LEADER_ROLE;
+    }
+    return endpoints;
+  }
+}
+
+class BaseSource {
+  constructor(cluster) {
+    this._cluster = cluster;
+  }
+
+  attach(cluster) {
+    // the nodes last seen are kept for the cluster refreshed, which must stay the same.
+    if(this._cluster && this._cluster !== cluster) {
+      throw new DaxClientError('source is already used by another client, create one source per client',
+        DaxErrorCode.IllegalArgument, false);
+    }
+    this._cluster = cluster;
   }
 
   _checkConfig(newCfg) {
@@ -57,6 +147,50 @@ class AutoconfSource {
     this._cluster.update(latest);
   }
 
+  _refreshFailed(err, callback) {
+    this._cluster.notify(DaxClientEvents.RefreshFailed, {reason: err.message, error: err});
+    callback(err);
+  }
+}
+
+/**
+ * Endpoints provided by a function returning them or a promise of them.
+ */
+class NodeListSource extends BaseSource {
+  constructor(nodes) {
+    super(null);
+    this._nodes = nodes;
+  }
+
+  refresh(callback) {
+    Promise.resolve().then(() => this._nodes()).then((cfg) => {
+      this._checkConfig(cfg);
+    }).then(() => callback(), (err) => this._refreshFailed(err, callback)).catch((err) => {
+      this._cluster._logger.error('caught exception in source refresh callback', {error: err});
+    });
+  }
+}
+
+/**
+ * Endpoints pulled from the nodes of the cluster, starting with the seed hosts.
+ */
+class AutoconfSource extends BaseSource {
+  constructor(cluster, seeds) {
+    super(cluster);
+    this._seeds = seeds;
+  }
+
+  refresh(callback) {
+    this._pullWithRetry(this._seeds, (err, cfg) => {
+      if(err) {
+        this._refreshFailed(err, callback);
+      } else {
+        this._checkConfig(cfg);
+        callback();
+      }
+    });
+  }
+
   _resolveAddr(dests, index, callback) {
     if(index >= dests.length) {
       return callback(new DaxClientError('not able to resolve address: ' + JSON.stringify(dests), DaxErrorCode.NoRoute));
@@ -77,12 +211,12 @@ class AutoconfSource {
       // console.log(`Resolving ${dest.host}...`);
       dns.resolve(dest.host, (err, addrs) => {
         if(err) {
-          console.error(`Failed to resolve ${dest.host}:`, err);
+          this._cluster._logger.error('failed to resolve seed host', {host: dest.host, error: err});
           this._resolveAddr(dests, index + 1, callback);
         } else {
           this._pull(addrs, dest.port, (err, newCfg) => {
             if(err) {
-              console.error(`Failed to pull from ${dest.host} (${addrs}):`, err);
+              this._cluster._logger.error('failed to pull endpoints from seed host', {host: dest.host, addresses: addrs, error: err});
               this._resolveAddr(dests, index + 1, callback);
             } else {
               return callback(null, newCfg);
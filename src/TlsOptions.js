@@ -0,0 +1,131 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const DaxClientError = require('./DaxClientError');
+const DaxErrorCode = require('./DaxErrorCode');
+const crypto = require('crypto');
+const tls = require('tls');
+
+const TLS_VERSIONS = ['TLSv1', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3'];
+
+/**
+ * TLS settings of the connections to encrypted (daxs://) clusters, configured with the 'tls' setting:
+ *  - ca: the certificates trusted instead of the default ones, PEM strings or Buffers.
+ *  - minVersion: the lowest TLS version accepted, e.g. 'TLSv1.2', the Node.js default otherwise.
+ *  - ciphers: the cipher suites allowed, in the OpenSSL format, the Node.js default otherwise.
+ *  - fingerprints: SHA-256 fingerprints of the certificates accepted, hex with or without colons.
+ *  - publicKeyPins: base64 SHA-256 hashes of the public keys accepted, as in HTTP public key pinning.
+ *  - sessionResumption: resume the TLS session of the previous connection to the same node, so
+ *    that reconnects skip the full handshake, true by default.
+ *
+ * Pins match any certificate of the chain presented by the node, so an intermediate or root may
+ * be pinned as well as the node certificate. With pins set, a connection is accepted if at least
+ * one certificate matches one of the fingerprints or public keys, on top of the usual verification.
+ */
+class TlsOptions {
+  static create(config) {
+    if(config instanceof TlsOptions) {
+      return config;
+    }
+    return new TlsOptions(config || {});
+  }
+
+  constructor(options) {
+    if(options.minVersion && TLS_VERSIONS.indexOf(options.minVersion) < 0) {
+      throw new DaxClientError('tls minVersion must be one of: ' + TLS_VERSIONS, DaxErrorCode.IllegalArgument, false);
+    }
+    this._ca = options.ca;
+    this._minVersion = options.minVersion;
+    this._ciphers = options.ciphers;
+    this._fingerprints = new Set((options.fingerprints || []).map((fingerprint) => {
+      let hex = String(fingerprint).replace(/:/g, '').toUpperCase();
+      if(!/^[0-9A-F]{64}$/.test(hex)) {
+        throw new DaxClientError('tls fingerprints must be SHA-256 fingerprints: ' + fingerprint,
+          DaxErrorCode.IllegalArgument, false);
+      }
+      return hex;
+    }));
+    this._publicKeyPins = new Set((options.publicKeyPins || []).map((pin) => {
+      if(!/^[A-Za-z0-9+/]{43}=$/.test(pin)) {
+        throw new DaxClientError('tls publicKeyPins must be base64 SHA-256 hashes: ' + pin,
+          DaxErrorCode.IllegalArgument, false);
+      }
+      return pin;
+    }));
+    this.sessionResumption = options.sessionResumption !== false;
+    // sessionResumption alone changes nothing on unencrypted clusters either way.
+    this._configured = !!(this._ca || this._minVersion || this._ciphers) ||
+      this._fingerprints.size > 0 || this._publicKeyPins.size > 0;
+  }
+
+  /**
+   * Returns true if any setting of the handshake was given.
+   */
+  configured() {
+    return this._configured;
+  }
+
+  /**
+   * Returns the options of tls.connect() for the given host and port. Unless hostname verification
+   * is skipped, the certificate must be valid for verifiedHost.
+   */
+  connectOptions(host, port, verifiedHost, skipHostnameVerification, session) {
+    let options = {
+      host: host,
+      port: port,
+      checkServerIdentity: (_, cert) => {
+        let err = skipHostnameVerification ? undefined : tls.checkServerIdentity(verifiedHost, cert);
+        return err || this.checkPins(cert);
+      },
+    };
+    if(this._ca) {
+      options.ca = this._ca;
+    }
+    if(this._minVersion) {
+      options.minVersion = this._minVersion;
+    }
+    if(this._ciphers) {
+      options.ciphers = this._ciphers;
+    }
+    if(session && this.sessionResumption) {
+      options.session = session;
+    }
+    return options;
+  }
+
+  /**
+   * Returns an error if pins are set and no certificate of the chain matches them.
+   */
+  checkPins(cert) {
+    if(this._fingerprints.size === 0 && this._publicKeyPins.size === 0) {
+      return undefined;
+    }
+    let seen = new Set();
+    for(let c = cert; c && !seen.has(c); c = c.issuerCertificate) {
+      seen.add(c);
+      if(c.fingerprint256 && this._fingerprints.has(c.fingerprint256.replace(/:/g, ''))) {
+        return undefined;
+      }
+      if(c.pubkey && this._publicKeyPins.has(crypto.createHash('sha256').update(c.pubkey).digest('base64'))) {
+        return undefined;
+      }
+    }
+    let err = new Error('The certificate chain matches none of the pinned fingerprints or public keys');
+    err.code = 'ERR_TLS_CERT_PIN_MISMATCH';
+    return err;
+  }
+}
+
+module.exports = TlsOptions;
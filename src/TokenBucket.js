@@ -0,0 +1,66 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+
+/**
+ * Token bucket refilled at a fixed rate per second, holding at most one second worth of tokens.
+ * Tokens may be consumed beyond what is available, e.g. when the cost of a request is only known
+ * once it completed; the debt is paid back before the bucket lets anyone through again.
+ */
+class TokenBucket {
+  constructor(ratePerSecond) {
+    this._rate = ratePerSecond;
+    this._capacity = ratePerSecond;
+    this._tokens = ratePerSecond;
+    this._lastRefill = Date.now();
+  }
+
+  _refill() {
+    let now = Date.now();
+    this._tokens = Math.min(this._capacity, this._tokens + (now - this._lastRefill) * this._rate / 1000);
+    this._lastRefill = now;
+  }
+
+  consume(tokens) {
+    this._refill();
+    this._tokens -= tokens;
+  }
+
+  /**
+   * Takes the given number of tokens if they are available, returns false otherwise.
+   */
+  tryConsume(tokens) {
+    this._refill();
+    if(this._tokens < tokens) {
+      return false;
+    }
+    this._tokens -= tokens;
+    return true;
+  }
+
+  /**
+   * Returns a promise resolved once the bucket holds tokens again.
+   */
+  waitForTokens() {
+    this._refill();
+    if(this._tokens > 0) {
+      return Promise.resolve();
+    }
+    let delay = Math.ceil((-this._tokens + 1) * 1000 / this._rate);
+    return new Promise((resolve) => setTimeout(resolve, delay)).then(() => this.waitForTokens());
+  }
+}
+
+module.exports = TokenBucket;
@@ -0,0 +1,167 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const DaxClientError = require('./DaxClientError');
+const DaxErrorCode = require('./DaxErrorCode');
+
+// values of the OpenTelemetry SpanKind and SpanStatusCode enums.
+const SPAN_KIND_CLIENT = 2;
+const SPAN_STATUS_ERROR = 2;
+
+/**
+ * Produces a span per call and a child span per attempt of the call, using a tracer with the
+ * OpenTelemetry API shape: startSpan(name, options, context) returning spans with setAttribute,
+ * setStatus, recordException and end.
+ *
+ * Attempt spans are parented to the call span through the context API of @opentelemetry/api.
+ * It is taken from the 'tracingApi' setting, or loaded if the application has it installed;
+ * without it, attempt spans are parented like the call span.
+ */
+class Tracing {
+  static create(tracer, api) {
+    if(tracer instanceof Tracing) {
+      return tracer;
+    }
+    if(tracer && typeof tracer.startSpan !== 'function') {
+      throw new DaxClientError('tracer must have a startSpan method', DaxErrorCode.IllegalArgument, false);
+    }
+    return new Tracing(tracer, tracer ? (api || loadApi()) : null);
+  }
+
+  constructor(tracer, api) {
+    this._tracer = tracer || null;
+    this._api = api || null;
+    this.enabled = !!tracer;
+  }
+
+  /**
+   * Runs call() within a span for the whole call, including retries. The span is kept on the
+   * request context so that the attempts can be traced as its children.
+   */
+  traceCall(operation, params, context, call) {
+    if(!this.enabled) {
+      return call();
+    }
+
+    let attributes = {
+      'db.system': 'dynamodb',
+      'db.operation': operation,
+      'rpc.system': 'dax',
+    };
+    let tables = tableNames(params);
+    if(tables.length > 0) {
+      attributes['aws.dynamodb.table_names'] = tables;
+    }
+    let span = this._tracer.startSpan('DAX.' + operation, {kind: SPAN_KIND_CLIENT, attributes: attributes});
+    if(context) {
+      context.span = span;
+    }
+    return this._end(span, call);
+  }
+
+  /**
+   * Runs attempt() within a child span of the call span of the given context.
+   */
+  traceAttempt(context, client, attempt) {
+    if(!this.enabled || !context || !context.span) {
+      return attempt();
+    }
+
+    let attributes = {
+      'db.system': 'dynamodb',
+      'db.operation': context.operation,
+      'dax.attempt': context.attempts,
+    };
+    let address = client && typeof client.address === 'function' ? client.address() : null;
+    if(address) {
+      attributes['net.peer.name'] = address.host;
+      attributes['net.peer.port'] = address.port;
+    }
+    let parent = this._api ? this._api.trace.setSpan(this._api.context.active(), context.span) : undefined;
+    let span = this._tracer.startSpan('DAX.' + context.operation + ' attempt', {kind: SPAN_KIND_CLIENT, attributes: attributes}, parent);
+    return this._end(span, attempt);
+  }
+
+  /**
+   * Runs call() and ends the span once it settles, or at once if it throws.
+   */
+  _end(span, call) {
+    let promise;
+    try {
+      promise = call();
+    } catch(err) {
+      this._fail(span, err);
+      throw err;
+    }
+    return promise.then((result) => {
+      let capacity = result && result.ConsumedCapacity;
+      if(capacity) {
+        // as in the semantic conventions, a JSON string per consumed capacity entry.
+        span.setAttribute('aws.dynamodb.consumed_capacity', (Array.isArray(capacity) ? capacity : [capacity]).map((c) => JSON.stringify(c)));
+      }
+      span.end();
+      return result;
+    }, (err) => {
+      this._fail(span, err);
+      throw err;
+    });
+  }
+
+  _fail(span, err) {
+    let code = (err && err.code) || 'unknown';
+    span.setAttribute('error.type', code);
+    span.setAttribute('dax.error.code', code);
+    if(err instanceof Error) {
+      span.recordException(err);
+    }
+    span.setStatus({code: SPAN_STATUS_ERROR, message: err && err.message});
+    span.end();
+  }
+}
+
+function loadApi() {
+  try {
+    return require('@opentelemetry/api');
+  } catch(err) {
+    return null;
+  }
+}
+
+// Returns the names of the tables the request refers to.
+function tableNames(params) {
+  if(!params) {
+    return [];
+  }
+  if(params.TableName) {
+    return [params.TableName];
+  }
+  if(params.RequestItems) {
+    return Object.keys(params.RequestItems);
+  }
+  if(Array.isArray(params.TransactItems)) {
+    let tables = new Set();
+    for(let item of params.TransactItems) {
+      for(let key of Object.keys(item)) {
+        if(item[key] && item[key].TableName) {
+          tables.add(item[key].TableName);
+        }
+      }
+    }
+    return Array.from(tables);
+  }
+  return [];
+}
+
+module.exports = Tracing;
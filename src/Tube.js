@@ -21,6 +21,9 @@ const SessionVersion = require('./SessionVersion');
 const SigV4Gen = require('./SigV4Gen');
 const StreamBuffer = require('./ByteStreamBuffer');
 const ControllablePromise = require('./ControllablePromise');
+const TlsOptions = require('./TlsOptions');
+const Logger = require('./Logger');
+const {Metrics, MetricNames} = require('./Metrics');
 const {ENCRYPTED_SCHEME} = require('./Util');
 const net = require('net');
 const tls = require('tls');
@@ -44,7 +47,7 @@ class TimeoutError extends DaxClientError {
 exports.USER_AGENT = USER_AGENT;
 
 class ClientTube {
-  constructor(socket, version, credProvider, region) {
+  constructor(socket, version, credProvider, region, logger) {
     this.cbor = new CborEncoder();
     if(!ClientTube.ENCODED_INIT_PREFIX) {
       // lazily initialize ClientTube cbor encoder/context.
@@ -62,11 +65,13 @@ class ClientTube {
     this._region = region;
     this._credProvider = credProvider;
     this._sessionVersion = version;
+    this._logger = Logger.create(logger);
     this.requestBuffer = new StreamBuffer();
     this.responseBuffer = new StreamBuffer();
     this._init(version.session);
 
     this._closed = false;
+    this._skipRequest = null;
     this.socket.on('close', (had_error) => {
       // If the server closes the socket for some reason, mark the tube as closed
       this._closed = true;
@@ -109,6 +114,23 @@ class ClientTube {
     this._cleanupListeners();
   }
 
+  /**
+   * Returns a promise resolved once the socket is closed. A socket still open after the
+   * timeout, e.g. because the other end never finishes the shutdown, is destroyed.
+   */
+  whenClosed(timeout) {
+    if(this.socket.destroyed) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      let timer = setTimeout(() => this.socket.destroy(), timeout);
+      this.socket.once('close', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+  }
+
   _cleanupListeners() {
     // don't use removeAllListeners() to remove all listeners since there
     // are some default system listeners that deal with socket end/close event.
@@ -119,7 +141,19 @@ class ClientTube {
     }
   }
 
+  /**
+   * Drops the request about to be written, e.g. one aborted before it was sent, and calls done
+   * once it would have been flushed, when the tube can serve another request.
+   */
+  skipRequest(done) {
+    this._skipRequest = done;
+  }
+
   write(data) {
+    if(this._closed || this._skipRequest) {
+      // the request was abandoned before it was sent, nothing can be written anymore.
+      return;
+    }
     this.requestBuffer.write(data);
     if(this.requestBuffer.length >= DEFAULT_FLUSH_SIZE) {
       this.socket.write(this.requestBuffer.read());
@@ -127,15 +161,30 @@ class ClientTube {
   }
 
   flush(data) {
-    if(this.requestBuffer.length > 0) {
+    if(this._skipRequest) {
+      let done = this._skipRequest;
+      this._skipRequest = null;
+      done();
+      return;
+    }
+    if(this.requestBuffer.length > 0 && !this._closed) {
       this.socket.write(this.requestBuffer.read());
     }
   }
 
+  /**
+   * Returns true if reauth() would authenticate the connection again.
+   */
+  needsReauth() {
+    let currTime = Date.now();
+    return this._authExp - currTime <= this._tubeWindow
+      || currTime - this._lastPoolAuth >= this._poolWindow;
+  }
+
   reauth() {
     let currTime = Date.now();
-    if(this._authExp - currTime <= this._tubeWindow
-        || currTime - this._lastPoolAuth >= this._poolWindow) {
+    if(this.needsReauth()) {
+      this._logger.debug('reauthenticating connection', {host: this.socket.remoteAddress, port: this.socket.remotePort});
       return this._credProvider.resolvePromise().then((creds) => {
         this._checkAndUpdateAccessKeyId(creds.accessKeyId);
         this._lastPoolAuth = currTime;
@@ -190,7 +239,19 @@ class ClientTube {
 }
 
 class SocketTubePool {
-  constructor(hostname, port, credProvider, region, idleTimeout, connectTimeout, tube, seeds, skipHostnameVerification) {
+  /**
+   * options:
+   *  - logger, metrics: see Logger and Metrics.
+   *  - maxConnections: connections open to the node at most, unlimited by default. Requests wait
+   *    for a connection to be free once they are all open, see alloc().
+   *  - maxPendingConnects: connections being opened at the same time at most, 10 by default.
+   *  - maxQueuedRequests: requests waiting for a connection at most, besides those a connection is
+   *    being opened for, unlimited by default. Requests over it fail right away with PoolExhaustedException.
+   *  - minIdleConnections: idle connections kept open and authenticated, see maintain(), none by default.
+   *  - tls: the TLS settings of encrypted clusters, see TlsOptions.
+   */
+  constructor(hostname, port, credProvider, region, idleTimeout, connectTimeout, tube, seeds, skipHostnameVerification, options) {
+    options = options || {};
     this._hostname = hostname;
     this._port = port;
     this._headTube = null;
@@ -198,9 +259,27 @@ class SocketTubePool {
     this._region = region;
     this._credProvider = credProvider;
     this._sessionVersion = SessionVersion.create();
+    this._logger = Logger.create(options.logger);
+    this.metrics = Metrics.create(options.metrics);
+    this._metricTags = {node: hostname + ':' + port};
+
+    this._maxConnections = options.maxConnections || Infinity;
+    this._maxPendingConnects = options.maxPendingConnects || MAX_PENDING_CONNECTION;
+    this._maxQueuedRequests = options.maxQueuedRequests != null ? options.maxQueuedRequests : Infinity;
+    this._minIdleConnections = Math.min(options.minIdleConnections || 0, this._maxConnections);
+    this._maintaining = null;
+    this._closed = false;
+    if(!(this._maxConnections >= 1) || !(this._maxPendingConnects >= 1) || !(this._maxQueuedRequests >= 0)) {
+      throw new DaxClientError('maxConnections and maxPendingConnects must be positive, maxQueuedRequests not negative',
+        DaxErrorCode.IllegalArgument, false);
+    }
 
     this._pendingConnection = 0;
     this._pendingJob = [];
+    // number of the pending jobs still waiting.
+    this._queued = 0;
+    // every open connection of the pool, idle or not.
+    this._tubes = new Set();
 
     this._idleTimeout = idleTimeout || 5000;
     this._connectTimeout = connectTimeout || 10000;
@@ -217,13 +296,47 @@ class SocketTubePool {
     this._skipHostnameVerification = skipHostnameVerification;
 
     if(!this._isEncrypted && this._skipHostnameVerification) {
-      console.warn('Skipping hostname verification for unencrypted clusters will have no effect.');
+      this._logger.warn('Skipping hostname verification for unencrypted clusters will have no effect.');
+    }
+    this._tls = TlsOptions.create(options.tls);
+    if(!this._isEncrypted && this._tls.configured()) {
+      this._logger.warn('TLS settings for unencrypted clusters will have no effect.');
     }
+    // the session of the last connection, resumed by the next one, see TlsOptions.
+    this._tlsSession = null;
 
+    this._track(tube);
     this.recycle(tube);
   }
 
-  alloc() {
+  _track(tube) {
+    if(!tube || !tube.socket || tube.socket.destroyed) {
+      return;
+    }
+    this._tubes.add(tube);
+    tube.socket.once('close', () => {
+      this._tubes.delete(tube);
+      // a connection may be opened in its place for the requests waiting.
+      if(this._pendingJob.length > 0) {
+        this._allocForWaiting();
+      }
+    });
+  }
+
+  /**
+   * Returns a promise resolved once every connection of the pool is closed, see ClientTube.whenClosed.
+   */
+  whenClosed(timeout) {
+    return Promise.all(Array.from(this._tubes, (tube) => tube.whenClosed(timeout)));
+  }
+
+  /**
+   * Resolves to an idle connection, or one opened for the request, within the connect timeout.
+   * Once all maxConnections are open, the request waits for one to be free for queueTimeout,
+   * the time left for the request, or else the connect timeout, and then fails with
+   * PoolExhaustedException.
+   */
+  alloc(queueTimeout) {
     let tube = this._headTube;
     if(tube) {
       // open tube is available, so use it
@@ -237,60 +350,124 @@ class SocketTubePool {
         tube.socket.ref();
         tube._inPool = false;
       }
+      this._reportPool();
 
       return Promise.resolve(tube);
     } else {
       // no open available tubes, so try to create one
-      let wait = new ControllablePromise(this._connectTimeout, new TimeoutError(this._connectTimeout));
+      let connecting = this._canConnect();
+      // the requests served by the connections being opened don't count. The pool being full
+      // isn't a failure of the node, so the request isn't retried against it.
+      if(!connecting && this._queued - this._pendingConnection >= this._maxQueuedRequests) {
+        this.metrics.increment(MetricNames.PoolExhausted, this._metricTags);
+        return Promise.reject(new DaxClientError('Too many requests waiting for a connection to ' + this._hostname + ':' + this._port,
+          DaxErrorCode.PoolExhausted, false));
+      }
+      this._logger.debug('no idle connection available, waiting for a new one', {host: this._hostname, port: this._port});
+      this.metrics.increment(MetricNames.PoolWaits, this._metricTags);
+      let settled = () => {
+        this._queued--;
+        this._reportPool();
+      };
+      let wait;
+      if(connecting) {
+        wait = new ControllablePromise(this._connectTimeout, new TimeoutError(this._connectTimeout), settled);
+      } else {
+        queueTimeout = queueTimeout > 0 ? queueTimeout : this._connectTimeout;
+        wait = new ControllablePromise(queueTimeout, new DaxClientError('No connection to ' + this._hostname + ':' + this._port +
+          ' was free within ' + queueTimeout + 'ms', DaxErrorCode.PoolExhausted, false), settled);
+      }
+      this._queued++;
       this._pendingJob.push(wait);
       this._alloc(wait);
+      this._reportPool();
       return wait;
     }
   }
 
+  // drops the jobs that timed out or were rejected, so that only the requests still waiting count.
+  _compactPendingJobs() {
+    if(this._pendingJob.some((job) => job.isDone())) {
+      this._pendingJob = this._pendingJob.filter((job) => !job.isDone());
+    }
+  }
+
+  _allocForWaiting() {
+    this._compactPendingJobs();
+    let waiting = this._pendingJob.length - this._pendingConnection;
+    for(let i = 0; i < waiting; i++) {
+      if(this._alloc(null) === null) {
+        return;
+      }
+    }
+  }
+
+  _canConnect() {
+    return this._pendingConnection < this._maxPendingConnects &&
+      this._tubes.size + this._pendingConnection < this._maxConnections;
+  }
+
   _alloc(wait) {
     // separate this out since we can better unit test with mocking this func out.
-    if(this._pendingConnection >= MAX_PENDING_CONNECTION) {
+    if(!this._canConnect()) {
+      // the request waits for a connection to be recycled or opened.
       return null;
     }
 
     this._pendingConnection++;
+    this._logger.debug('opening connection', {host: this._hostname, port: this._port, pending: this._pendingConnection});
+    this.metrics.increment(MetricNames.PoolConnects, this._metricTags);
+    this._reportPool();
 
     let connectOps = {
       port: this._port,
       host: this._hostname,
     };
     if(this._isEncrypted) { // Connecting to encrypted cluster.
-      if(this._skipHostnameVerification) {
-        connectOps = {
-          checkServerIdentity: () => undefined,
-          ...connectOps,
-        };
-      } else {
-        connectOps = {
-          checkServerIdentity: (_, cert) => {
-            return tls.checkServerIdentity(this._endpointHost, cert);
-          },
-          ...connectOps,
-        };
+      connectOps = this._tls.connectOptions(this._hostname, this._port, this._endpointHost,
+        this._skipHostnameVerification, this._tlsSession);
+      let socket = tls.connect(connectOps, () => this.socketCallback(socket)).on('error', (e) => {
+        // don't offer the session again if it is what the node refused.
+        this._tlsSession = null;
+        this.socketError(wait, e);
+      });
+      if(this._tls.sessionResumption) {
+        socket.on('session', (session) => {
+          this._tlsSession = session;
+        });
       }
-      let socket = tls.connect(connectOps, () => this.socketCallback(socket)).on('error', (e) => this.socketError(wait, e));
     } else { // Connecting to un-encrypted cluster.
       let socket = net.connect(connectOps, () => this.socketCallback(socket)).on('error', (e) => this.socketError(wait, e));
     }
   }
 
   socketCallback(socket) {
-    let newTube = new ClientTube(socket, this._sessionVersion, this._credProvider, this._region);
+    let newTube = new ClientTube(socket, this._sessionVersion, this._credProvider, this._region, this._logger);
+    this._track(newTube);
+    this._logger.debug('connection established', {host: this._hostname, port: this._port,
+      tlsResumed: this._isEncrypted ? socket.isSessionReused() : undefined});
     this.recycle(newTube);
     this._pendingConnection--;
+    this._reportPool();
   }
 
   socketError(wait, error) {
+    this._logger.debug('connection failed', {host: this._hostname, port: this._port, error: error});
     if(wait && !wait.isDone()) {
       wait.reject(new DaxClientError(error.message, DaxErrorCode.Connection));
     }
     this._pendingConnection--;
+    if(this._pendingConnection === 0 && this._tubes.size === 0) {
+      // nothing that could serve the requests still waiting is left, so don't let them wait for the timeout.
+      for(let job of this._pendingJob) {
+        if(!job.isDone()) {
+          job.reject(new DaxClientError(error.message, DaxErrorCode.Connection));
+        }
+      }
+      this._pendingJob = [];
+    }
+    this.metrics.increment(MetricNames.PoolConnectErrors, this._metricTags);
+    this._reportPool();
   }
 
   recycle(tube) {
@@ -309,6 +486,7 @@ class SocketTubePool {
           continue;
         } else {
           job.resolve(tube);
+          this._reportPool();
           return;
         }
       }
@@ -324,11 +502,21 @@ class SocketTubePool {
 
       tube._nextTube = this._headTube;
       this._headTube = tube;
+      this._reportPool();
     } else {
       tube.close();
     }
   }
 
+  // Close a tube that is still in use and can't be recycled, e.g. because the request on it was
+  // abandoned and its response may still arrive. Unlike reset, the rest of the pool is unaffected.
+  discard(tube) {
+    if(!tube) {
+      return;
+    }
+    tube.close();
+  }
+
   // when calling reset, it's most likely that all tubes are affected, so we
   // preemptively close every tube instead of waiting for each tube to get an
   // exception and closed.
@@ -340,11 +528,18 @@ class SocketTubePool {
     if(tube._sessionVersion !== this._sessionVersion) {
       return;
     }
+    this._logger.debug('resetting connection pool', {host: this._hostname, port: this._port});
+    this.metrics.increment(MetricNames.PoolResets, this._metricTags);
     this._signalAll(false);
     this._versionBump();
     tube = this._headTube;
     this._headTube = null;
     this._closeAll(tube);
+    this._reportPool();
+    if(this._minIdleConnections > 0) {
+      // the idle connections are opened again in the background rather than by the next requests.
+      setImmediate(() => this.maintain());
+    }
   }
 
   // Signal pending connect jobs. 'reject' value will indicate whether to
@@ -369,6 +564,7 @@ class SocketTubePool {
   }
 
   close() {
+    this._closed = true;
     this._signalAll(true);
     this._versionBump();
     let tube = this._headTube;
@@ -397,12 +593,20 @@ class SocketTubePool {
     if(!tube || !tube._inPool) {
       return;
     }
+    if(this._minIdleConnections > 0 && this.idleCount() <= this._minIdleConnections) {
+      // kept for the next requests, see maintain(). Checked again later, as more may be idle by then.
+      tube.setTimeout(this._idleTimeout, () => {
+        this._removeIdleTube(tube);
+      });
+      return;
+    }
 
     if(this._headTube === tube) {
       if(this._headTube._nextTube) {
         // if the head tube is idle and there's another tube available, remove the head tube
         this._headTube.close();
         this._headTube = this._headTube._nextTube;
+        this._reportPool();
       } else {
         // if there is no other tube, then leave it intact
         return;
@@ -418,6 +622,7 @@ class SocketTubePool {
           curTube.close();
           prevTube._nextTube = curTube._nextTube;
           curTube._nextTube = null;
+          this._reportPool();
           return;
         } else {
           prevTube = curTube;
@@ -428,6 +633,148 @@ class SocketTubePool {
 
     // if we get here the tube was not found, but ignore it
   }
+
+  /**
+   * Opens and authenticates connections until the pool holds at least count of them, so that
+   * the first requests don't pay for the connection setup. Resolves to the number of connections opened.
+   */
+  warm(count) {
+    count = Math.min(count, this._maxConnections);
+    let existing = new Set(this._tubes);
+    let held = [];
+    let release = () => held.forEach((tube) => this.recycle(tube));
+
+    let round = () => {
+      let missing = count - held.length - this.idleCount();
+      if(missing <= 0) {
+        return Promise.resolve();
+      }
+      // connections are held until the end, so that each allocation opens a new one, at most
+      // as many at once as there may be pending connects.
+      let allocs = [];
+      let failure = null;
+      for(let i = 0; i < Math.min(missing, this._maxPendingConnects); i++) {
+        allocs.push(this.alloc().then((tube) => {
+          held.push(tube);
+          return tube.reauth();
+        }).then((tube) => tube.flush()).catch((err) => {
+          failure = failure || err;
+        }));
+      }
+      // every allocation settles before the next round or the release, so that none is left held.
+      return Promise.all(allocs).then(() => {
+        if(failure) {
+          throw failure;
+        }
+        return round();
+      });
+    };
+
+    return round().then(() => {
+      // idle connections taken along the way were not opened.
+      let opened = held.filter((tube) => !existing.has(tube)).length;
+      release();
+      return opened;
+    }, (err) => {
+      release();
+      throw err;
+    });
+  }
+
+  /**
+   * Keeps minIdleConnections idle connections ready: opens the missing ones and authenticates
+   * again those whose authentication is about to expire, so that requests don't pay for either.
+   * Run periodically by the cluster, and after the pool is reset. Resolves once done; failures are
+   * logged and left to the next run.
+   */
+  maintain() {
+    if(this._closed || this._minIdleConnections === 0) {
+      return Promise.resolve();
+    }
+    if(!this._maintaining) {
+      this._maintaining = this._reauthIdle().then(() => {
+        return this._closed ? 0 : this.warm(this._minIdleConnections);
+      }).then((opened) => {
+        if(opened > 0) {
+          this._logger.debug('opened idle connections', {host: this._hostname, port: this._port, opened: opened});
+        }
+      }).catch((err) => {
+        this._logger.debug('failed to keep idle connections ready', {host: this._hostname, port: this._port, error: err});
+      }).then(() => {
+        this._maintaining = null;
+      });
+    }
+    return this._maintaining;
+  }
+
+  // takes the idle tubes due for authentication out of the pool, authenticates and returns them.
+  _reauthIdle() {
+    let due = [];
+    let prevTube = null;
+    let tube = this._headTube;
+    while(tube) {
+      let next = tube._nextTube;
+      if(tube.needsReauth()) {
+        if(prevTube) {
+          prevTube._nextTube = next;
+        } else {
+          this._headTube = next;
+        }
+        tube._nextTube = null;
+        tube.socket.removeAllListeners('timeout');
+        tube._inPool = false;
+        due.push(tube);
+      } else {
+        prevTube = tube;
+      }
+      tube = next;
+    }
+    return Promise.all(due.map((tube) => {
+      return tube.reauth().then(() => {
+        tube.flush();
+        this.recycle(tube);
+      }, (err) => {
+        this.discard(tube);
+        throw err;
+      });
+    }));
+  }
+
+  /**
+   * Returns the number of idle connections in the pool.
+   */
+  idleCount() {
+    let count = 0;
+    for(let tube = this._headTube; tube; tube = tube._nextTube) {
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Returns the number of open connections (size), of those the idle and busy ones, the
+   * connections being opened (pending) and the requests waiting for a connection (queued).
+   */
+  stats() {
+    let idle = this.idleCount();
+    return {
+      size: this._tubes.size,
+      idle: idle,
+      busy: Math.max(this._tubes.size - idle, 0),
+      pending: this._pendingConnection,
+      queued: this._queued,
+    };
+  }
+
+  _reportPool() {
+    if(this.metrics.enabled) {
+      let stats = this.stats();
+      this.metrics.gauge(MetricNames.PoolIdle, stats.idle, this._metricTags);
+      this.metrics.gauge(MetricNames.PoolBusy, stats.busy, this._metricTags);
+      this.metrics.gauge(MetricNames.PoolPendingConnects, stats.pending, this._metricTags);
+      this.metrics.gauge(MetricNames.PoolQueued, stats.queued, this._metricTags);
+    }
+  }
 }
 
 module.exports = {
@@ -287,6 +287,24 @@ class Util {
     return clone;
   }
 
+  /**
+   * Encodes the value as JSON with sorted keys, so that equal values get the same encoding.
+   * Binary values are written in a form no string encodes to.
+   */
+  static canonicalJson(value) {
+    if(value instanceof Uint8Array) {
+      return '<' + Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('base64') + '>';
+    }
+    if(Array.isArray(value)) {
+      return '[' + value.map((e) => Util.canonicalJson(e)).join(',') + ']';
+    }
+    if(value && typeof value === 'object') {
+      return '{' + Object.keys(value).sort().filter((k) => value[k] !== undefined)
+        .map((k) => JSON.stringify(k) + ':' + Util.canonicalJson(value[k])).join(',') + '}';
+    }
+    return JSON.stringify(value);
+  }
+
   static serviceEndpointFrom(nodeId, hostname, address, port, role, zone, leaderSessionId) {
     return {nodeId: nodeId, hostname: hostname, address: address, port: port, role: role, zone: zone, leaderSessionId: leaderSessionId};
   }
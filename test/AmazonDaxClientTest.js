@@ -0,0 +1,157 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const AmazonDaxClient = require('../src/AmazonDaxClient');
+const DaxErrorCode = require('../src/DaxErrorCode');
+const {FakeCluster, FakeAbortSignal, silentNode} = require('./helpers/FakeCluster');
+
+describe('AmazonDaxClient', () => {
+  let node;
+  let client;
+
+  function start(config, poolOptions, requestTimeout) {
+    return silentNode(poolOptions, requestTimeout).then((n) => {
+      node = n;
+      client = new AmazonDaxClient(Object.assign({region: 'us-east-1', maxRetries: 3}, config), new FakeCluster(node.client));
+    });
+  }
+
+  afterEach((done) => {
+    node.pool.close();
+    node.server.close(() => done());
+  });
+
+  const getItem = (options) => client.getItem({TableName: 't', Key: {k: {S: 'x'}}}, options);
+
+  describe('abort', () => {
+    beforeEach(() => start());
+
+    it('fails a call aborted before it was sent without retrying', () => {
+      let request = getItem();
+      request.abort();
+      return request.promise().then(() => expect.fail('resolved'), (err) => {
+        expect(err.code).to.equal(DaxErrorCode.RequestAborted);
+      });
+    });
+
+    it('fails a call in flight as soon as its signal aborts', () => {
+      let signal = new FakeAbortSignal();
+      let start = Date.now();
+      setTimeout(() => signal.abort(), 50);
+      return getItem({abortSignal: signal}).promise().then(() => expect.fail('resolved'), (err) => {
+        expect(err.code).to.equal(DaxErrorCode.RequestAborted);
+        expect(Date.now() - start).to.be.below(1000);
+        expect(signal.listenerCount('abort')).to.equal(0);
+      });
+    });
+
+    it('passes the abort error to the callback', (done) => {
+      let request = getItem();
+      request.abort();
+      request.send((err) => {
+        expect(err.code).to.equal(DaxErrorCode.RequestAborted);
+        done();
+      });
+    });
+  });
+
+  describe('timeouts', () => {
+    beforeEach(() => start());
+
+    it('retries attempts that exceed the per-call timeout', () => {
+      let started = Date.now();
+      return getItem({timeout: 50}).promise().then(() => expect.fail('resolved'), (err) => {
+        expect(err.code).to.equal(DaxErrorCode.RequestDeadlineExceeded);
+        // the first attempt and maxRetries retries.
+        expect(Date.now() - started).to.be.within(190, 2000);
+      });
+    });
+
+    it('stops retrying at the deadline', () => {
+      let started = Date.now();
+      return getItem({timeout: 50, deadline: Date.now() + 120}).promise().then(() => expect.fail('resolved'), (err) => {
+        expect(err.code).to.equal(DaxErrorCode.RequestDeadlineExceeded);
+        expect(Date.now() - started).to.be.within(110, 500);
+      });
+    });
+
+    it('fails a call with a deadline in the past without sending it', () => {
+      let bytes = node.server.bytesReceived;
+      return getItem({deadline: Date.now() - 1}).promise().then(() => expect.fail('resolved'), (err) => {
+        expect(err.code).to.equal(DaxErrorCode.RequestDeadlineExceeded);
+        expect(node.server.bytesReceived).to.equal(bytes);
+      });
+    });
+  });
+
+  describe('connection limits', () => {
+    beforeEach(() => start({maxRetries: 2}, {maxConnections: 1}, 100));
+
+    it('fails a call waiting for a connection longer than the request time, without retrying it', () => {
+      let signal = new FakeAbortSignal();
+      let first = getItem({abortSignal: signal}).promise().catch((err) => err);
+      let started = Date.now();
+      return getItem().promise().then(() => expect.fail('resolved'), (err) => {
+        expect(err.code).to.equal(DaxErrorCode.PoolExhausted);
+        // a retry would wait as long again.
+        expect(Date.now() - started).to.be.within(90, 190);
+        expect(node.pool.stats()).to.include({size: 1, queued: 0});
+        signal.abort();
+        return first;
+      });
+    });
+  });
+
+  describe('close', () => {
+    beforeEach(() => start({maxRetries: 0}));
+
+    it('waits for the calls in flight before closing the cluster', () => {
+      let started = Date.now();
+      let closedAfter = null;
+      client._cluster.close = () => {
+        closedAfter = Date.now() - started;
+        return Promise.resolve();
+      };
+      let call = getItem({timeout: 50}).promise().then(() => expect.fail('resolved'), (err) => err);
+      return client.close({drainTimeoutMs: 1000}).then(() => {
+        expect(closedAfter).to.be.within(45, 1000);
+        return call;
+      }).then((err) => {
+        // the call ran its course rather than being aborted.
+        expect(err.code).to.equal(DaxErrorCode.RequestDeadlineExceeded);
+      });
+    });
+
+    it('aborts the calls still in flight after the drain timeout', () => {
+      let started = Date.now();
+      let call = getItem().promise();
+      let closing = client.close({drainTimeoutMs: 50});
+      expect(client.close()).to.equal(closing);
+      return call.then(() => expect.fail('resolved'), (err) => {
+        expect(err.code).to.equal(DaxErrorCode.ClientClosed);
+        expect(Date.now() - started).to.be.within(40, 1000);
+        return closing;
+      });
+    });
+
+    it('fails new calls', () => {
+      return client.close().then(() => getItem().promise()).then(() => expect.fail('resolved'), (err) => {
+        expect(err.code).to.equal(DaxErrorCode.ClientClosed);
+        expect(node.server.bytesReceived).to.equal(0);
+      });
+    });
+  });
+});
@@ -0,0 +1,175 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const AutoBatcher = require('../src/AutoBatcher');
+const DaxClientError = require('../src/DaxClientError');
+const DaxErrorCode = require('../src/DaxErrorCode');
+const {fakeDaxClient} = require('./helpers/FakeCluster');
+
+const QUIET = {warn: () => {}, info: () => {}};
+const invalidKey = () => new DaxClientError('key type mismatch', DaxErrorCode.Validation, false);
+
+/**
+ * Stands in for DAX with a table 't' keyed by 'k', recording the requests sent to it. Keys with
+ * a number are invalid and fail the whole request.
+ */
+function daxNode() {
+  let node = {
+    requests: [],
+    items: {
+      a: {k: {S: 'a'}, v: {N: '1'}, w: {S: 'x'}},
+      b: {k: {S: 'b'}, v: {N: '2'}, w: {S: 'y'}},
+    },
+    // number of calls answering with their last key unprocessed.
+    unprocessed: 0,
+  };
+  let copy = (item, projection) => {
+    let copied = JSON.parse(JSON.stringify(item));
+    if(projection) {
+      for(let name of Object.keys(copied)) {
+        if(projection.indexOf(name) < 0) {
+          delete copied[name];
+        }
+      }
+    }
+    return copied;
+  };
+  node.batchGetItem = (params, context) => {
+    let t = params.RequestItems.t;
+    node.requests.push({op: 'batchGetItem', params: t, deadline: context.deadline});
+    if(t.Keys.some((key) => key.k.N)) {
+      return Promise.reject(invalidKey());
+    }
+    let keys = t.Keys;
+    let unprocessed = {};
+    if(node.unprocessed > 0 && keys.length > 1) {
+      node.unprocessed--;
+      unprocessed = {t: Object.assign({}, t, {Keys: keys.slice(-1)})};
+      keys = keys.slice(0, -1);
+    }
+    let projection = t.ProjectionExpression ? t.ProjectionExpression.split(', ')
+      .map((name) => t.ExpressionAttributeNames && t.ExpressionAttributeNames[name] || name) : null;
+    let items = keys.filter((key) => node.items[key.k.S]).map((key) => copy(node.items[key.k.S], projection));
+    return Promise.resolve({Responses: {t: items}, UnprocessedKeys: unprocessed});
+  };
+  node.getItem = (params, context) => {
+    node.requests.push({op: 'getItem', params: params});
+    if(params.Key.k.N) {
+      return Promise.reject(invalidKey());
+    }
+    let item = node.items[params.Key.k.S];
+    return Promise.resolve(item ? {Item: copy(item)} : {});
+  };
+  return node;
+}
+
+describe('AutoBatcher', () => {
+  let node;
+  let client;
+
+  beforeEach(() => {
+    node = daxNode();
+    client = fakeDaxClient(node, {autoBatch: true, maxRetries: 0, logger: QUIET});
+  });
+
+  const get = (k, extra, options) => client.getItem(Object.assign({TableName: 't', Key: {k: k}}, extra), options).promise();
+
+  it('is not created without a setting, and checks its options', () => {
+    expect(AutoBatcher.create(undefined, client)).to.be.null;
+    expect(AutoBatcher.create(true, client)).to.be.an.instanceof(AutoBatcher);
+    expect(() => AutoBatcher.create({windowMs: -1}, client)).to.throw(/must be positive/);
+  });
+
+  it('merges the calls made in the same turn into one batch', () => {
+    return Promise.all([get({S: 'a'}), get({S: 'b'}), get({S: 'a'}), get({S: 'zz'})]).then((results) => {
+      expect(node.requests).to.have.lengthOf(1);
+      expect(node.requests[0].params.Keys).to.deep.equal([{k: {S: 'a'}}, {k: {S: 'b'}}, {k: {S: 'zz'}}]);
+      expect(results[0].Item).to.deep.equal(node.items.a);
+      expect(results[1].Item).to.deep.equal(node.items.b);
+      expect(results[2].Item).to.deep.equal(results[0].Item);
+      expect(results[2].Item).to.not.equal(results[0].Item);
+      expect(results[3]).to.deep.equal({});
+    });
+  });
+
+  it('batches by projection, adding the key attributes to it', () => {
+    return Promise.all([get({S: 'a'}), get({S: 'a'}, {ProjectionExpression: 'v'}), get({S: 'b'}, {ProjectionExpression: 'v'})])
+      .then((results) => {
+        expect(node.requests).to.have.lengthOf(2);
+        let projected = node.requests[1].params;
+        expect(projected.ProjectionExpression).to.equal('v, #daxBatchKey0');
+        expect(projected.ExpressionAttributeNames).to.deep.equal({'#daxBatchKey0': 'k'});
+        expect(results[1].Item).to.deep.equal({v: {N: '1'}});
+        expect(results[2].Item).to.deep.equal({v: {N: '2'}});
+      });
+  });
+
+  it('sends the unprocessed keys again', () => {
+    node.unprocessed = 1;
+    return Promise.all([get({S: 'a'}), get({S: 'b'})]).then((results) => {
+      expect(node.requests.map((r) => r.params.Keys.length)).to.deep.equal([2, 1]);
+      expect(results[1].Item).to.deep.equal(node.items.b);
+    });
+  });
+
+  it('sends a batch as soon as it is full', () => {
+    client = fakeDaxClient(node, {autoBatch: {maxBatchSize: 2, windowMs: 1000}, logger: QUIET});
+    let started = Date.now();
+    return Promise.all([get({S: 'a'}), get({S: 'b'})]).then(() => {
+      expect(Date.now() - started).to.be.below(500);
+      expect(node.requests).to.have.lengthOf(1);
+    });
+  });
+
+  it('collects the calls made within the window', () => {
+    client = fakeDaxClient(node, {autoBatch: {windowMs: 30}, logger: QUIET});
+    let first = get({S: 'a'});
+    return new Promise((resolve) => setTimeout(resolve, 10))
+      .then(() => Promise.all([first, get({S: 'b'})]))
+      .then(() => {
+        expect(node.requests).to.have.lengthOf(1);
+        expect(node.requests[0].params.Keys).to.have.lengthOf(2);
+      });
+  });
+
+  it("doesn't batch calls asking for the consumed capacity", () => {
+    return Promise.all([get({S: 'a'}, {ReturnConsumedCapacity: 'TOTAL'}), get({S: 'b'})]).then(() => {
+      expect(node.requests.map((r) => r.op)).to.deep.equal(['getItem', 'batchGetItem']);
+    });
+  });
+
+  it('sends the keys on their own when the batch fails, so that only the invalid key fails', () => {
+    let read = (k) => get(k).then((data) => data.Item.k.S, (err) => err.code);
+    return Promise.all([read({S: 'a'}), read({N: '1'}), read({S: 'b'})]).then((results) => {
+      expect(results).to.deep.equal(['a', DaxErrorCode.Validation, 'b']);
+      expect(node.requests.map((r) => r.op)).to.deep.equal(['batchGetItem', 'getItem', 'getItem', 'getItem']);
+    });
+  });
+
+  it('fails a batch of one key with its error', () => {
+    return get({N: '1'}).then(() => expect.fail('resolved'), (err) => {
+      expect(err.code).to.equal(DaxErrorCode.Validation);
+      expect(node.requests).to.have.lengthOf(1);
+    });
+  });
+
+  it('sends the batch with the earliest deadline of its callers', () => {
+    let deadline = Date.now() + 1000;
+    return Promise.all([get({S: 'a'}, {}, {deadline: deadline + 1000}), get({S: 'b'}, {}, {deadline: deadline})]).then(() => {
+      expect(node.requests[0].deadline).to.equal(deadline);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const net = require('net');
+const BaseOperations = require('../src/BaseOperations');
+const RequestContext = require('../src/RequestContext');
+const SessionVersion = require('../src/SessionVersion');
+const DaxErrorCode = require('../src/DaxErrorCode');
+const {ClientTube} = require('../src/Tube');
+
+// a pool recording what is done with the tubes.
+function recordingPool() {
+  let calls = [];
+  return {
+    calls: calls,
+    recycle: () => calls.push('recycle'),
+    discard: () => calls.push('discard'),
+    reset: () => calls.push('reset'),
+  };
+}
+
+describe('BaseOperations', () => {
+  let server;
+  let received;
+  let sockets;
+
+  beforeEach((done) => {
+    received = 0;
+    sockets = [];
+    server = net.createServer((socket) => {
+      socket.on('error', () => {});
+      socket.on('data', (data) => received += data.length);
+    }).listen(0, '127.0.0.1', done);
+  });
+
+  afterEach((done) => {
+    sockets.forEach((socket) => socket.destroy());
+    server.close(done);
+  });
+
+  function connect() {
+    return new Promise((resolve) => {
+      let socket = net.connect(server.address().port, '127.0.0.1', () => {
+        sockets.push(socket);
+        resolve(new ClientTube(socket, SessionVersion.create(), null, 'us-east-1'));
+      });
+    });
+  }
+
+  // installs the return handler, then writes a request on the tube as the generated operations do.
+  function send(ops, tube) {
+    return Promise.all([
+      ops._getReturnHandler(tube, {feed() {}}),
+      Promise.resolve().then(() => {
+        tube.write(Buffer.from('request'));
+        tube.flush();
+      }),
+    ]);
+  }
+
+  describe('abort', () => {
+    it('recycles the unused tube of a call aborted before it was sent', () => {
+      let pool = recordingPool();
+      let context = new RequestContext('getItem');
+      context.abort();
+      let before;
+      return connect().then((tube) => {
+        // the first flush sends the connection preamble.
+        tube.flush();
+        return new Promise((resolve) => setTimeout(resolve, 20)).then(() => {
+          before = received;
+          return send(new BaseOperations(null, null, null, pool, 1000).withContext(context), tube);
+        }).then(() => expect.fail('resolved'), (err) => {
+          expect(err.code).to.equal(DaxErrorCode.RequestAborted);
+          return new Promise((resolve) => setTimeout(resolve, 20));
+        }).then(() => {
+          expect(pool.calls).to.deep.equal(['recycle']);
+          expect(received).to.equal(before);
+          expect(context.sent).to.be.false;
+        });
+      });
+    });
+
+    it('discards the tube of a call aborted in flight', () => {
+      let pool = recordingPool();
+      let context = new RequestContext('getItem');
+      return connect().then((tube) => {
+        let request = send(new BaseOperations(null, null, null, pool, 1000).withContext(context), tube);
+        setTimeout(() => context.abort(), 20);
+        return request.then(() => expect.fail('resolved'), (err) => {
+          expect(err.code).to.equal(DaxErrorCode.RequestAborted);
+          expect(pool.calls).to.deep.equal(['discard']);
+          expect(context.sent).to.be.true;
+        });
+      });
+    });
+  });
+
+  describe('timeouts', () => {
+    function timeOut(context, requestTimeout) {
+      let pool = recordingPool();
+      return connect().then((tube) => {
+        return send(new BaseOperations(null, null, null, pool, requestTimeout).withContext(context), tube);
+      }).then(() => expect.fail('resolved'), (err) => ({error: err, calls: pool.calls}));
+    }
+
+    it('discards only the tube when the deadline passes', () => {
+      return timeOut(new RequestContext('getItem', {deadline: Date.now() + 50}), 5000).then((result) => {
+        expect(result.error.code).to.equal(DaxErrorCode.RequestDeadlineExceeded);
+        expect(result.error.retryable).to.be.false;
+        expect(result.calls).to.deep.equal(['discard']);
+      });
+    });
+
+    it('discards only the tube and retries when the per-call timeout expires', () => {
+      return timeOut(new RequestContext('getItem', {timeout: 50}), 5000).then((result) => {
+        expect(result.error.code).to.equal(DaxErrorCode.RequestDeadlineExceeded);
+        expect(result.error.retryable).to.be.true;
+        expect(result.calls).to.deep.equal(['discard']);
+      });
+    });
+
+    it('resets the pool when the requestTimeout expires', () => {
+      return timeOut(new RequestContext('getItem', {deadline: Date.now() + 5000}), 50).then((result) => {
+        expect(result.error.code).to.not.equal(DaxErrorCode.RequestDeadlineExceeded);
+        expect(result.calls).to.deep.equal(['reset']);
+      });
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const BatchHelpers = require('../src/BatchHelpers');
+const DaxClientError = require('../src/DaxClientError');
+const DaxErrorCode = require('../src/DaxErrorCode');
+
+function puts(n) {
+  return Array.from({length: n}, (_, i) => ({PutRequest: {Item: {k: {N: String(i)}}}}));
+}
+
+function keys(n) {
+  return Array.from({length: n}, (_, i) => ({k: {N: String(i)}}));
+}
+
+/**
+ * A client answering batchWriteItem with respond(params, call), call counting from 0. Tracks
+ * the requests in flight.
+ */
+function fakeClient(respond) {
+  let client = {calls: [], inFlight: 0, maxInFlight: 0};
+  let handle = (params, options) => {
+    let call = client.calls.length;
+    client.calls.push({params: params, options: options});
+    return {promise: () => {
+      client.inFlight++;
+      client.maxInFlight = Math.max(client.maxInFlight, client.inFlight);
+      return new Promise((resolve) => setTimeout(resolve, 1)).then(() => {
+        client.inFlight--;
+        return respond(params, call);
+      });
+    }};
+  };
+  client.batchWriteItem = handle;
+  client.batchGetItem = handle;
+  return client;
+}
+
+const FAST = {baseDelay: 1, maxDelay: 2};
+
+describe('BatchHelpers', () => {
+  describe('batchWriteAll', () => {
+    it('writes the items in batches of 25', () => {
+      let client = fakeClient(() => ({UnprocessedItems: {}}));
+      let params = {RequestItems: {a: puts(30), b: puts(30)}, ReturnConsumedCapacity: 'TOTAL'};
+      return BatchHelpers.batchWriteAll(client, params, {concurrency: 2, deadline: 1e13}).then((result) => {
+        expect(result).to.deep.equal({UnprocessedItems: {}, Errors: []});
+        expect(client.calls.map((call) => Object.keys(call.params.RequestItems).map((t) => call.params.RequestItems[t].length)))
+          .to.deep.equal([[25], [5, 20], [10]]);
+        expect(client.calls[0].params.ReturnConsumedCapacity).to.equal('TOTAL');
+        expect(client.calls[0].options).to.deep.equal({deadline: 1e13});
+        expect(client.maxInFlight).to.equal(2);
+      });
+    });
+
+    it('sends the unprocessed items again', () => {
+      let client = fakeClient((params, call) => {
+        // the first attempt leaves the last two items unprocessed.
+        return {UnprocessedItems: call === 0 ? {a: params.RequestItems.a.slice(1)} : {}};
+      });
+      return BatchHelpers.batchWriteAll(client, {RequestItems: {a: puts(3)}}, FAST).then((result) => {
+        expect(result.UnprocessedItems).to.deep.equal({});
+        expect(client.calls[1].params.RequestItems.a).to.deep.equal(puts(3).slice(1));
+      });
+    });
+
+    it('returns the items still unprocessed after maxAttempts', () => {
+      let client = fakeClient((params) => ({UnprocessedItems: params.RequestItems}));
+      return BatchHelpers.batchWriteAll(client, {RequestItems: {a: puts(2)}}, Object.assign({maxAttempts: 3}, FAST)).then((result) => {
+        expect(client.calls.length).to.equal(3);
+        expect(result).to.deep.equal({UnprocessedItems: {a: puts(2)}, Errors: []});
+      });
+    });
+
+    it('stops sending the unprocessed items before the deadline', () => {
+      let client = fakeClient((params) => ({UnprocessedItems: params.RequestItems}));
+      let options = {baseDelay: 1000, maxDelay: 1000, deadline: Date.now() + 200};
+      return BatchHelpers.batchWriteAll(client, {RequestItems: {a: puts(2)}}, options).then((result) => {
+        expect(client.calls.length).to.equal(1);
+        expect(result.UnprocessedItems).to.deep.equal({a: puts(2)});
+      });
+    });
+
+    it('returns the items of failed batches with their errors', () => {
+      let err = new DaxClientError('throttled', DaxErrorCode.Throttling, false);
+      let client = fakeClient((params, call) => {
+        if(call === 1) {
+          throw err;
+        }
+        return {UnprocessedItems: {}};
+      });
+      return BatchHelpers.batchWriteAll(client, {RequestItems: {a: puts(30)}}, {concurrency: 1}).then((result) => {
+        let failed = {a: puts(30).slice(25)};
+        expect(result).to.deep.equal({UnprocessedItems: failed, Errors: [{error: err, RequestItems: failed}]});
+      });
+    });
+
+    it('rejects aborted calls', () => {
+      let err = new DaxClientError('aborted', DaxErrorCode.RequestAborted, false);
+      let client = fakeClient(() => {
+        throw err;
+      });
+      return BatchHelpers.batchWriteAll(client, {RequestItems: {a: puts(2)}}).then(() => {
+        throw new Error('expected an error');
+      }, (e) => {
+        expect(e).to.equal(err);
+      });
+    });
+
+    it('rejects malformed requests', () => {
+      return BatchHelpers.batchWriteAll(fakeClient(() => ({})), {RequestItems: {a: 5}}).then(() => {
+        throw new Error('expected an error');
+      }, (e) => {
+        expect(e).to.be.an.instanceof(TypeError);
+      });
+    });
+  });
+
+  describe('batchGetAll', () => {
+    it('gets the keys in batches of 100 and merges the responses', () => {
+      let client = fakeClient((params) => {
+        let requested = params.RequestItems.a.Keys;
+        return {Responses: {a: requested.map((key) => ({k: key.k, v: {S: 'x'}}))}, UnprocessedKeys: {}};
+      });
+      let params = {RequestItems: {a: {Keys: keys(150), ProjectionExpression: 'k, v', ConsistentRead: true}}};
+      return BatchHelpers.batchGetAll(client, params).then((result) => {
+        expect(client.calls.map((call) => call.params.RequestItems.a.Keys.length)).to.deep.equal([100, 50]);
+        expect(client.calls[1].params.RequestItems.a).to.include({ProjectionExpression: 'k, v', ConsistentRead: true});
+        expect(result.Responses.a.length).to.equal(150);
+        expect(result.UnprocessedKeys).to.deep.equal({});
+        expect(result.Errors).to.deep.equal([]);
+      });
+    });
+
+    it('returns the unprocessed keys with the settings of their table', () => {
+      let client = fakeClient((params) => ({Responses: {}, UnprocessedKeys: params.RequestItems}));
+      let params = {RequestItems: {a: {Keys: keys(2), ConsistentRead: true}}};
+      return BatchHelpers.batchGetAll(client, params, Object.assign({maxAttempts: 2}, FAST)).then((result) => {
+        expect(client.calls.length).to.equal(2);
+        expect(result.UnprocessedKeys).to.deep.equal({a: {Keys: keys(2), ConsistentRead: true}});
+      });
+    });
+  });
+});
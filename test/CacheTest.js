@@ -0,0 +1,98 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const {CacheType} = require('../src/Cache');
+const DaxClient = require('../src/DaxClient');
+const RefreshingCache = require('../src/RefreshingCache');
+const SimpleCache = require('../src/SimpleCache');
+
+describe('SimpleCache', () => {
+  let fetched;
+
+  beforeEach(() => {
+    fetched = [];
+  });
+
+  const fetch = (key) => {
+    fetched.push(key);
+    return Promise.resolve('v' + fetched.length);
+  };
+
+  it('fetches the least recently used keys again once evicted', () => {
+    let cache = new SimpleCache(2, fetch);
+    return cache.get(1)
+      .then(() => cache.get(2))
+      .then(() => cache.get(1))
+      .then(() => cache.get(3))
+      .then(() => cache.get(2))
+      .then(() => {
+        expect(fetched).to.deep.equal([1, 2, 3, 2]);
+        expect(cache.stats()).to.include({hits: 1, evictions: 2, entries: 2});
+      });
+  });
+
+  it('shares the fetch of a key in progress', () => {
+    let cache = new SimpleCache(2, fetch, CacheType.StringListCache);
+    return Promise.all([cache.get(['a', 'b']), cache.get(['a', 'b'])]).then((values) => {
+      expect(values).to.deep.equal(['v1', 'v1']);
+      expect(fetched).to.have.lengthOf(1);
+    });
+  });
+
+  it('keeps lists of strings apart that join to the same string', () => {
+    let cache = new SimpleCache(2, fetch, CacheType.StringListCache);
+    return Promise.all([cache.get(['a', 'b']), cache.get(['a,b'])]).then((values) => {
+      expect(values).to.deep.equal(['v1', 'v2']);
+      return cache.get(['a,b']);
+    }).then((value) => {
+      expect(value).to.equal('v2');
+      expect(fetched).to.have.lengthOf(2);
+    });
+  });
+});
+
+describe('RefreshingCache', () => {
+  it('fetches entries again after their time to live', () => {
+    let fetches = 0;
+    let cache = new RefreshingCache(2, {fetch: (key) => Promise.resolve(key + ++fetches)}, 20);
+    return cache.get('t')
+      .then(() => cache.get('t'))
+      .then((value) => {
+        expect(value).to.equal('t1');
+        return new Promise((resolve) => setTimeout(resolve, 30));
+      })
+      .then(() => cache.get('t'))
+      .then((value) => {
+        expect(value).to.equal('t2');
+      });
+  });
+});
+
+describe('DaxClient metadata caches', () => {
+  it('are bounded by the configured sizes', () => {
+    let client = new DaxClient(null, 'us-east-1', null, 1000, {keyCacheSize: 1, attributeListCacheSize: 2});
+    client._keyCache.put('a', []);
+    client._keyCache.put('b', []);
+    for(let id = 1; id <= 3; id++) {
+      client._attrListCache.put(id, ['n' + id]);
+    }
+    let stats = client.cacheStats();
+    expect(Object.keys(stats)).to.deep.equal(['keySchemas', 'attributeLists', 'attributeListIds']);
+    expect(stats.keySchemas).to.include({entries: 1, evictions: 1});
+    expect(stats.attributeLists).to.include({entries: 2, evictions: 1});
+    expect(stats.attributeListIds).to.include({entries: 0, evictions: 0});
+  });
+});
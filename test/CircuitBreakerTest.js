@@ -0,0 +1,212 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const Backend = require('../src/Backend');
+const CircuitBreaker = require('../src/CircuitBreaker');
+const Cluster = require('../src/Cluster');
+const DaxClientError = require('../src/DaxClientError');
+const DaxErrorCode = require('../src/DaxErrorCode');
+const DaxServiceError = require('../src/DaxServiceError');
+
+const CircuitState = CircuitBreaker.CircuitState;
+
+const connectionError = () => new DaxClientError('reset', DaxErrorCode.Connection);
+const timeoutError = () => new DaxClientError('too slow for the caller', DaxErrorCode.RequestDeadlineExceeded, true);
+const abortError = () => new DaxClientError('superseded', DaxErrorCode.RequestAborted, false);
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('CircuitBreaker', () => {
+  let transitions;
+  let breaker;
+
+  function create(options) {
+    transitions = [];
+    breaker = new CircuitBreaker(CircuitBreaker.options(Object.assign({minRequests: 4, openMs: 20}, options)),
+      (state, previous, reason) => transitions.push([previous, state, reason]));
+    return breaker;
+  }
+
+  // runs a request admitted by the breaker, as Cluster.trackRequest does.
+  function request(err, latency) {
+    let probe = breaker.onRequestStart();
+    breaker.onRequestEnd(probe, err || null, latency || 1);
+  }
+
+  function open() {
+    for(let i = 0; i < 4; i++) {
+      request(connectionError());
+    }
+    expect(breaker.state).to.equal(CircuitState.Open);
+  }
+
+  it('is off without the setting and validates the options', () => {
+    expect(CircuitBreaker.options(undefined)).to.be.null;
+    expect(CircuitBreaker.options(true).halfOpenRequests).to.equal(3);
+    expect(() => CircuitBreaker.options({errorRate: 2})).to.throw(DaxClientError).with.property('code', DaxErrorCode.IllegalArgument);
+  });
+
+  it('counts only the failures that point at the node', () => {
+    expect(CircuitBreaker.isNodeFailure(connectionError())).to.be.true;
+    expect(CircuitBreaker.isNodeFailure(timeoutError())).to.be.true;
+    expect(CircuitBreaker.isNodeFailure(new Error('socket hang up'))).to.be.true;
+    expect(CircuitBreaker.isNodeFailure(new DaxServiceError('internal', DaxErrorCode.InternalServerError, true, null, 500, []))).to.be.true;
+    expect(CircuitBreaker.isNodeFailure(new DaxServiceError('failed', DaxErrorCode.ConditionalCheckFailed, false, null, 400, []))).to.be.false;
+    expect(CircuitBreaker.isNodeFailure(new DaxClientError('bad key', DaxErrorCode.Validation, false))).to.be.false;
+    expect(CircuitBreaker.isNodeFailure(null)).to.be.false;
+  });
+
+  it('opens once the error rate is reached', () => {
+    create();
+    request();
+    request(connectionError());
+    request(new DaxClientError('bad key', DaxErrorCode.Validation, false));
+    expect(breaker.windowStats()).to.deep.equal({total: 3, errors: 1, slow: 0});
+    request(connectionError());
+    expect(transitions).to.deep.equal([[CircuitState.Closed, CircuitState.Open, 'errorRate']]);
+    expect(breaker.isAvailable()).to.be.false;
+    expect(breaker.tryAcquire()).to.be.false;
+  });
+
+  it('opens when the calls are too slow', () => {
+    create({slowCallMs: 10, slowCallRate: 0.5});
+    request(null, 5);
+    request(null, 50);
+    request(null, 5);
+    request(null, 50);
+    expect(transitions).to.deep.equal([[CircuitState.Closed, CircuitState.Open, 'slowCalls']]);
+  });
+
+  it('opens when the node doesn\'t answer within the timeouts of the callers', () => {
+    create();
+    for(let i = 0; i < 4; i++) {
+      request(timeoutError());
+    }
+    expect(breaker.state).to.equal(CircuitState.Open);
+  });
+
+  it('doesn\'t record aborted requests', () => {
+    create();
+    for(let i = 0; i < 10; i++) {
+      request(abortError());
+      request(new DaxClientError('closed', DaxErrorCode.ClientClosed, false));
+    }
+    expect(breaker.windowStats()).to.deep.equal({total: 0, errors: 0, slow: 0});
+    expect(breaker.state).to.equal(CircuitState.Closed);
+  });
+
+  describe('half-open', () => {
+    it('admits only halfOpenRequests trial requests at once', () => {
+      create({halfOpenRequests: 2});
+      open();
+      return wait(25).then(() => {
+        let admitted = 0;
+        for(let i = 0; i < 50; i++) {
+          admitted += breaker.tryAcquire() ? 1 : 0;
+        }
+        expect(admitted).to.equal(2);
+        expect(breaker.state).to.equal(CircuitState.HalfOpen);
+        expect(breaker.isAvailable()).to.be.false;
+        let probes = [breaker.onRequestStart(), breaker.onRequestStart()];
+        expect(probes).to.deep.equal([true, true]);
+        // a request started before the breaker opened is no trial.
+        expect(breaker.onRequestStart()).to.be.false;
+
+        breaker.onRequestEnd(true, null, 1);
+        expect(breaker.tryAcquire()).to.be.true;
+        breaker.onRequestEnd(breaker.onRequestStart(), null, 1);
+        breaker.onRequestEnd(true, null, 1);
+        expect(transitions[transitions.length - 1]).to.deep.equal([CircuitState.HalfOpen, CircuitState.Closed, 'probesSucceeded']);
+      });
+    });
+
+    it('frees the slot of an aborted trial request without counting it', () => {
+      create({halfOpenRequests: 1});
+      open();
+      return wait(25).then(() => {
+        expect(breaker.tryAcquire()).to.be.true;
+        expect(breaker.tryAcquire()).to.be.false;
+        breaker.onRequestEnd(breaker.onRequestStart(), abortError(), 1);
+        expect(breaker.state).to.equal(CircuitState.HalfOpen);
+        expect(breaker.tryAcquire()).to.be.true;
+        breaker.onRequestEnd(breaker.onRequestStart(), null, 1);
+        expect(breaker.state).to.equal(CircuitState.Closed);
+      });
+    });
+
+    it('opens again for twice as long when a trial request fails', () => {
+      create({halfOpenRequests: 1});
+      open();
+      return wait(25).then(() => {
+        expect(breaker.tryAcquire()).to.be.true;
+        breaker.onRequestEnd(breaker.onRequestStart(), timeoutError(), 1);
+        expect(transitions[transitions.length - 1]).to.deep.equal([CircuitState.HalfOpen, CircuitState.Open, 'probeFailed']);
+        return wait(25);
+      }).then(() => {
+        expect(breaker.tryAcquire()).to.be.false;
+        return wait(20);
+      }).then(() => {
+        expect(breaker.tryAcquire()).to.be.true;
+      });
+    });
+  });
+
+  describe('in a cluster', () => {
+    let cluster;
+    let a;
+
+    beforeEach(() => {
+      cluster = new Cluster({region: 'us-east-1', endpoints: ['localhost:8111'], credentials: {}, logger: {warn: () => {}, info: () => {}},
+        circuitBreaker: {minRequests: 4, openMs: 20, halfOpenRequests: 1, probationMs: 1}}, null);
+      let backend = (addr) => {
+        let be = new Backend(cluster, {address: addr, port: 8111, role: 2}, cluster._circuitBreaker);
+        be.client = {name: addr};
+        be.active = true;
+        cluster._alive.add(be);
+        return be;
+      };
+      a = backend('a');
+      backend('b');
+      cluster._rebuildRoutes();
+    });
+
+    afterEach(() => cluster.close());
+
+    function send(target, err) {
+      return cluster.trackRequest(target, () => err ? Promise.reject(err) : Promise.resolve(target.name)).catch(() => null);
+    }
+
+    it('sends a single trial request of a burst to a half-open node', () => {
+      let requests = [];
+      for(let i = 0; i < 4; i++) {
+        requests.push(send(a.client, connectionError()));
+      }
+      return Promise.all(requests).then(() => {
+        expect(a.breaker.state).to.equal(CircuitState.Open);
+        return wait(25);
+      }).then(() => {
+        let burst = [];
+        for(let i = 0; i < 50; i++) {
+          burst.push(send(cluster.readClient(null)));
+        }
+        return Promise.all(burst);
+      }).then((served) => {
+        expect(served.filter((name) => name === 'a').length).to.equal(1);
+        expect(a.breaker.state).to.equal(CircuitState.Closed);
+      });
+    });
+  });
+});
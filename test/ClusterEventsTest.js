@@ -0,0 +1,125 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const net = require('net');
+const Cluster = require('../src/Cluster');
+const DaxClientEvents = require('../src/DaxClientEvents');
+const Util = require('../src/Util');
+const {fakeDaxClient} = require('./helpers/FakeCluster');
+
+describe('Cluster events', () => {
+  let server;
+  let port;
+  let cluster;
+
+  before((done) => {
+    server = net.createServer((socket) => {
+      socket.on('error', () => {});
+      socket.resume();
+    });
+    server.listen(0, () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  after((done) => {
+    server.close(() => done());
+  });
+
+  beforeEach(() => {
+    let manufacturer = {createDaxClient: (pool) => ({_tubePool: pool, shutdown: () => pool.close()})};
+    cluster = new Cluster({region: 'us-east-1', credentials: {accessKeyId: 'AK', secretAccessKey: 'SK'}}, manufacturer,
+      {refresh: (callback) => callback()});
+  });
+
+  afterEach(() => cluster.close());
+
+  function endpoint(nodeId, address, leaderSessionId, zone, role) {
+    return Util.serviceEndpointFrom(nodeId, 'localhost', address, port, role, zone, leaderSessionId);
+  }
+
+  function next(event, test) {
+    return new Promise((resolve) => {
+      let listener = (detail) => {
+        if(!test || test(detail)) {
+          cluster.removeListener(event, listener);
+          resolve(detail);
+        }
+      };
+      cluster.on(event, listener);
+    });
+  }
+
+  it('reports the leader, the routes and the nodes that come up', () => {
+    let events = [];
+    for(let event of [DaxClientEvents.LeaderChanged, DaxClientEvents.RoutesRebuilt]) {
+      cluster.on(event, (detail) => events.push([event, detail]));
+    }
+    let up = next(DaxClientEvents.NodeUp);
+    cluster.update([endpoint('n1', '127.0.0.1', 1, 'az1', 1)]);
+    return up.then((detail) => {
+      expect(detail).to.deep.equal({nodeId: 'n1', address: '127.0.0.1', port: port, zone: 'az1', role: 'leader',
+        reason: 'healthCheckPassed'});
+      expect(events[0]).to.deep.equal([DaxClientEvents.LeaderChanged, {nodeId: 'n1', address: '127.0.0.1', port: port,
+        zone: 'az1', role: 'leader', reason: 'endpointsUpdated', leaderSessionId: 1, previous: null}]);
+      expect(events[events.length - 1]).to.deep.equal([DaxClientEvents.RoutesRebuilt, {size: 1, leaders: 1, zones: {az1: 1}}]);
+    });
+  });
+
+  it('reports removed nodes and the new leader with the previous one', () => {
+    let up = next(DaxClientEvents.NodeUp, (detail) => detail.nodeId === 'n2');
+    cluster.update([endpoint('n1', '127.0.0.1', 1, 'az1', 1), endpoint('n2', '127.0.0.2', 1, 'az2', 2)]);
+    return up.then(() => {
+      let down = next(DaxClientEvents.NodeDown);
+      let leader = next(DaxClientEvents.LeaderChanged);
+      cluster.update([endpoint('n2', '127.0.0.2', 2, 'az2', 1)]);
+      return Promise.all([down, leader]);
+    }).then((details) => {
+      expect(details[0]).to.include({nodeId: 'n1', role: 'leader', reason: 'removed'});
+      expect(details[1]).to.include({nodeId: 'n2', role: 'leader', leaderSessionId: 2});
+      expect(details[1].previous).to.include({nodeId: 'n1', address: '127.0.0.1', port: port, zone: 'az1', role: 'leader'});
+    });
+  });
+
+  it('reports every node down when closed', () => {
+    let up = next(DaxClientEvents.NodeUp);
+    cluster.update([endpoint('n1', '127.0.0.1', 1, 'az1', 1)]);
+    return up.then(() => {
+      let down = next(DaxClientEvents.NodeDown);
+      let routes = next(DaxClientEvents.RoutesRebuilt);
+      cluster.close();
+      return Promise.all([down, routes]);
+    }).then((details) => {
+      expect(details[0]).to.include({nodeId: 'n1', reason: 'closed'});
+      expect(details[1]).to.deep.equal({size: 0, leaders: 0, zones: {}});
+    });
+  });
+
+  it('lets AmazonDaxClient listeners subscribe to the cluster', () => {
+    let client = fakeDaxClient({});
+    let details = [];
+    let listener = (detail) => details.push(detail);
+    client.on(DaxClientEvents.RefreshFailed, listener);
+    client._cluster.notify(DaxClientEvents.RefreshFailed, {reason: 'a'});
+    client.off(DaxClientEvents.RefreshFailed, listener);
+    client._cluster.notify(DaxClientEvents.RefreshFailed, {reason: 'b'});
+    client.once(DaxClientEvents.RefreshFailed, listener);
+    client._cluster.notify(DaxClientEvents.RefreshFailed, {reason: 'c'});
+    client._cluster.notify(DaxClientEvents.RefreshFailed, {reason: 'd'});
+    expect(details).to.deep.equal([{reason: 'a'}, {reason: 'c'}]);
+  });
+});
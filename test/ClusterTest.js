@@ -0,0 +1,123 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const net = require('net');
+const Cluster = require('../src/Cluster');
+const DaxErrorCode = require('../src/DaxErrorCode');
+const Util = require('../src/Util');
+
+describe('Cluster', () => {
+  let server;
+  let port;
+  let cluster;
+  let schemas;
+
+  before((done) => {
+    server = net.createServer((socket) => {
+      socket.on('error', () => {});
+      socket.resume();
+    });
+    server.listen(0, () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  after((done) => {
+    server.close(() => done());
+  });
+
+  function newCluster(config) {
+    let manufacturer = {createDaxClient: (pool) => ({
+      _tubePool: pool,
+      warm: (count) => pool.warm(count),
+      poolStats: () => pool.stats(),
+      cacheStats: () => ({keySchemas: {hits: 1, misses: 2, entries: 1}, attributeLists: {hits: 0, misses: 0, entries: 0}}),
+      keySchema: (table) => {
+        schemas.push(table);
+        return Promise.resolve([]);
+      },
+      shutdown: () => pool.close(),
+    })};
+    return new Cluster(Object.assign({region: 'us-east-1', credentials: {accessKeyId: 'AK', secretAccessKey: 'SK'}}, config),
+      manufacturer, {refresh: (callback) => callback()});
+  }
+
+  beforeEach(() => {
+    schemas = [];
+    cluster = newCluster({});
+  });
+
+  afterEach(() => cluster.close());
+
+  describe('ready', () => {
+    it('resolves once the nodes are up, with warm connections and key schemas', () => {
+      let ready = cluster.ready({minNodes: 2, requireLeader: true, connectionsPerNode: 3, tables: ['a', 'b'], timeoutMs: 2000});
+      cluster.update([Util.serviceEndpointFrom('n1', 'localhost', '127.0.0.1', port, 1, 'az1', 1),
+        Util.serviceEndpointFrom('n2', 'localhost', '127.0.0.2', port, 2, 'az2', 1)]);
+      return ready.then(() => {
+        let stats = cluster.poolStats();
+        expect(Object.keys(stats).sort()).to.deep.equal(['127.0.0.1:' + port, '127.0.0.2:' + port]);
+        for(let node of Object.keys(stats)) {
+          expect(stats[node]).to.include({idle: 3, pending: 0});
+        }
+        expect(schemas.sort()).to.deep.equal(['a', 'a', 'b', 'b']);
+      });
+    });
+
+    it('fails with NoRouteException when too few nodes come up in time', () => {
+      let started = Date.now();
+      let ready = cluster.ready({minNodes: 2, timeoutMs: 200});
+      cluster.update([Util.serviceEndpointFrom('n1', 'localhost', '127.0.0.1', port, 1, 'az1', 1)]);
+      return ready.then(() => expect.fail('resolved'), (err) => {
+        expect(err.code).to.equal(DaxErrorCode.NoRoute);
+        expect(Date.now() - started).to.be.within(190, 1000);
+      });
+    });
+  });
+
+  describe('metadataCacheStats', () => {
+    it('sums the stats of the metadata caches of the nodes', () => {
+      let ready = cluster.ready({minNodes: 2, timeoutMs: 2000});
+      cluster.update([Util.serviceEndpointFrom('n1', 'localhost', '127.0.0.1', port, 1, 'az1', 1),
+        Util.serviceEndpointFrom('n2', 'localhost', '127.0.0.2', port, 2, 'az2', 1)]);
+      return ready.then(() => {
+        expect(cluster.metadataCacheStats()).to.deep.equal({
+          keySchemas: {hits: 2, misses: 4, entries: 2},
+          attributeLists: {hits: 0, misses: 0, entries: 0},
+        });
+      });
+    });
+  });
+
+  describe('minIdleConnectionsPerNode', () => {
+    it('keeps idle connections open on every node', () => {
+      return cluster.close().then(() => {
+        cluster = newCluster({minIdleConnectionsPerNode: 2});
+        cluster.update([Util.serviceEndpointFrom('n1', 'localhost', '127.0.0.1', port, 1, 'az1', 1),
+          Util.serviceEndpointFrom('n2', 'localhost', '127.0.0.2', port, 2, 'az2', 1)]);
+        // opened in the background, without any request.
+        return new Promise((resolve) => setTimeout(resolve, 200));
+      }).then(() => {
+        let stats = cluster.poolStats();
+        expect(Object.keys(stats)).to.have.lengthOf(2);
+        for(let node of Object.keys(stats)) {
+          expect(stats[node]).to.include({idle: 2, pending: 0});
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const Module = require('module');
+const DaxClientError = require('../src/DaxClientError');
+const DaxErrorCode = require('../src/DaxErrorCode');
+
+const SDK = '@aws-sdk/client-dynamodb';
+const CREDENTIALS = {accessKeyId: 'AK', secretAccessKey: 'SK'};
+// keeps the clients from looking for the nodes.
+const SOURCE = {refresh: (callback) => callback()};
+
+// Stands in for the DynamoDBClient of the SDK, an optional peer dependency.
+class FakeDynamoDBClient {
+  constructor(config) {
+    this.config = Object.assign({}, config, {credentials: () => Promise.resolve(CREDENTIALS)});
+  }
+}
+
+// Loads DaxDynamoDBClient with sdk as the SDK module, or as if the SDK wasn't installed.
+function requireClient(sdk) {
+  delete require.cache[require.resolve('../src/DaxDynamoDBClient')];
+  let load = Module._load;
+  Module._load = function(request) {
+    if(request === SDK) {
+      if(!sdk) {
+        throw new Error('Cannot find module ' + SDK);
+      }
+      return sdk;
+    }
+    return load.apply(this, arguments);
+  };
+  try {
+    return require('../src/DaxDynamoDBClient');
+  } finally {
+    Module._load = load;
+  }
+}
+
+function request(action, body) {
+  return {headers: {'x-amz-target': 'DynamoDB_20120810.' + action}, body: Buffer.from(JSON.stringify(body))};
+}
+
+function responseBody(output) {
+  return JSON.parse(output.response.body.toString('utf8'));
+}
+
+describe('DaxDynamoDBClient', () => {
+  let client;
+  let handler;
+  let calls;
+  let result;
+
+  beforeEach(() => {
+    const DaxDynamoDBClient = requireClient({DynamoDBClient: FakeDynamoDBClient});
+    client = new DaxDynamoDBClient({region: 'us-east-1', endpoints: ['localhost:8111'], endpoint: 'http://localhost:8000',
+      source: SOURCE});
+    handler = client.config.requestHandler;
+    handler._dax.shutdown();
+    calls = [];
+    result = () => Promise.resolve({});
+    handler._dax = new Proxy({}, {
+      get: (target, opname) => (params, options) => {
+        calls.push({opname: opname, params: params, options: options});
+        return {promise: () => result()};
+      },
+    });
+  });
+
+  it('fails to load without the SDK', () => {
+    expect(() => requireClient(null)).to.throw(DaxClientError).with.property('code', DaxErrorCode.IllegalArgument);
+  });
+
+  it('configures the SDK to send its requests to DAX', () => {
+    expect(client.config).to.include({maxAttempts: 1, requestHandler: handler});
+    expect(client.config).to.not.have.any.keys('endpoint', 'endpoints');
+  });
+
+  it('signs the DAX requests with the credentials of the SDK', () => {
+    const DaxDynamoDBClient = requireClient({DynamoDBClient: FakeDynamoDBClient});
+    let other = new DaxDynamoDBClient({region: 'us-east-1', source: SOURCE, maxAttempts: 3});
+    let dax = other.config.requestHandler._dax;
+    dax.shutdown();
+    expect(other.config.maxAttempts).to.equal(3);
+    expect(dax.config.maxAttempts).to.be.undefined;
+    return dax.config.credentialProvider.resolvePromise().then((credentials) => {
+      expect(credentials).to.equal(CREDENTIALS);
+    });
+  });
+
+  it('decodes the binary attribute values of requests and encodes those of results', () => {
+    let b64 = Buffer.from('hi').toString('base64');
+    result = () => Promise.resolve({Item: {bin: {B: Buffer.from('yo')}}});
+    let body = {
+      TableName: 't',
+      Key: {B: {B: b64}, id: {S: 'x'}},
+      ExpressionAttributeNames: {'#B': 'B'},
+      Expected: {Key: {Value: {B: b64}}},
+    };
+    return handler.handle(request('GetItem', body)).then((output) => {
+      let params = calls[0].params;
+      expect(calls[0].opname).to.equal('getItem');
+      expect(params.Key.B.B).to.deep.equal(Buffer.from('hi'));
+      expect(params.Key.id).to.deep.equal({S: 'x'});
+      expect(params.ExpressionAttributeNames).to.deep.equal({'#B': 'B'});
+      expect(params.Expected.Key.Value.B).to.deep.equal(Buffer.from('hi'));
+      expect(output.response.statusCode).to.equal(200);
+      expect(output.response.headers['content-type']).to.equal('application/x-amz-json-1.0');
+      expect(responseBody(output)).to.deep.equal({Item: {bin: {B: Buffer.from('yo').toString('base64')}}});
+    });
+  });
+
+  it('decodes nested and listed attribute values', () => {
+    let b64 = Buffer.from('hi').toString('base64');
+    let body = {RequestItems: {t: {Keys: [{k: {B: b64}}]}}};
+    let item = {m: {M: {B: {S: 'keep'}, bin: {B: b64}}}, l: {L: [{BS: [b64]}]}};
+    return handler.handle(request('BatchGetItem', body)).then(() => {
+      expect(calls[0].params.RequestItems.t.Keys[0].k.B).to.deep.equal(Buffer.from('hi'));
+      return handler.handle(request('PutItem', {TableName: 't', Item: item}));
+    }).then(() => {
+      let decoded = calls[1].params.Item;
+      expect(decoded.m.M.B).to.deep.equal({S: 'keep'});
+      expect(decoded.m.M.bin.B).to.deep.equal(Buffer.from('hi'));
+      expect(decoded.l.L[0].BS[0]).to.deep.equal(Buffer.from('hi'));
+    });
+  });
+
+  it('passes the abort signal of the SDK', () => {
+    let abortSignal = {addEventListener: () => {}};
+    return handler.handle(request('Query', {TableName: 't'}), {abortSignal: abortSignal}).then(() => {
+      expect(calls[0].options).to.deep.equal({abortSignal: abortSignal});
+    });
+  });
+
+  it('rejects the operations DAX does not support', () => {
+    return handler.handle(request('CreateTable', {})).then(() => {
+      throw new Error('expected an error');
+    }, (err) => {
+      expect(err).to.be.an.instanceof(DaxClientError);
+      expect(err.code).to.equal(DaxErrorCode.Validation);
+      expect(calls).to.be.empty;
+    });
+  });
+
+  it('returns DAX errors as DynamoDB error responses', () => {
+    let err = new DaxClientError('condition failed', DaxErrorCode.ConditionalCheckFailed, false, 'req-1', 400);
+    result = () => Promise.reject(err);
+    return handler.handle(request('PutItem', {TableName: 't', Item: {}})).then((output) => {
+      expect(output.response.statusCode).to.equal(400);
+      expect(output.response.headers['x-amzn-requestid']).to.equal('req-1');
+      expect(responseBody(output)).to.deep.equal({__type: 'com.amazonaws.dynamodb.v20120810#ConditionalCheckFailedException',
+        message: err.message});
+
+      let cancelled = new DaxClientError('cancelled', 'TransactionCanceledException', false);
+      cancelled.cancellationReasons = [{Code: 'None'}];
+      result = () => Promise.reject(cancelled);
+      return handler.handle(request('TransactWriteItems', {TransactItems: []}));
+    }).then((output) => {
+      expect(responseBody(output).CancellationReasons).to.deep.equal([{Code: 'None'}]);
+    });
+  });
+
+  it('returns retryable client errors as server errors', () => {
+    result = () => Promise.reject(new DaxClientError('no route', DaxErrorCode.NoRoute, true));
+    return handler.handle(request('Scan', {TableName: 't'})).then((output) => {
+      expect(output.response.statusCode).to.equal(500);
+      expect(responseBody(output).__type).to.equal('com.amazonaws.dynamodb.v20120810#NoRouteException');
+    });
+  });
+
+  it('rejects aborted calls with an AbortError', () => {
+    result = () => Promise.reject(new DaxClientError('aborted', DaxErrorCode.RequestAborted, false));
+    return handler.handle(request('GetItem', {TableName: 't', Key: {}})).then(() => {
+      throw new Error('expected an error');
+    }, (err) => {
+      expect(err.name).to.equal('AbortError');
+    });
+  });
+});
@@ -0,0 +1,198 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const DaxClientError = require('../src/DaxClientError');
+const DaxClientEvents = require('../src/DaxClientEvents');
+const DaxErrorCode = require('../src/DaxErrorCode');
+const DaxServiceError = require('../src/DaxServiceError');
+const Fallback = require('../src/Fallback');
+const RequestContext = require('../src/RequestContext');
+const {fakeDaxClient} = require('./helpers/FakeCluster');
+
+const connectionError = () => new DaxClientError('reset', DaxErrorCode.Connection, true);
+const QUIET = {warn: () => {}, info: () => {}};
+const noRoute = () => new DaxClientError('No endpoints available', DaxErrorCode.NoRoute, true);
+
+/**
+ * A DAX node failing every call with the errors given in turn, the last one repeating, or
+ * answering once they are used up. Marks the calls as sent unless told otherwise.
+ */
+function daxNode(errors, sent) {
+  let node = {calls: 0};
+  let call = (params, context) => {
+    let err = errors[Math.min(node.calls++, errors.length - 1)];
+    if(context && sent !== false) {
+      context.sent = true;
+    }
+    return err ? Promise.reject(err) : Promise.resolve({Item: {from: {S: 'dax'}}});
+  };
+  node.getItem = node.putItem = call;
+  return node;
+}
+
+// A DynamoDB client of the v2 SDK.
+function dynamoDB() {
+  let ddb = {calls: []};
+  let call = (opname) => (params) => {
+    ddb.calls.push(opname);
+    return {promise: () => Promise.resolve({Item: {from: {S: 'dynamodb'}}}), abort: () => {}};
+  };
+  ddb.getItem = call('getItem');
+  ddb.putItem = call('putItem');
+  return ddb;
+}
+
+describe('Fallback', () => {
+  let ddb;
+  let events;
+
+  function client(node, fallback, config) {
+    ddb = dynamoDB();
+    let c = fakeDaxClient(node, Object.assign({maxRetries: 0, fallbackClient: ddb, fallback: fallback, logger: QUIET}, config));
+    events = [];
+    for(let event of [DaxClientEvents.FallbackEntered, DaxClientEvents.FallbackExited]) {
+      c.on(event, (detail) => events.push([event, detail]));
+    }
+    return c;
+  }
+
+  const getItem = (c) => c.getItem({TableName: 't', Key: {k: {S: 'x'}}}).promise();
+  const putItem = (c) => c.putItem({TableName: 't', Item: {k: {S: 'x'}}}).promise();
+
+  it('is off without a fallback client and validates the settings', () => {
+    expect(Fallback.create(null, {})).to.be.null;
+    expect(() => Fallback.create({}, {operations: ['createTable']})).to.throw(DaxClientError).with.property('code',
+      DaxErrorCode.IllegalArgument);
+    expect(() => Fallback.create({}, {maxRequestsPerSecond: -1})).to.throw(DaxClientError);
+  });
+
+  describe('reads', () => {
+    it('go to DynamoDB when the nodes fail, until DAX serves a call again', () => {
+      let node = daxNode([connectionError(), connectionError(), null]);
+      let c = client(node, {recoveryCheckMs: 20}, {maxRetries: 1});
+      return getItem(c).then((data) => {
+        expect(data.Item.from.S).to.equal('dynamodb');
+        expect(node.calls).to.equal(2);
+        expect(events.map((e) => e[0])).to.deep.equal([DaxClientEvents.FallbackEntered]);
+        expect(events[0][1].reason).to.equal(DaxErrorCode.Connection);
+        // DAX is not tried again before recoveryCheckMs.
+        return getItem(c);
+      }).then((data) => {
+        expect(data.Item.from.S).to.equal('dynamodb');
+        expect(node.calls).to.equal(2);
+        return new Promise((resolve) => setTimeout(resolve, 25));
+      }).then(() => getItem(c)).then((data) => {
+        expect(data.Item.from.S).to.equal('dax');
+        expect(events.map((e) => e[0])).to.deep.equal([DaxClientEvents.FallbackEntered, DaxClientEvents.FallbackExited]);
+      });
+    });
+
+    it('don\'t go to DynamoDB when DAX refused the request', () => {
+      let err = new DaxServiceError('failed', DaxErrorCode.ConditionalCheckFailed, false, null, 400, []);
+      let c = client(daxNode([err]));
+      return getItem(c).then(() => expect.fail('resolved'), (e) => {
+        expect(e.code).to.equal(DaxErrorCode.ConditionalCheckFailed);
+        expect(ddb.calls).to.be.empty;
+      });
+    });
+
+    it('fail over maxRequestsPerSecond', () => {
+      let c = client(daxNode([connectionError()]), {maxRequestsPerSecond: 1, recoveryCheckMs: 20});
+      return getItem(c).then(() => new Promise((resolve) => setTimeout(resolve, 25))).then(() => getItem(c)).then(() => {
+        expect.fail('resolved');
+      }, (e) => {
+        // the DAX error of the call.
+        expect(e.code).to.equal(DaxErrorCode.Connection);
+        return getItem(c);
+      }).then(() => expect.fail('resolved'), (e) => {
+        // while falling back, calls don't try DAX before recoveryCheckMs.
+        expect(e.code).to.equal(DaxErrorCode.NoRoute);
+        expect(e.message).to.match(/fallback rate limit/);
+        expect(ddb.calls).to.deep.equal(['getItem']);
+      });
+    });
+
+    it('only go to DynamoDB for the operations of the setting', () => {
+      let c = client(daxNode([connectionError()]), {operations: ['query']});
+      return getItem(c).then(() => expect.fail('resolved'), (e) => {
+        expect(e.code).to.equal(DaxErrorCode.Connection);
+        expect(ddb.calls).to.be.empty;
+      });
+    });
+  });
+
+  describe('writes', () => {
+    it('go to DynamoDB when there is no route to the leader', () => {
+      let c = client(daxNode([null]), {operations: 'all'});
+      c._cluster.leaderClient = () => {
+        throw noRoute();
+      };
+      return putItem(c).then(() => {
+        expect(ddb.calls).to.deep.equal(['putItem']);
+      });
+    });
+
+    it('go to DynamoDB without trying DAX when the circuits of all leaders are open', () => {
+      let node = daxNode([null]);
+      let c = client(node, {operations: 'all'});
+      c._cluster.leaderCircuitsOpen = () => true;
+      return putItem(c).then(() => {
+        expect(node.calls).to.equal(0);
+        expect(ddb.calls).to.deep.equal(['putItem']);
+      });
+    });
+
+    it('go to DynamoDB when no attempt was sent', () => {
+      let c = client(daxNode([connectionError()], false), {operations: 'all'});
+      return putItem(c).then(() => {
+        expect(ddb.calls).to.deep.equal(['putItem']);
+      });
+    });
+
+    it('don\'t go to DynamoDB once an attempt was sent', () => {
+      let c = client(daxNode([connectionError()]), {operations: 'all'});
+      return putItem(c).then(() => expect.fail('resolved'), (e) => {
+        expect(e.code).to.equal(DaxErrorCode.Connection);
+        expect(ddb.calls).to.be.empty;
+      });
+    });
+
+    it('don\'t go to DynamoDB when a retry after a sent attempt finds no route', () => {
+      let node = daxNode([connectionError()]);
+      let c = client(node, {operations: 'all'}, {maxRetries: 1});
+      c._cluster.leaderClient = () => {
+        if(node.calls > 0) {
+          throw noRoute();
+        }
+        return node;
+      };
+      return putItem(c).then(() => expect.fail('resolved'), (e) => {
+        expect(e.code).to.equal(DaxErrorCode.NoRoute);
+        expect(node.calls).to.equal(1);
+        expect(ddb.calls).to.be.empty;
+      });
+    });
+  });
+
+  it('decides whether a write was sent by its context', () => {
+    let context = new RequestContext('putItem');
+    expect(Fallback.wasNotSent(noRoute(), context)).to.be.true;
+    context.sent = true;
+    expect(Fallback.wasNotSent(noRoute(), context)).to.be.false;
+    expect(Fallback.wasNotSent(noRoute(), null)).to.be.true;
+    expect(Fallback.wasNotSent(connectionError(), null)).to.be.false;
+  });
+});
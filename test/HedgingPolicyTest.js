@@ -0,0 +1,131 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const DaxClientError = require('../src/DaxClientError');
+const DaxErrorCode = require('../src/DaxErrorCode');
+const HedgingPolicy = require('../src/HedgingPolicy');
+const {fakeDaxClient} = require('./helpers/FakeCluster');
+
+/**
+ * A node answering getItem after delay milliseconds with its name, or with error if given.
+ * Records the calls and the aborts of the requests sent to it.
+ */
+function fakeNode(name, delay, error) {
+  let node = {name: name, calls: 0, aborts: []};
+  node.getItem = (params, context) => new Promise((resolve, reject) => {
+    node.calls++;
+    let timer = setTimeout(() => error ? reject(error) : resolve({Item: {name: {S: name}}}), delay);
+    context.onAbort((err) => {
+      clearTimeout(timer);
+      node.aborts.push(err.code);
+      reject(err);
+    });
+  });
+  node.putItem = node.getItem;
+  return node;
+}
+
+/**
+ * Returns a client whose cluster routes the first attempt to first, and a hedged request to second.
+ */
+function hedgedClient(first, second, hedging) {
+  let client = fakeDaxClient(first, {hedging: hedging, metrics: true, maxRetries: 0});
+  client._cluster.readClient = (prev) => prev === first ? second : first;
+  return client;
+}
+
+const getItem = (client) => client.getItem({TableName: 't', Key: {k: {S: 'x'}}}).promise();
+
+function counter(client, name) {
+  let found = client.metrics().counters.find((c) => c.name === name);
+  return found ? found.value : 0;
+}
+
+describe('HedgingPolicy', () => {
+  it('is off without the setting', () => {
+    expect(HedgingPolicy.create(undefined)).to.be.null;
+    expect(HedgingPolicy.create(true).delay()).to.equal(50);
+  });
+
+  it('hedges only reads', () => {
+    let policy = HedgingPolicy.create({operations: ['getItem']});
+    expect(policy.appliesTo('getItem')).to.be.true;
+    expect(policy.appliesTo('query')).to.be.false;
+    expect(() => HedgingPolicy.create({operations: ['putItem']})).to.throw(DaxClientError).with.property('code',
+      DaxErrorCode.IllegalArgument);
+    expect(() => HedgingPolicy.create({percentile: 101})).to.throw(DaxClientError);
+  });
+
+  it('waits for the percentile of the recent latencies once there are enough', () => {
+    let policy = HedgingPolicy.create({delayMs: 40, percentile: 90, minDelayMs: 3});
+    for(let i = 1; i < 20; i++) {
+      policy.record(i);
+    }
+    expect(policy.delay()).to.equal(40);
+    policy.record(20);
+    expect(policy.delay()).to.equal(18);
+    for(let i = 0; i < 200; i++) {
+      policy.record(1);
+    }
+    expect(policy.delay()).to.equal(3);
+  });
+
+  describe('hedged reads', () => {
+    it('send a slow read to a second node and take the first answer', () => {
+      let slow = fakeNode('slow', 500);
+      let fast = fakeNode('fast', 10);
+      let client = hedgedClient(slow, fast, {delayMs: 30});
+      let started = Date.now();
+      return getItem(client).then((data) => {
+        expect(data.Item).to.deep.equal({name: {S: 'fast'}});
+        expect(Date.now() - started).to.be.within(35, 400);
+        expect(slow.aborts).to.deep.equal([DaxErrorCode.RequestAborted]);
+        expect(counter(client, 'dax.hedges')).to.equal(1);
+        expect(counter(client, 'dax.hedgeWins')).to.equal(1);
+      });
+    });
+
+    it('are not sent when the first node answers in time', () => {
+      let first = fakeNode('first', 5);
+      let second = fakeNode('second', 5);
+      let client = hedgedClient(first, second, {delayMs: 50});
+      return getItem(client).then(() => new Promise((resolve) => setTimeout(resolve, 60))).then(() => {
+        expect(second.calls).to.equal(0);
+        expect(counter(client, 'dax.hedges')).to.equal(0);
+      });
+    });
+
+    it('fail once every request sent failed', () => {
+      let err = new DaxClientError('not found', DaxErrorCode.ResourceNotFound, false);
+      let first = fakeNode('first', 40, err);
+      let second = fakeNode('second', 30, err);
+      let client = hedgedClient(first, second, {delayMs: 20});
+      return getItem(client).then(() => expect.fail('resolved'), (e) => {
+        expect(e.code).to.equal(DaxErrorCode.ResourceNotFound);
+        expect(first.calls + second.calls).to.equal(2);
+      });
+    });
+
+    it('are not sent for writes', () => {
+      let slow = fakeNode('slow', 60);
+      let fast = fakeNode('fast', 5);
+      let client = hedgedClient(slow, fast, {delayMs: 10});
+      return client.putItem({TableName: 't', Item: {k: {S: 'x'}}}).promise().then(() => {
+        expect(fast.calls).to.equal(0);
+      });
+    });
+  });
+});
@@ -0,0 +1,217 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const ItemCache = require('../src/ItemCache');
+const {fakeDaxClient} = require('./helpers/FakeCluster');
+
+const SCHEMA = [{AttributeName: 'k', AttributeType: 'S'}];
+const KEY = {k: {S: 'a'}};
+
+/**
+ * Stands in for DAX with a table 't' of the given items, keyed by 'k', counting the reads sent to it.
+ */
+function table(items) {
+  let dax = {items: items, reads: []};
+  dax.keySchema = () => Promise.resolve(SCHEMA);
+  dax.get = (params) => {
+    dax.reads.push(params);
+    let item = dax.items[params.Key.k.S];
+    return Promise.resolve(item ? {Item: JSON.parse(JSON.stringify(item))} : {});
+  };
+  dax.batchGet = (params) => {
+    dax.reads.push(params);
+    let found = params.RequestItems.t.Keys.map((key) => dax.items[key.k.S]).filter((item) => item);
+    return Promise.resolve({Responses: {t: JSON.parse(JSON.stringify(found))}, UnprocessedKeys: {}});
+  };
+  dax.put = (params) => {
+    dax.items[params.Item.k.S] = params.Item;
+    return Promise.resolve({});
+  };
+  return dax;
+}
+
+describe('ItemCache', () => {
+  let dax;
+  let cache;
+
+  beforeEach(() => {
+    dax = table({a: {k: {S: 'a'}, v: {N: '1'}}, b: {k: {S: 'b'}, v: {N: '2'}}});
+    cache = new ItemCache({ttlMs: 5000}, dax.keySchema);
+  });
+
+  const get = (extra) => cache.read('getItem', Object.assign({TableName: 't', Key: KEY}, extra), dax.get);
+
+  it('is not created without a setting', () => {
+    expect(ItemCache.create(undefined, dax.keySchema)).to.be.null;
+    expect(ItemCache.create(true, dax.keySchema)).to.be.an.instanceof(ItemCache);
+  });
+
+  it('serves repeated reads from the cache', () => {
+    return get().then(() => get()).then((data) => {
+      expect(data.Item).to.deep.equal({k: {S: 'a'}, v: {N: '1'}});
+      expect(dax.reads).to.have.lengthOf(1);
+      expect(cache.stats()).to.include({hits: 1, misses: 1, entries: 1});
+    });
+  });
+
+  it('returns copies of the cached items', () => {
+    return get().then((data) => {
+      data.Item.v.N = '100';
+      return get();
+    }).then((data) => {
+      data.Item.v.N = '200';
+      return get();
+    }).then((data) => {
+      expect(data.Item.v.N).to.equal('1');
+    });
+  });
+
+  it('expires items after the ttl', () => {
+    cache = new ItemCache({ttlMs: 20}, dax.keySchema);
+    return get()
+      .then(() => new Promise((resolve) => setTimeout(resolve, 30)))
+      .then(() => get())
+      .then(() => {
+        expect(dax.reads).to.have.lengthOf(2);
+      });
+  });
+
+  it('bypasses strongly consistent reads, projections and consumed capacity', () => {
+    return get()
+      .then(() => get({ConsistentRead: true}))
+      .then(() => get({ProjectionExpression: 'v'}))
+      .then(() => get({AttributesToGet: ['v']}))
+      .then(() => get({ReturnConsumedCapacity: 'TOTAL'}))
+      .then(() => get({ReturnConsumedCapacity: 'NONE'}))
+      .then(() => {
+        expect(dax.reads).to.have.lengthOf(5);
+      });
+  });
+
+  it('only caches the configured tables', () => {
+    cache = new ItemCache({tables: ['other']}, dax.keySchema);
+    return get().then(() => get()).then(() => {
+      expect(dax.reads).to.have.lengthOf(2);
+    });
+  });
+
+  it('removes the written items', () => {
+    return get()
+      .then(() => cache.write('putItem', {TableName: 't', Item: {k: {S: 'a'}, v: {N: '9'}}}, dax.put))
+      .then(() => get())
+      .then((data) => {
+        expect(data.Item.v.N).to.equal('9');
+        expect(dax.reads).to.have.lengthOf(2);
+      });
+  });
+
+  it("doesn't cache an item read before a write that completes first", () => {
+    let release;
+    // answers with the item as it was when the read was sent, once released.
+    let slowGet = (params) => dax.get(params).then((data) => new Promise((resolve) => {
+      release = () => resolve(data);
+    }));
+    let getB = (call) => cache.read('getItem', {TableName: 't', Key: {k: {S: 'b'}}}, call);
+    let read = get().then(() => getB(slowGet));
+    return new Promise((resolve) => setTimeout(resolve, 10))
+      .then(() => cache.write('putItem', {TableName: 't', Item: {k: {S: 'b'}, v: {N: '9'}}}, dax.put))
+      .then(() => {
+        release();
+        return read;
+      })
+      .then((data) => {
+        expect(data.Item.v.N).to.equal('2');
+        return getB(dax.get);
+      })
+      .then((data) => {
+        expect(data.Item.v.N).to.equal('9');
+      });
+  });
+
+  it('waits for a pending key schema before a write', () => {
+    let resolveSchema;
+    cache = new ItemCache({ttlMs: 5000}, () => new Promise((resolve) => {
+      resolveSchema = resolve;
+    }));
+    let read = get();
+    let written = false;
+    let write = cache.write('putItem', {TableName: 't', Item: {k: {S: 'a'}, v: {N: '9'}}}, (params) => {
+      written = true;
+      return dax.put(params);
+    });
+    return new Promise((resolve) => setTimeout(resolve, 10)).then(() => {
+      expect(written).to.be.false;
+      resolveSchema(SCHEMA);
+      return Promise.all([read, write]);
+    }).then(() => get()).then((data) => {
+      expect(data.Item.v.N).to.equal('9');
+    });
+  });
+
+  it('bypasses the cache when the key schema is not known', () => {
+    cache = new ItemCache({ttlMs: 5000}, () => Promise.reject(new Error('no route')));
+    return get().then(() => get()).then((data) => {
+      expect(data.Item.v.N).to.equal('1');
+      expect(dax.reads).to.have.lengthOf(2);
+    });
+  });
+
+  it('remembers missing keys only with a negative ttl', () => {
+    let getMissing = () => cache.read('getItem', {TableName: 't', Key: {k: {S: 'x'}}}, dax.get);
+    return getMissing().then(() => getMissing()).then(() => {
+      expect(dax.reads).to.have.lengthOf(2);
+      cache = new ItemCache({negativeTtlMs: 1000}, dax.keySchema);
+      return getMissing().then(() => getMissing());
+    }).then((data) => {
+      expect(data).to.deep.equal({});
+      expect(dax.reads).to.have.lengthOf(3);
+    });
+  });
+
+  it('only sends the keys of a batch that are not cached', () => {
+    let batch = () => cache.read('batchGetItem', {RequestItems: {t: {Keys: [{k: {S: 'a'}}, {k: {S: 'b'}}]}}}, dax.batchGet);
+    return get().then(() => batch()).then((data) => {
+      expect(dax.reads[1].RequestItems.t.Keys).to.deep.equal([{k: {S: 'b'}}]);
+      expect(data.Responses.t.map((item) => item.v.N).sort()).to.deep.equal(['1', '2']);
+      return batch();
+    }).then((data) => {
+      expect(dax.reads).to.have.lengthOf(2);
+      expect(data.Responses.t).to.have.lengthOf(2);
+    });
+  });
+
+  describe('in AmazonDaxClient', () => {
+    it('fetches key schemas without taking a route', () => {
+      let node = {getItem: (params) => dax.get(params)};
+      let schemas = 0;
+      let client = fakeDaxClient(node, {itemCache: {ttlMs: 5000}});
+      // keySchema doesn't go through readClient, which takes the circuit breaker decisions.
+      client._cluster.metadataClient = () => ({
+        keySchema: () => {
+          schemas++;
+          return Promise.resolve(SCHEMA);
+        },
+      });
+      let getItem = () => client.getItem({TableName: 't', Key: KEY}).promise();
+      return getItem().then(() => getItem()).then((data) => {
+        expect(data.Item.v.N).to.equal('1');
+        expect(schemas).to.equal(1);
+        expect(dax.reads).to.have.lengthOf(1);
+        expect(client.itemCacheStats()).to.include({hits: 1});
+      });
+    });
+  });
+});
@@ -0,0 +1,63 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const Cluster = require('../src/Cluster');
+const Logger = require('../src/Logger');
+
+describe('Logger', () => {
+  it('calls the configured logger with the message and its details', () => {
+    let calls = [];
+    let logger = Logger.create({
+      prefix: 'dax',
+      warn(message, meta) {
+        calls.push([this.prefix, message, meta]);
+      },
+    });
+    logger.warn('node removed', {address: 'a'});
+    expect(calls).to.deep.equal([['dax', 'node removed', {address: 'a'}]]);
+  });
+
+  it('logs the levels the logger lacks as without a logger', () => {
+    let warn = sinon.stub(console, 'warn');
+    try {
+      let logger = Logger.create({debug: () => {}});
+      logger.info('dropped');
+      logger.warn('to the console', {port: 1});
+      logger.warn('to the console');
+      expect(warn.args).to.deep.equal([['to the console', {port: 1}], ['to the console']]);
+    } finally {
+      warn.restore();
+    }
+  });
+
+  it('keeps an existing Logger', () => {
+    let logger = Logger.create(null);
+    expect(Logger.create(logger)).to.equal(logger);
+  });
+
+  it('reports errors thrown by cluster event listeners', () => {
+    let errors = [];
+    let cluster = new Cluster({endpoints: ['localhost:8111'], region: 'us-east-1', credentials: {},
+      logger: {error: (message, meta) => errors.push([message, meta])}}, null);
+    let err = new Error('listener');
+    cluster.on('nodeUp', () => {
+      throw err;
+    });
+    cluster.notify('nodeUp', {});
+    expect(errors).to.deep.equal([['caught exception in event listener', {event: 'nodeUp', error: err}]]);
+  });
+});
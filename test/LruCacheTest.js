@@ -0,0 +1,89 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const LruCache = require('../src/LruCache');
+
+describe('LruCache', () => {
+  it('evicts the least recently used entries', () => {
+    let evicted = [];
+    let cache = new LruCache({maxEntries: 2, onEvict: (key, value) => evicted.push([key, value])});
+    cache.set('a', 1);
+    cache.set('b', 2);
+    expect(cache.get('a')).to.equal(1);
+    cache.set('c', 3);
+    expect(cache.has('b')).to.be.false;
+    expect(cache.get('a')).to.equal(1);
+    expect(cache.get('c')).to.equal(3);
+    expect(evicted).to.deep.equal([['b', 2]]);
+  });
+
+  it("doesn't make peeked entries recently used", () => {
+    let cache = new LruCache({maxEntries: 2});
+    cache.set('a', 1);
+    cache.set('b', 2);
+    expect(cache.peek('a')).to.equal(1);
+    cache.set('c', 3);
+    expect(cache.has('a')).to.be.false;
+    expect(cache.stats()).to.include({hits: 0, misses: 0});
+  });
+
+  it('bounds the total size of the entries', () => {
+    let cache = new LruCache({maxBytes: 10});
+    cache.set('a', 1, 4);
+    cache.set('b', 2, 4);
+    cache.set('c', 3, 4);
+    expect(cache.has('a')).to.be.false;
+    expect(cache.bytes).to.equal(8);
+    // too large to be cached on its own.
+    cache.set('d', 4, 11);
+    expect(cache.has('d')).to.be.false;
+    expect(cache.size).to.equal(2);
+  });
+
+  it('replaces the value and size of a key set again', () => {
+    let cache = new LruCache({maxBytes: 10});
+    cache.set('a', 1, 6);
+    cache.set('a', 2, 8);
+    expect(cache.get('a')).to.equal(2);
+    expect(cache.bytes).to.equal(8);
+    expect(cache.delete('a')).to.be.true;
+    expect(cache.delete('a')).to.be.false;
+    expect(cache.bytes).to.equal(0);
+  });
+
+  it('expires entries after their time to live', () => {
+    let cache = new LruCache({ttlMs: 20});
+    cache.set('a', 1);
+    cache.set('b', 2, 0, 1000);
+    return new Promise((resolve) => setTimeout(resolve, 30)).then(() => {
+      expect(cache.peek('a')).to.be.undefined;
+      expect(cache.get('a')).to.be.undefined;
+      expect(cache.get('b')).to.equal(2);
+      expect(cache.stats()).to.deep.equal({hits: 1, misses: 1, evictions: 0, expirations: 1, entries: 1, bytes: 0});
+    });
+  });
+
+  it('counts hits, misses and evictions', () => {
+    let cache = new LruCache({maxEntries: 1});
+    cache.get('a');
+    cache.set('a', 1);
+    cache.get('a');
+    cache.set('b', 2);
+    expect(cache.stats()).to.include({hits: 1, misses: 1, evictions: 1, entries: 1});
+    cache.clear();
+    expect(cache.size).to.equal(0);
+  });
+});
@@ -0,0 +1,103 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const DaxClientError = require('../src/DaxClientError');
+const DaxErrorCode = require('../src/DaxErrorCode');
+const {Metrics, MetricNames, InMemorySink} = require('../src/Metrics');
+const {fakeDaxClient} = require('./helpers/FakeCluster');
+
+describe('Metrics', () => {
+  it('creates the sink of the setting', () => {
+    expect(Metrics.create(undefined).enabled).to.be.false;
+    expect(Metrics.create(true)._sink).to.be.an.instanceof(InMemorySink);
+    let sink = {record: () => {}};
+    expect(Metrics.create(sink)._sink).to.equal(sink);
+    let metrics = Metrics.create(true);
+    expect(Metrics.create(metrics)).to.equal(metrics);
+    expect(() => Metrics.create('statsd')).to.throw(DaxClientError).with.property('code', DaxErrorCode.IllegalArgument);
+  });
+
+  it('sums counters, keeps the last gauge and buckets timings', () => {
+    let metrics = Metrics.create(true);
+    metrics.increment(MetricNames.Retries, {operation: 'getItem', code: 'x'});
+    metrics.increment(MetricNames.Retries, {code: 'x', operation: 'getItem'}, 2);
+    metrics.gauge(MetricNames.PoolIdle, 3, {node: 'a'});
+    metrics.gauge(MetricNames.PoolIdle, 1, {node: 'a'});
+    metrics.timing(MetricNames.OperationLatency, 4, {operation: 'getItem'});
+    metrics.timing(MetricNames.OperationLatency, 20000, {operation: 'getItem'});
+    let snapshot = metrics.snapshot();
+    expect(snapshot.counters).to.deep.equal([{name: 'dax.retries', tags: {operation: 'getItem', code: 'x'}, value: 3}]);
+    expect(snapshot.gauges).to.deep.equal([{name: 'dax.pool.idle', tags: {node: 'a'}, value: 1}]);
+    let histogram = snapshot.histograms[0];
+    expect(histogram).to.include({count: 2, sum: 20004, min: 4, max: 20000});
+    expect(histogram.buckets.find((b) => b.le === 5).count).to.equal(1);
+    expect(histogram.buckets[histogram.buckets.length - 1]).to.deep.equal({le: Infinity, count: 2});
+  });
+
+  it('passes every value to a callback and ignores its errors', () => {
+    let values = [];
+    let metrics = Metrics.create((value) => {
+      values.push(value);
+      throw new Error('sink');
+    });
+    metrics.increment(MetricNames.Hedges);
+    expect(values).to.deep.equal([{type: 'counter', name: 'dax.hedges', value: 1, tags: {}}]);
+    expect(metrics.snapshot()).to.be.null;
+  });
+
+  it('formats values for StatsD', () => {
+    expect(Metrics.formatStatsd({type: 'counter', name: 'dax.retries', value: 1, tags: {operation: 'getItem'}}, 'app.'))
+      .to.equal('app.dax.retries:1|c|#operation:getItem');
+    expect(Metrics.formatStatsd({type: 'timing', name: 'dax.operation.latency', value: 3, tags: {}})).to.equal('dax.operation.latency:3|ms');
+  });
+
+  it('formats snapshots for Prometheus', () => {
+    let metrics = Metrics.create(true);
+    metrics.increment(MetricNames.PoolConnects, {node: 'a"b'});
+    metrics.gauge(MetricNames.Routes, 2, {role: 'leader'});
+    metrics.timing(MetricNames.HealthCheckLatency, 7);
+    let lines = Metrics.formatPrometheus(metrics.snapshot()).split('\n');
+    expect(lines).to.include.members([
+      '# TYPE dax_pool_connects_total counter',
+      'dax_pool_connects_total{node="a\\"b"} 1',
+      'dax_routes{role="leader"} 2',
+      '# TYPE dax_healthCheck_latency_ms histogram',
+      'dax_healthCheck_latency_ms_bucket{le="10"} 1',
+      'dax_healthCheck_latency_ms_bucket{le="+Inf"} 1',
+      'dax_healthCheck_latency_ms_sum 7',
+      'dax_healthCheck_latency_ms_count 1',
+    ]);
+  });
+
+  it('counts the retries and failures of client calls', () => {
+    let attempts = 0;
+    let node = {
+      query: () => {
+        attempts++;
+        return Promise.reject(new DaxClientError('unavailable', DaxErrorCode.Connection));
+      },
+    };
+    let client = fakeDaxClient(node, {metrics: true, maxRetries: 2, retryDelay: 0});
+    return client.query({TableName: 't'}).promise().then(() => {
+      throw new Error('expected an error');
+    }, (err) => {
+      expect(attempts).to.equal(3);
+      let counters = client.metrics().counters;
+      expect(counters).to.deep.include({name: 'dax.retries', tags: {operation: 'query', code: DaxErrorCode.Connection}, value: 2});
+      expect(counters).to.deep.include({name: 'dax.request.errors', tags: {operation: 'query', code: DaxErrorCode.Connection}, value: 1});
+    });
+  });
+});
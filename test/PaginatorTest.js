@@ -0,0 +1,113 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const DaxClientError = require('../src/DaxClientError');
+const DaxErrorCode = require('../src/DaxErrorCode');
+const Paginator = require('../src/Paginator');
+const {collect} = require('./helpers/Iterables');
+
+const ITEMS = Array.from({length: 10}, (_, i) => ({k: {N: String(i)}, v: {S: 'x'}}));
+
+/**
+ * A client querying ITEMS in pages of Limit items, or pageSize if there is no Limit.
+ */
+function fakeClient(pageSize) {
+  let client = {calls: []};
+  client.query = (params, options) => {
+    client.calls.push({params: params, options: options});
+    return {promise: () => {
+      let start = params.ExclusiveStartKey ? Number(params.ExclusiveStartKey.k.N) + 1 : 0;
+      let items = ITEMS.slice(start, start + (params.Limit || pageSize));
+      let last = start + items.length < ITEMS.length ? {k: items[items.length - 1].k} : undefined;
+      return Promise.resolve({Items: items, Count: items.length, LastEvaluatedKey: last});
+    }};
+  };
+  return client;
+}
+
+const keys = (items) => items.map((item) => item.k.N);
+
+describe('Paginator', () => {
+  it('returns every page, starting each at the key the previous one ended at', () => {
+    let client = fakeClient(3);
+    let deadline = Date.now() + 10000;
+    return collect(new Paginator(client, 'query', {TableName: 't'}, {deadline: deadline})).then((pages) => {
+      expect(pages.map((page) => keys(page.Items))).to.deep.equal([['0', '1', '2'], ['3', '4', '5'], ['6', '7', '8'], ['9']]);
+      expect(client.calls.map((call) => call.params.ExclusiveStartKey)).to.deep.equal([undefined, {k: {N: '2'}}, {k: {N: '5'}},
+        {k: {N: '8'}}]);
+      expect(client.calls[0].options).to.deep.equal({deadline: deadline});
+    });
+  });
+
+  it('starts over at the ExclusiveStartKey of the params on each iteration', () => {
+    let paginator = new Paginator(fakeClient(4), 'query', {TableName: 't', ExclusiveStartKey: {k: {N: '5'}}});
+    return collect(paginator.items()).then((items) => {
+      expect(keys(items)).to.deep.equal(['6', '7', '8', '9']);
+      return collect(paginator.items());
+    }).then((items) => {
+      expect(keys(items)).to.deep.equal(['6', '7', '8', '9']);
+    });
+  });
+
+  it('limits the page size and the number of items', () => {
+    let client = fakeClient(3);
+    return collect(new Paginator(client, 'query', {TableName: 't'}, {pageSize: 4, maxItems: 6}).items()).then((items) => {
+      expect(keys(items)).to.deep.equal(['0', '1', '2', '3', '4', '5']);
+      expect(client.calls.map((call) => call.params.Limit)).to.deep.equal([4, 2]);
+      expect(client.calls[0].options).to.deep.equal({});
+    });
+  });
+
+  it('cuts off pages beyond maxItems and resumes after the last item returned', () => {
+    // the client ignores Limit, as DAX does for filtered results.
+    let client = fakeClient(5);
+    client.scan = (params) => client.query(Object.assign({}, params, {Limit: 0}));
+    return collect(new Paginator(client, 'scan', {TableName: 't'}, {maxItems: 3})).then((pages) => {
+      expect(pages.length).to.equal(1);
+      expect(keys(pages[0].Items)).to.deep.equal(['0', '1', '2']);
+      expect(pages[0].Count).to.equal(3);
+      expect(pages[0].LastEvaluatedKey).to.deep.equal({k: {N: '2'}});
+    });
+  });
+
+  it('stops sending requests when the iteration stops', () => {
+    let client = fakeClient(3);
+    return collect(new Paginator(client, 'query', {TableName: 't'}).items(), 2).then((items) => {
+      expect(keys(items)).to.deep.equal(['0', '1']);
+      expect(client.calls.length).to.equal(1);
+    });
+  });
+
+  it('ends the iteration at the first error', () => {
+    let err = new DaxClientError('throttled', DaxErrorCode.Throttling, false);
+    let client = {query: () => ({promise: () => Promise.reject(err)})};
+    let iterator = new Paginator(client, 'query', {TableName: 't'})[Symbol.asyncIterator]();
+    return iterator.next().then(() => {
+      throw new Error('expected an error');
+    }, (e) => {
+      expect(e).to.equal(err);
+      return iterator.next();
+    }).then((result) => {
+      expect(result.done).to.be.true;
+    });
+  });
+
+  it('rejects negative sizes', () => {
+    expect(() => new Paginator(fakeClient(3), 'query', {}, {pageSize: -1})).to.throw(DaxClientError);
+    expect(() => new Paginator(fakeClient(3), 'query', {}, {maxItems: -1})).to.throw(DaxClientError)
+      .with.property('code', DaxErrorCode.IllegalArgument);
+  });
+});
@@ -0,0 +1,124 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const DaxClientError = require('../src/DaxClientError');
+const DaxErrorCode = require('../src/DaxErrorCode');
+const ParallelScan = require('../src/ParallelScan');
+const {collect} = require('./helpers/Iterables');
+
+/**
+ * A client scanning segments of pages items each, items being named segment.page.index. Each
+ * page takes delay milliseconds and consumes capacity units.
+ */
+function fakeClient(pages, items, delay, capacity) {
+  let client = {calls: [], inFlight: 0, maxInFlight: 0};
+  client.scan = (params, options) => {
+    client.calls.push({params: params, options: options});
+    return {promise: () => {
+      client.inFlight++;
+      client.maxInFlight = Math.max(client.maxInFlight, client.inFlight);
+      return new Promise((resolve) => setTimeout(resolve, delay || 0)).then(() => {
+        client.inFlight--;
+        let page = params.ExclusiveStartKey ? params.ExclusiveStartKey.page.N + 1 : 0;
+        let names = Array.from({length: items}, (_, i) => params.Segment + '.' + page + '.' + i);
+        return {
+          Items: names.map((name) => ({name: {S: name}, page: {N: page}})),
+          Count: items,
+          LastEvaluatedKey: page + 1 < pages ? {page: {N: page}} : undefined,
+          ConsumedCapacity: capacity ? {TableName: 't', CapacityUnits: capacity} : undefined,
+        };
+      });
+    }};
+  };
+  return client;
+}
+
+const names = (items) => items.map((item) => item.name.S).sort();
+
+describe('ParallelScan', () => {
+  it('returns the items of every segment', () => {
+    let client = fakeClient(2, 2);
+    let params = {TableName: 't', Segment: 1, TotalSegments: 9, ExclusiveStartKey: {page: {N: 0}}};
+    let scan = new ParallelScan(client, params, {segments: 3, pageSize: 2, deadline: 1e13});
+    return collect(scan).then((items) => {
+      expect(names(items)).to.deep.equal(['0.0.0', '0.0.1', '0.1.0', '0.1.1', '1.0.0', '1.0.1', '1.1.0', '1.1.1',
+        '2.0.0', '2.0.1', '2.1.0', '2.1.1']);
+      let first = client.calls.filter((call) => !call.params.ExclusiveStartKey);
+      expect(first.map((call) => call.params.Segment).sort()).to.deep.equal([0, 1, 2]);
+      expect(first[0].params).to.include({TableName: 't', TotalSegments: 3, Limit: 2});
+      expect(first[0].options).to.deep.equal({deadline: 1e13});
+    });
+  });
+
+  it('scans at most concurrency segments at once', () => {
+    let client = fakeClient(2, 1, 5);
+    return collect(new ParallelScan(client, {TableName: 't'}, {segments: 5, concurrency: 2})).then((items) => {
+      expect(items.length).to.equal(10);
+      expect(client.maxInFlight).to.equal(2);
+    });
+  });
+
+  it('stops scanning when the iteration stops', () => {
+    let client = fakeClient(100, 1, 1);
+    return collect(new ParallelScan(client, {TableName: 't'}, {segments: 2}), 3).then((items) => {
+      expect(items.length).to.equal(3);
+      return new Promise((resolve) => setTimeout(resolve, 20));
+    }).then(() => {
+      // requests already sent complete, but no more are sent.
+      expect(client.calls.length).to.be.below(10);
+    });
+  });
+
+  it('fails with the first error of a segment', () => {
+    let client = fakeClient(2, 1);
+    let err = new DaxClientError('throttled', DaxErrorCode.Throttling, false);
+    let scan = client.scan;
+    client.scan = (params, options) => params.Segment === 1 ? {promise: () => Promise.reject(err)} : scan(params, options);
+    return collect(new ParallelScan(client, {TableName: 't'}, {segments: 2})).then(() => {
+      throw new Error('expected an error');
+    }, (e) => {
+      expect(e).to.equal(err);
+    });
+  });
+
+  it('stays under the target read capacity', () => {
+    // 2 of the 4 pages use up the budget of a second.
+    let client = fakeClient(2, 1, 0, 100);
+    let start = Date.now();
+    return collect(new ParallelScan(client, {TableName: 't'}, {segments: 2, targetReadCapacity: 200})).then((items) => {
+      expect(items.length).to.equal(4);
+      expect(Date.now() - start).to.be.at.least(400);
+      expect(client.calls[0].params.ReturnConsumedCapacity).to.equal('TOTAL');
+    });
+  });
+
+  it('streams the items', (done) => {
+    let items = [];
+    new ParallelScan(fakeClient(2, 2), {TableName: 't'}, {segments: 2}).stream()
+      .on('data', (item) => items.push(item))
+      .on('error', done)
+      .on('end', () => {
+        expect(items.length).to.equal(8);
+        done();
+      });
+  });
+
+  it('rejects invalid options', () => {
+    expect(() => new ParallelScan({}, {}, {segments: -1})).to.throw(DaxClientError);
+    expect(() => new ParallelScan({}, {}, {targetReadCapacity: -5})).to.throw(DaxClientError)
+      .with.property('code', DaxErrorCode.IllegalArgument);
+  });
+});
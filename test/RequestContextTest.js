@@ -0,0 +1,159 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const RequestContext = require('../src/RequestContext');
+const DaxErrorCode = require('../src/DaxErrorCode');
+const {FakeAbortSignal} = require('./helpers/FakeCluster');
+
+describe('RequestContext', () => {
+  describe('abort', () => {
+    it('calls the listeners with a RequestAborted error', () => {
+      let context = new RequestContext('getItem');
+      let errors = [];
+      context.onAbort((err) => errors.push(err));
+      context.abort();
+      context.abort();
+      expect(context.aborted).to.be.true;
+      expect(errors).to.have.lengthOf(1);
+      expect(errors[0].code).to.equal(DaxErrorCode.RequestAborted);
+      expect(errors[0].retryable).to.be.false;
+    });
+
+    it('calls listeners registered after the abort right away', () => {
+      let context = new RequestContext('getItem');
+      context.abort();
+      let called = false;
+      context.onAbort(() => called = true);
+      expect(called).to.be.true;
+    });
+
+    it('does not call removed listeners', () => {
+      let context = new RequestContext('getItem');
+      let called = false;
+      let remove = context.onAbort(() => called = true);
+      remove();
+      context.abort();
+      expect(called).to.be.false;
+    });
+
+    it('rejects a race as soon as the call is aborted', () => {
+      let context = new RequestContext('getItem');
+      let race = context.race(new Promise(() => {}));
+      context.abort();
+      return race.then(() => expect.fail('resolved'), (err) => {
+        expect(err.code).to.equal(DaxErrorCode.RequestAborted);
+      });
+    });
+
+    it('settles a race like the promise when not aborted', () => {
+      let context = new RequestContext('getItem');
+      return context.race(Promise.resolve('ok')).then((result) => {
+        expect(result).to.equal('ok');
+        expect(context._abortListeners).to.be.empty;
+      });
+    });
+
+    it('is aborted by its abort signal', () => {
+      let signal = new FakeAbortSignal();
+      let context = new RequestContext('getItem', {abortSignal: signal});
+      expect(context.aborted).to.be.false;
+      signal.abort();
+      expect(context.aborted).to.be.true;
+    });
+
+    it('starts aborted with an aborted signal', () => {
+      let signal = new FakeAbortSignal();
+      signal.abort();
+      expect(new RequestContext('getItem', {abortSignal: signal}).aborted).to.be.true;
+    });
+
+    it('releases its abort signal once done', () => {
+      let signal = new FakeAbortSignal();
+      let context = new RequestContext('getItem', {abortSignal: signal});
+      context.done();
+      expect(signal.listenerCount('abort')).to.equal(0);
+    });
+
+    it('rejects anything but an AbortSignal', () => {
+      expect(() => new RequestContext('getItem', {abortSignal: {}})).to.throw(/abortSignal must be an AbortSignal/);
+    });
+
+    it('aborts the children with the call', () => {
+      let context = new RequestContext('getItem');
+      let child = context.child();
+      context.abort();
+      expect(child.aborted).to.be.true;
+      expect(child.abortError).to.equal(context.abortError);
+    });
+
+    it('aborts a child on its own without the call', () => {
+      let context = new RequestContext('getItem');
+      let child = context.child();
+      child.abort();
+      expect(context.aborted).to.be.false;
+    });
+  });
+
+  describe('deadline', () => {
+    it('aborts the call at the deadline', () => {
+      let context = new RequestContext('getItem', {deadline: Date.now() + 30});
+      return new Promise((resolve) => context.onAbort(resolve)).then((err) => {
+        expect(err.code).to.equal(DaxErrorCode.RequestDeadlineExceeded);
+        expect(err.retryable).to.be.false;
+      });
+    });
+
+    it('starts aborted with a deadline in the past', () => {
+      let context = new RequestContext('getItem', {deadline: new Date(Date.now() - 1)});
+      expect(context.aborted).to.be.true;
+      expect(context.abortError.code).to.equal(DaxErrorCode.RequestDeadlineExceeded);
+    });
+
+    it('shortens the attempt timeout to the time left', () => {
+      let context = new RequestContext('getItem', {deadline: Date.now() + 1000});
+      expect(context.attemptTimeout(5000)).to.be.within(900, 1000);
+      expect(context.attemptTimeout(100)).to.equal(100);
+      expect(context.attemptTimeout(0)).to.be.within(900, 1000);
+      context.done();
+    });
+
+    it('prefers the per-call timeout to the default one', () => {
+      let context = new RequestContext('getItem', {timeout: 200});
+      expect(context.attemptTimeout(5000)).to.equal(200);
+      expect(new RequestContext('getItem').attemptTimeout(5000)).to.equal(5000);
+    });
+
+    it('shortens waits to the time left', () => {
+      let context = new RequestContext('getItem', {deadline: Date.now() + 100});
+      expect(context.waitTime(5000)).to.be.within(50, 100);
+      expect(new RequestContext('getItem').waitTime(5000)).to.equal(5000);
+      context.done();
+    });
+
+    it('rejects invalid timeouts and deadlines', () => {
+      expect(() => new RequestContext('getItem', {timeout: -1})).to.throw(/timeout must be positive/);
+      expect(() => new RequestContext('getItem', {deadline: 'tomorrow'})).to.throw(/deadline a Date or a timestamp/);
+    });
+
+    it('shares the deadline with its children', () => {
+      let context = new RequestContext('getItem', {deadline: Date.now() + 1000, timeout: 50});
+      let child = context.child();
+      expect(child.deadline).to.equal(context.deadline);
+      expect(child.timeout).to.equal(50);
+      context.done();
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const Router = require('../src/Router');
+
+describe('Router', () => {
+  const values = ['a1', 'a2', 'b1', 'c1'];
+  const zones = ['us-east-1a', 'us-east-1a', 'us-east-1b', 'us-east-1c'];
+
+  it('routes reads to the preferred zone', () => {
+    let router = new Router(values, 1, {zones: zones, preferredZone: 'us-east-1a'});
+    expect(router.localCount()).to.equal(2);
+    for(let i = 0; i < 50; i++) {
+      expect(['a1', 'a2']).to.include(router.nextAny(null));
+    }
+  });
+
+  it('retries in the preferred zone before other zones', () => {
+    let router = new Router(values, 1, {zones: zones, preferredZone: 'us-east-1a'});
+    for(let i = 0; i < 20; i++) {
+      expect(router.nextAny('a1')).to.equal('a2');
+    }
+  });
+
+  it('falls back to other zones when the only local entry failed', () => {
+    let router = new Router(values, 1, {zones: zones, preferredZone: 'us-east-1b'});
+    for(let i = 0; i < 20; i++) {
+      expect(['a1', 'a2', 'c1']).to.include(router.nextAny('b1'));
+    }
+  });
+
+  it('routes to all entries without a local one', () => {
+    let router = new Router(values, 1, {zones: zones, preferredZone: 'us-west-2a'});
+    let seen = new Set();
+    for(let i = 0; i < 200; i++) {
+      seen.add(router.nextAny(null));
+    }
+    expect(Array.from(seen).sort()).to.deep.equal(values.slice().sort());
+  });
+
+  it('keeps writes on the leaders regardless of the zone', () => {
+    let router = new Router(values, 1, {zones: zones, preferredZone: 'us-east-1b'});
+    expect(router.nextLeader(null)).to.equal('a1');
+  });
+
+  it('counts the routes per zone', () => {
+    let router = new Router(values, 1, {zones: ['us-east-1a', 'us-east-1a', 'us-east-1b', undefined]});
+    expect(router.zoneCounts()).to.deep.equal({'us-east-1a': 2, 'us-east-1b': 1, 'unknown': 1});
+  });
+
+  it('peeks at an available entry without acquiring it', () => {
+    let admission = {
+      isAvailable: (value) => value !== 'a2',
+      tryAcquire: () => {
+        throw new Error('peekAny must not acquire');
+      },
+    };
+    let router = new Router(values, 1, {zones: zones, preferredZone: 'us-east-1a', admission: admission});
+    for(let i = 0; i < 20; i++) {
+      expect(router.peekAny()).to.equal('a1');
+    }
+  });
+
+  it('rejects zones that do not match the routes', () => {
+    expect(() => new Router(values, 1, {zones: ['us-east-1a']})).to.throw(/zones must match routes/);
+  });
+});
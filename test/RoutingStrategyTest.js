@@ -0,0 +1,172 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const Cluster = require('../src/Cluster');
+const DaxClientError = require('../src/DaxClientError');
+const DaxErrorCode = require('../src/DaxErrorCode');
+const {RoutingStrategy, RouteStats, RoundRobinStrategy, LeastOutstandingStrategy, EwmaLatencyStrategy,
+  PowerOfTwoChoicesStrategy} = require('../src/RoutingStrategy');
+
+function countPicks(strategy, values, stats, n) {
+  let counts = {};
+  for(let i = 0; i < n; i++) {
+    let value = strategy.pick(values, null, stats);
+    counts[value.name] = (counts[value.name] || 0) + 1;
+  }
+  return counts;
+}
+
+describe('RoutingStrategy', () => {
+  // route stats are kept per client object.
+  const a = {name: 'a'};
+  const b = {name: 'b'};
+  const c = {name: 'c'};
+  const values = [a, b, c];
+
+  it('creates the strategies by name', () => {
+    expect(RoutingStrategy.create('ewmaLatency')).to.be.an.instanceof(EwmaLatencyStrategy);
+    expect(RoutingStrategy.create('leastOutstanding')).to.be.an.instanceof(LeastOutstandingStrategy);
+    let custom = {pick: (vs) => vs[0]};
+    expect(RoutingStrategy.create(custom)).to.equal(custom);
+    expect(() => RoutingStrategy.create('fastest')).to.throw(/Unknown routing strategy/);
+  });
+
+  it('cycles through the entries with roundRobin, skipping prev', () => {
+    let strategy = new RoundRobinStrategy();
+    expect([0, 1, 2, 3].map(() => strategy.pick(values, null))).to.deep.equal([a, b, c, a]);
+    expect(strategy.pick(values, b)).to.equal(c);
+  });
+
+  it('picks the entry with the fewest requests in flight', () => {
+    let stats = new RouteStats();
+    stats.begin(a);
+    stats.begin(a);
+    stats.begin(c);
+    expect(new LeastOutstandingStrategy().pick(values, null, stats)).to.equal(b);
+    expect(new LeastOutstandingStrategy().pick(values, b, stats)).to.equal(c);
+  });
+
+  it('picks the entry with the lowest latency scaled by its load', () => {
+    let stats = new RouteStats();
+    stats.begin(a);
+    stats.end(a, 10);
+    stats.begin(b);
+    stats.end(b, 4);
+    stats.begin(c);
+    stats.end(c, 6);
+    let strategy = new EwmaLatencyStrategy();
+    expect(strategy.pick(values, null, stats)).to.equal(b);
+    // 4 * 2 requests in flight is more than 6 * 1.
+    stats.begin(b);
+    expect(strategy.pick(values, null, stats)).to.equal(c);
+  });
+
+  it('counts unmeasured entries as average rather than fastest', () => {
+    let stats = new RouteStats();
+    stats.begin(a);
+    stats.end(a, 4);
+    stats.begin(b);
+    stats.end(b, 8);
+    let counts = countPicks(new EwmaLatencyStrategy(), values, stats, 100);
+    expect(counts).to.deep.equal({a: 100});
+
+    // once a is busy, the unmeasured c at the mean of 6 beats it.
+    stats.begin(a);
+    expect(new EwmaLatencyStrategy().pick(values, null, stats)).to.equal(c);
+  });
+
+  it('spreads picks by load when nothing is measured yet', () => {
+    let stats = new RouteStats();
+    stats.begin(a);
+    stats.begin(b);
+    expect(new EwmaLatencyStrategy().pick(values, null, stats)).to.equal(c);
+  });
+
+  it('picks the less loaded of two entries with powerOfTwoChoices', () => {
+    let stats = new RouteStats();
+    stats.begin(a);
+    stats.begin(a);
+    let counts = countPicks(new PowerOfTwoChoicesStrategy(), [a, b], stats, 20);
+    expect(counts).to.deep.equal({b: 20});
+  });
+
+  describe('RouteStats', () => {
+    it('keeps a moving average of the latencies', () => {
+      let stats = new RouteStats();
+      stats.begin(a);
+      stats.end(a, 10);
+      stats.begin(a);
+      stats.end(a, 20);
+      expect(stats.get(a)).to.deep.equal({inFlight: 0, ewma: 13, samples: 2});
+    });
+
+    it('penalizes the latency of failed requests', () => {
+      let stats = new RouteStats();
+      stats.begin(a);
+      stats.end(a, 10);
+      stats.begin(a);
+      stats.fail(a, 1);
+      expect(stats.get(a).ewma).to.equal(13);
+    });
+
+    it('records nothing for cancelled requests', () => {
+      let stats = new RouteStats();
+      stats.begin(a);
+      stats.cancel(a);
+      expect(stats.get(a)).to.deep.equal({inFlight: 0, ewma: 0, samples: 0});
+    });
+
+    it('seeds only clients without samples', () => {
+      let stats = new RouteStats();
+      stats.seed(a, 5);
+      expect(stats.get(a).ewma).to.equal(5);
+      stats.begin(a);
+      stats.end(a, 10);
+      stats.seed(a, 1);
+      expect(stats.get(a).ewma).to.equal(10);
+    });
+  });
+
+  describe('Cluster.trackRequest', () => {
+    let cluster;
+    beforeEach(() => {
+      cluster = new Cluster({endpoints: ['localhost:8111'], region: 'us-east-1',
+        credentials: {accessKeyId: 'AK', secretAccessKey: 'SK'}}, null);
+    });
+
+    it('records the latency of successful requests', () => {
+      return cluster.trackRequest(a, () => Promise.resolve('ok')).then((result) => {
+        expect(result).to.equal('ok');
+        expect(cluster._routeStats.get(a).samples).to.equal(1);
+        expect(cluster._routeStats.get(a).inFlight).to.equal(0);
+      });
+    });
+
+    it('penalizes node failures and ignores caller errors', () => {
+      let stats = cluster._routeStats;
+      let connectionError = new DaxClientError('reset', DaxErrorCode.Connection);
+      let validationError = new DaxClientError('bad key', DaxErrorCode.Validation, false);
+      return cluster.trackRequest(a, () => Promise.reject(connectionError)).catch((err) => {
+        expect(err).to.equal(connectionError);
+        expect(stats.get(a).samples).to.equal(1);
+        return cluster.trackRequest(b, () => Promise.reject(validationError));
+      }).catch((err) => {
+        expect(err).to.equal(validationError);
+        expect(stats.get(b)).to.deep.equal({inFlight: 0, ewma: 0, samples: 0});
+      });
+    });
+  });
+});
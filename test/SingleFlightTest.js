@@ -0,0 +1,138 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const DaxErrorCode = require('../src/DaxErrorCode');
+const {Metrics} = require('../src/Metrics');
+const RequestContext = require('../src/RequestContext');
+const SingleFlight = require('../src/SingleFlight');
+const {fakeDaxClient} = require('./helpers/FakeCluster');
+
+/**
+ * A read answering after 20ms with the key it was given, unless its context is aborted first.
+ */
+function slowRead() {
+  let read = {calls: 0, contexts: []};
+  read.call = (params, context) => new Promise((resolve, reject) => {
+    read.calls++;
+    read.contexts.push(context);
+    context.onAbort(reject);
+    setTimeout(() => resolve({Item: {k: params.Key.k, b: {B: Buffer.from('x')}}}), 20);
+  });
+  return read;
+}
+
+describe('SingleFlight', () => {
+  let metrics;
+  let flights;
+  let read;
+
+  beforeEach(() => {
+    metrics = Metrics.create(true);
+    flights = new SingleFlight({}, metrics);
+    read = slowRead();
+  });
+
+  const params = (k, extra) => Object.assign({TableName: 't', Key: {k: {S: k}}}, extra);
+  const run = (p, context) => flights.run('getItem', p, context || new RequestContext('getItem'), read.call);
+
+  it('is not created without a setting', () => {
+    expect(SingleFlight.create(undefined, metrics)).to.be.null;
+    expect(SingleFlight.create(true, metrics)).to.be.an.instanceof(SingleFlight);
+  });
+
+  it('only coalesces reads', () => {
+    expect(() => new SingleFlight({operations: ['putItem']}, metrics)).to.throw(/Only reads can be coalesced/);
+  });
+
+  it('shares one request among identical reads, giving each caller a copy', () => {
+    return Promise.all([run(params('a')), run({Key: {k: {S: 'a'}}, TableName: 't'})]).then((results) => {
+      expect(read.calls).to.equal(1);
+      expect(results[0]).to.deep.equal(results[1]);
+      expect(results[0].Item).to.not.equal(results[1].Item);
+      expect(results[0].Item.b.B).to.not.equal(results[1].Item.b.B);
+      expect(metrics.snapshot().counters).to.deep.include({name: 'dax.coalesced', tags: {operation: 'getItem'}, value: 1});
+    });
+  });
+
+  it('sends reads that differ in any parameter', () => {
+    return Promise.all([run(params('a')), run(params('b')), run(params('a', {ConsistentRead: true}))]).then(() => {
+      expect(read.calls).to.equal(3);
+    });
+  });
+
+  it('sends reads once the identical one completed', () => {
+    return run(params('a')).then(() => run(params('a'))).then(() => {
+      expect(read.calls).to.equal(2);
+    });
+  });
+
+  it('runs the operations that are not coalesced as is', () => {
+    let context = new RequestContext('query');
+    let query = (p, ctx) => Promise.resolve({ctx: ctx});
+    return Promise.all([flights.run('query', {}, context, query), flights.run('query', {}, context, query)]).then((results) => {
+      expect(results[0].ctx).to.equal(context);
+    });
+  });
+
+  it('keeps the shared request running for the callers left when one aborts', () => {
+    let aborted = new RequestContext('getItem');
+    let first = run(params('a'), aborted);
+    let second = run(params('a'));
+    aborted.abort();
+    return Promise.all([first.then(() => expect.fail('resolved'), (err) => err.code), second]).then((results) => {
+      expect(results[0]).to.equal(DaxErrorCode.RequestAborted);
+      expect(results[1].Item.k.S).to.equal('a');
+      expect(read.calls).to.equal(1);
+      expect(read.contexts[0].aborted).to.be.false;
+    });
+  });
+
+  it('aborts the shared request once all of its callers left', () => {
+    let context = new RequestContext('getItem');
+    let call = run(params('a'), context);
+    context.abort();
+    return call.then(() => expect.fail('resolved'), (err) => {
+      expect(err.code).to.equal(DaxErrorCode.RequestAborted);
+      expect(read.contexts[0].aborted).to.be.true;
+      // the next identical read is sent again.
+      return run(params('a'));
+    }).then(() => {
+      expect(read.calls).to.equal(2);
+    });
+  });
+
+  it('shares the error of the request with every caller', () => {
+    let failing = (p, context) => Promise.reject(new Error('boom'));
+    let context = new RequestContext('getItem');
+    let calls = [flights.run('getItem', params('a'), context, failing), flights.run('getItem', params('a'), context, failing)];
+    return Promise.all(calls.map((call) => call.then(() => expect.fail('resolved'), (err) => err.message))).then((messages) => {
+      expect(messages).to.deep.equal(['boom', 'boom']);
+    });
+  });
+
+  describe('in AmazonDaxClient', () => {
+    it('coalesces identical getItem calls', () => {
+      let node = {getItem: read.call};
+      let client = fakeDaxClient(node, {singleFlight: true, metrics: true});
+      let get = () => client.getItem(params('a')).promise();
+      return Promise.all([get(), get(), get()]).then((results) => {
+        expect(read.calls).to.equal(1);
+        expect(results.map((data) => data.Item.k.S)).to.deep.equal(['a', 'a', 'a']);
+        expect(client.metrics().counters).to.deep.include({name: 'dax.coalesced', tags: {operation: 'getItem'}, value: 2});
+      });
+    });
+  });
+});
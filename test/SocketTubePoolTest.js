@@ -0,0 +1,262 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const net = require('net');
+const DaxErrorCode = require('../src/DaxErrorCode');
+const {Metrics} = require('../src/Metrics');
+const {SocketTubePool} = require('../src/Tube');
+
+const CREDENTIALS = {resolvePromise: () => Promise.resolve({accessKeyId: 'AK', secretAccessKey: 'SK', sessionToken: null})};
+
+describe('SocketTubePool', () => {
+  let server;
+  let sockets;
+  let pool;
+
+  /**
+   * Starts a server that never answers and a pool connected to it, with the given pool options
+   * and idle timeout. With halfOpen, the server never closes its side of the connections.
+   */
+  function start(halfOpen, options, idleTimeout) {
+    sockets = [];
+    server = net.createServer({allowHalfOpen: !!halfOpen}, (socket) => {
+      sockets.push(socket);
+      socket.bytesReceived = 0;
+      socket.on('error', () => {});
+      socket.on('data', (data) => {
+        socket.bytesReceived += data.length;
+      });
+    });
+    return new Promise((resolve) => server.listen(0, '127.0.0.1', resolve)).then(() => {
+      pool = new SocketTubePool('127.0.0.1', server.address().port, CREDENTIALS, 'us-east-1', idleTimeout || 5000, 1000, null, null,
+        false, options);
+    });
+  }
+
+  afterEach(() => {
+    pool.close();
+    return pool.whenClosed(100).then(() => new Promise((resolve) => {
+      sockets.forEach((socket) => socket.destroy());
+      server.close(resolve);
+    }));
+  });
+
+  describe('whenClosed', () => {
+    it('resolves once every connection is closed', () => {
+      return start().then(() => Promise.all([pool.alloc(), pool.alloc()])).then((tubes) => {
+        pool.recycle(tubes[0]);
+        pool.recycle(tubes[1]);
+        pool.close();
+        return pool.whenClosed(1000).then(() => {
+          expect(tubes.every((tube) => tube.socket.destroyed)).to.be.true;
+        });
+      });
+    });
+
+    it('destroys the connections still open after the timeout', () => {
+      let started;
+      return start(true).then(() => pool.alloc()).then((tube) => {
+        pool.recycle(tube);
+        pool.close();
+        started = Date.now();
+        return pool.whenClosed(50).then(() => {
+          expect(Date.now() - started).to.be.within(40, 1000);
+          expect(tube.socket.destroyed).to.be.true;
+        });
+      });
+    });
+  });
+
+  describe('warm', () => {
+    beforeEach(() => start());
+
+    it('opens and authenticates the missing connections', () => {
+      return pool.warm(2).then((opened) => {
+        expect(opened).to.equal(2);
+        return pool.warm(3);
+      }).then((opened) => {
+        expect(opened).to.equal(1);
+        expect(pool.stats()).to.include({size: 3, idle: 3, busy: 0});
+        // let the server see the last bytes.
+        return new Promise((resolve) => setTimeout(resolve, 50));
+      }).then(() => {
+        expect(sockets.length).to.equal(3);
+        expect(sockets.every((socket) => socket.bytesReceived > 0)).to.be.true;
+      });
+    });
+
+    it('releases the connections it holds when one fails', () => {
+      let err = new Error('connect failed');
+      let alloc = pool.alloc.bind(pool);
+      let allocs = 0;
+      pool.alloc = () => {
+        if(allocs++ === 0) {
+          return Promise.reject(err);
+        }
+        return new Promise((resolve) => setTimeout(resolve, 20)).then(() => alloc());
+      };
+      return pool.warm(4).then(() => expect.fail('resolved'), (e) => {
+        expect(e).to.equal(err);
+        expect(pool.stats()).to.include({size: 3, idle: 3, busy: 0});
+      });
+    });
+  });
+
+  describe('limits', () => {
+    it('rejects invalid limits', () => {
+      return start().then(() => {
+        for(let options of [{maxConnections: -1}, {maxPendingConnects: -1}, {maxQueuedRequests: -1}]) {
+          expect(() => new SocketTubePool('127.0.0.1', 1, CREDENTIALS, 'us-east-1', 5000, 1000, null, null, false, options))
+            .to.throw(/must be positive/);
+        }
+      });
+    });
+
+    it('makes requests wait for a free connection once maxConnections are open', () => {
+      let tubes;
+      let third;
+      return start(false, {maxConnections: 2}).then(() => Promise.all([pool.alloc(), pool.alloc()])).then((allocated) => {
+        tubes = allocated;
+        third = pool.alloc();
+        expect(pool.stats()).to.deep.equal({size: 2, idle: 0, busy: 2, pending: 0, queued: 1});
+        pool.recycle(tubes[0]);
+        return third;
+      }).then((tube) => {
+        expect(tube).to.equal(tubes[0]);
+        expect(pool.stats()).to.include({size: 2, queued: 0});
+        pool.recycle(tube);
+        pool.recycle(tubes[1]);
+        // let the server see the connections.
+        return new Promise((resolve) => setTimeout(resolve, 50));
+      }).then(() => {
+        expect(sockets.length).to.equal(2);
+      });
+    });
+
+    it('fails the requests over maxQueuedRequests right away', () => {
+      let metrics = Metrics.create(true);
+      let tubes;
+      let queued;
+      return start(false, {maxConnections: 1, maxQueuedRequests: 1, metrics: metrics}).then(() => pool.alloc()).then((tube) => {
+        tubes = [tube];
+        queued = pool.alloc();
+        return pool.alloc();
+      }).then(() => expect.fail('resolved'), (err) => {
+        expect(err.code).to.equal(DaxErrorCode.PoolExhausted);
+        expect(err.retryable).to.be.false;
+        expect(metrics.snapshot().counters).to.deep.include({name: 'dax.pool.exhausted', tags: {node: '127.0.0.1:' + server.address().port}, value: 1});
+        pool.recycle(tubes[0]);
+        return queued;
+      }).then((tube) => {
+        pool.recycle(tube);
+      });
+    });
+
+    it('fails a request waiting longer than its queue timeout', () => {
+      let started;
+      return start(false, {maxConnections: 1}).then(() => pool.alloc()).then((tube) => {
+        started = Date.now();
+        return pool.alloc(50).then(() => expect.fail('resolved'), (err) => {
+          expect(err.code).to.equal(DaxErrorCode.PoolExhausted);
+          expect(err.retryable).to.be.false;
+          expect(Date.now() - started).to.be.within(40, 900);
+          expect(pool.stats()).to.include({queued: 0});
+          pool.recycle(tube);
+        });
+      });
+    });
+
+    it('fails the waiting requests when no connection can be opened', () => {
+      let refused;
+      return start().then(() => new Promise((resolve) => {
+        // a port nothing listens on.
+        let probe = net.createServer().listen(0, '127.0.0.1', () => {
+          let port = probe.address().port;
+          probe.close(() => resolve(port));
+        });
+      })).then((port) => {
+        refused = new SocketTubePool('127.0.0.1', port, CREDENTIALS, 'us-east-1', 5000, 5000, null, null, false, {maxPendingConnects: 1});
+        let started = Date.now();
+        let fail = () => refused.alloc().then(() => expect.fail('resolved'), (err) => err.code);
+        return Promise.all([fail(), fail()]).then((codes) => {
+          expect(codes).to.deep.equal([DaxErrorCode.Connection, DaxErrorCode.Connection]);
+          expect(Date.now() - started).to.be.below(1000);
+          refused.close();
+        });
+      });
+    });
+  });
+
+  describe('minIdleConnections', () => {
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    it('opens the missing idle connections and keeps them past the idle timeout', () => {
+      return start(false, {minIdleConnections: 3}, 50).then(() => pool.maintain()).then(() => {
+        expect(pool.stats()).to.include({size: 3, idle: 3});
+        return wait(200);
+      }).then(() => {
+        expect(pool.stats()).to.include({size: 3, idle: 3});
+        expect(sockets.length).to.equal(3);
+      });
+    });
+
+    it('authenticates again the idle connections due for it', () => {
+      let tube;
+      return start(false, {minIdleConnections: 2}).then(() => pool.maintain()).then(() => {
+        tube = pool._headTube;
+        tube.invalidateAuth();
+        expect(tube.needsReauth()).to.be.true;
+        return pool.maintain();
+      }).then(() => {
+        expect(tube.needsReauth()).to.be.false;
+        expect(pool.stats()).to.include({size: 2, idle: 2});
+      });
+    });
+
+    it('closes the idle connections over the minimum after the idle timeout', () => {
+      return start(false, {minIdleConnections: 2}, 50).then(() => pool.maintain()).then(() => wait(120)).then(() => {
+        // more are idle than needed, e.g. after a burst.
+        pool._minIdleConnections = 1;
+        return wait(120);
+      }).then(() => {
+        expect(pool.stats()).to.include({size: 1, idle: 1});
+      });
+    });
+
+    it('opens the idle connections again after a reset', () => {
+      return start(false, {minIdleConnections: 2}).then(() => pool.maintain()).then(() => pool.alloc()).then((tube) => {
+        pool.reset(tube);
+        return wait(100);
+      }).then(() => {
+        expect(pool.stats()).to.include({idle: 2, pending: 0});
+        expect(sockets.length).to.equal(4);
+      });
+    });
+
+    it('runs one maintenance at a time, and none once closed', () => {
+      return start(false, {minIdleConnections: 2}).then(() => {
+        let running = pool.maintain();
+        expect(pool.maintain()).to.equal(running);
+        return running;
+      }).then(() => {
+        pool.close();
+        return pool.maintain();
+      }).then(() => {
+        expect(pool.stats()).to.include({idle: 0});
+      });
+    });
+  });
+});
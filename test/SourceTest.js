@@ -0,0 +1,146 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const dns = require('dns');
+const sinon = require('sinon');
+const Cluster = require('../src/Cluster');
+const DaxClientError = require('../src/DaxClientError');
+const DaxErrorCode = require('../src/DaxErrorCode');
+const DaxClientEvents = require('../src/DaxClientEvents');
+const Source = require('../src/Source');
+
+/**
+ * Records what a source passes to its cluster.
+ */
+class RecordingCluster {
+  constructor() {
+    this.updates = [];
+    this.events = [];
+    this.errors = [];
+    this._logger = {error: (message, meta) => this.errors.push(message)};
+  }
+
+  update(endpoints) {
+    this.updates.push(endpoints);
+  }
+
+  notify(event, detail) {
+    this.events.push([event, detail]);
+  }
+}
+
+function refresh(source) {
+  return new Promise((resolve) => source.refresh(resolve));
+}
+
+// the address, port and role of the endpoints.
+const summary = (endpoints) => endpoints.map((ep) => [ep.hostname, ep.address, ep.port, ep.role]);
+
+describe('Source', () => {
+  let cluster;
+  let sandbox;
+
+  beforeEach(() => {
+    cluster = new RecordingCluster();
+    sandbox = sinon.sandbox.create();
+  });
+
+  afterEach(() => sandbox.restore());
+
+  it('converts nodes to endpoints, the first one being the leader unless one is marked', () => {
+    expect(summary(Source.toEndpoints(['10.0.0.1:8111', {host: 'dax.local', port: '8112', zone: 'z1'}]))).to.deep.equal([
+      ['10.0.0.1', '10.0.0.1', 8111, 1],
+      ['dax.local', null, 8112, 2],
+    ]);
+    let endpoints = Source.toEndpoints([{host: 'a', port: 1}, {address: 'b', port: 2, role: 'leader', nodeId: 'n2'}]);
+    expect(summary(endpoints)).to.deep.equal([['a', null, 1, 2], ['b', null, 2, 1]]);
+    expect(endpoints[1].nodeId).to.equal('n2');
+    expect(endpoints[0].nodeId).to.equal('a:1');
+  });
+
+  it('rejects missing and invalid nodes', () => {
+    expect(() => Source.toEndpoints([])).to.throw(DaxClientError).with.property('code', DaxErrorCode.NoRoute);
+    expect(() => Source.toEndpoints([{host: 'a'}])).to.throw(DaxClientError).with.property('code', DaxErrorCode.IllegalArgument);
+  });
+
+  it('updates the cluster with static nodes only when they change', () => {
+    let source = Source.attach(Source.static(['127.0.0.1:8111']), cluster);
+    return refresh(source).then((err) => {
+      expect(err).to.be.undefined;
+      return refresh(source);
+    }).then(() => {
+      expect(cluster.updates.length).to.equal(1);
+      expect(summary(cluster.updates[0])).to.deep.equal([['127.0.0.1', '127.0.0.1', 8111, 1]]);
+    });
+  });
+
+  it('calls the function of the source on every refresh', () => {
+    let nodes = [['127.0.0.1:8111'], ['127.0.0.1:8111', '127.0.0.2:8111']];
+    let source = Source.attach(Source.fromFunction(() => Promise.resolve(nodes.shift())), cluster);
+    return refresh(source).then(() => refresh(source)).then(() => {
+      expect(cluster.updates.map((endpoints) => endpoints.length)).to.deep.equal([1, 2]);
+    });
+  });
+
+  it('reports failed refreshes', () => {
+    let err = new Error('no nodes');
+    let source = Source.attach(Source.fromFunction(() => {
+      throw err;
+    }), cluster);
+    return refresh(source).then((e) => {
+      expect(e).to.equal(err);
+      expect(cluster.updates).to.be.empty;
+      expect(cluster.events).to.deep.equal([[DaxClientEvents.RefreshFailed, {reason: 'no nodes', error: err}]]);
+    });
+  });
+
+  it('logs errors thrown by the refresh callback', () => {
+    let source = Source.attach(Source.static(['127.0.0.1:8111']), cluster);
+    let called = new Promise((resolve) => source.refresh(() => {
+      resolve();
+      throw new Error('callback');
+    }));
+    return called.then(() => new Promise((resolve) => setImmediate(resolve))).then(() => {
+      expect(cluster.errors).to.deep.equal(['caught exception in source refresh callback']);
+    });
+  });
+
+  it('looks the nodes up in DNS SRV records, the lowest priority being the leader', () => {
+    let resolveSrv = sandbox.stub(dns, 'resolveSrv').callsFake((name, callback) => callback(null, [
+      {name: '10.0.0.2', port: 8111, priority: 10, weight: 1},
+      {name: '10.0.0.1', port: 8111, priority: 5, weight: 1},
+    ]));
+    let source = Source.attach(Source.fromDnsSrv('_dax._tcp.example'), cluster);
+    return refresh(source).then(() => {
+      expect(resolveSrv.args[0][0]).to.equal('_dax._tcp.example');
+      expect(summary(cluster.updates[0])).to.deep.equal([['10.0.0.1', '10.0.0.1', 8111, 1], ['10.0.0.2', '10.0.0.2', 8111, 2]]);
+    });
+  });
+
+  it('refuses sources without a refresh method, or shared by two clusters', () => {
+    expect(() => Source.attach({}, cluster)).to.throw(DaxClientError).with.property('code', DaxErrorCode.IllegalArgument);
+    expect(() => Source.fromFunction('nodes')).to.throw(DaxClientError);
+    let source = Source.attach(Source.static(['127.0.0.1:8111']), cluster);
+    expect(() => Source.attach(source, new RecordingCluster())).to.throw(/already used by another client/);
+  });
+
+  it('is attached by the cluster of the source setting', () => {
+    let source = {refresh: (callback) => callback(), attach: sinon.spy()};
+    let c = new Cluster({region: 'us-east-1', credentials: {}, source: source}, null);
+    expect(c._source).to.equal(source);
+    expect(source.attach.calledWith(c)).to.be.true;
+  });
+});
@@ -0,0 +1,102 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const crypto = require('crypto');
+const DaxErrorCode = require('../src/DaxErrorCode');
+const TlsOptions = require('../src/TlsOptions');
+const {SocketTubePool} = require('../src/Tube');
+
+const FINGERPRINT = 'AB:'.repeat(31) + 'AB';
+const PUBKEY = Buffer.from('public key of the intermediate');
+const PIN = crypto.createHash('sha256').update(PUBKEY).digest('base64');
+
+/**
+ * Returns a certificate chain as given to checkServerIdentity: the node certificate, issued by an
+ * intermediate, issued by a root that issued itself.
+ */
+function chain() {
+  let root = {subject: {CN: 'root'}, fingerprint256: '11:'.repeat(31) + '11', pubkey: Buffer.from('root')};
+  root.issuerCertificate = root;
+  let intermediate = {subject: {CN: 'intermediate'}, fingerprint256: FINGERPRINT, pubkey: PUBKEY, issuerCertificate: root};
+  return {
+    subject: {CN: 'dax.example.com'},
+    subjectaltname: 'DNS:dax.example.com',
+    fingerprint256: '22:'.repeat(31) + '22',
+    pubkey: Buffer.from('node'),
+    issuerCertificate: intermediate,
+  };
+}
+
+describe('TlsOptions', () => {
+  it('rejects invalid versions, fingerprints and pins', () => {
+    for(let options of [{minVersion: 'SSLv3'}, {fingerprints: ['AB:CD']}, {publicKeyPins: ['not base64']}]) {
+      expect(() => new TlsOptions(options)).to.throw().with.property('code', DaxErrorCode.IllegalArgument);
+    }
+  });
+
+  it('is configured by any handshake setting, not by session resumption', () => {
+    expect(TlsOptions.create().configured()).to.be.false;
+    expect(TlsOptions.create({sessionResumption: false}).configured()).to.be.false;
+    expect(TlsOptions.create({minVersion: 'TLSv1.2'}).configured()).to.be.true;
+    expect(TlsOptions.create({publicKeyPins: [PIN]}).configured()).to.be.true;
+    let options = TlsOptions.create({ca: 'pem'});
+    expect(TlsOptions.create(options)).to.equal(options);
+  });
+
+  it('passes the settings and the session to tls.connect()', () => {
+    let tls = TlsOptions.create({ca: 'pem', minVersion: 'TLSv1.2', ciphers: 'ECDHE-RSA-AES128-GCM-SHA256'});
+    let options = tls.connectOptions('10.0.0.1', 8111, 'dax.example.com', false, 'session');
+    expect(options).to.include({host: '10.0.0.1', port: 8111, ca: 'pem', minVersion: 'TLSv1.2',
+      ciphers: 'ECDHE-RSA-AES128-GCM-SHA256', session: 'session'});
+    let fresh = TlsOptions.create({sessionResumption: false}).connectOptions('10.0.0.1', 8111, 'dax.example.com', false, 'session');
+    expect(fresh).to.not.have.property('session');
+  });
+
+  it('accepts a chain with any certificate matching a fingerprint or public key pin', () => {
+    expect(TlsOptions.create().checkPins(chain())).to.be.undefined;
+    expect(TlsOptions.create({fingerprints: [FINGERPRINT.replace(/:/g, '').toLowerCase()]}).checkPins(chain())).to.be.undefined;
+    expect(TlsOptions.create({publicKeyPins: [PIN]}).checkPins(chain())).to.be.undefined;
+  });
+
+  it('rejects a chain matching none of the pins', () => {
+    let other = crypto.createHash('sha256').update('other').digest('base64');
+    let err = TlsOptions.create({fingerprints: ['CD'.repeat(32)], publicKeyPins: [other]}).checkPins(chain());
+    expect(err).to.be.an.instanceof(Error);
+    expect(err.code).to.equal('ERR_TLS_CERT_PIN_MISMATCH');
+  });
+
+  it('checks the hostname before the pins, unless hostname verification is skipped', () => {
+    let tls = TlsOptions.create({publicKeyPins: [PIN]});
+    let check = (host, skip) => tls.connectOptions('10.0.0.1', 8111, host, skip).checkServerIdentity(host, chain());
+    expect(check('dax.example.com', false)).to.be.undefined;
+    expect(check('other.example.com', false)).to.have.property('code', 'ERR_TLS_CERT_ALTNAME_INVALID');
+    expect(check('other.example.com', true)).to.be.undefined;
+    let pinned = TlsOptions.create({publicKeyPins: [crypto.createHash('sha256').update('other').digest('base64')]});
+    expect(pinned.connectOptions('10.0.0.1', 8111, 'dax.example.com', true).checkServerIdentity('dax.example.com', chain()))
+      .to.have.property('code', 'ERR_TLS_CERT_PIN_MISMATCH');
+  });
+
+  it('warns when given to a pool of an unencrypted cluster', () => {
+    let warnings = [];
+    let logger = {warn: (message) => warnings.push(message)};
+    let newPool = (tls) => new SocketTubePool('127.0.0.1', 8111, null, 'us-east-1', 5000, 1000, null, null, false,
+      {logger: logger, tls: tls});
+    newPool({sessionResumption: false}).close();
+    expect(warnings).to.deep.equal([]);
+    newPool({publicKeyPins: [PIN]}).close();
+    expect(warnings).to.deep.equal(['TLS settings for unencrypted clusters will have no effect.']);
+  });
+});
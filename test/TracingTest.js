@@ -0,0 +1,131 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const expect = require('chai').expect;
+const DaxClientError = require('../src/DaxClientError');
+const DaxErrorCode = require('../src/DaxErrorCode');
+const Tracing = require('../src/Tracing');
+const {fakeDaxClient} = require('./helpers/FakeCluster');
+
+class FakeSpan {
+  constructor(name, options, parent) {
+    this.name = name;
+    this.attributes = Object.assign({}, options.attributes);
+    this.parent = parent;
+    this.status = null;
+    this.exceptions = [];
+    this.ended = 0;
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = value;
+  }
+
+  setStatus(status) {
+    this.status = status;
+  }
+
+  recordException(err) {
+    this.exceptions.push(err);
+  }
+
+  end() {
+    this.ended++;
+  }
+}
+
+class FakeTracer {
+  constructor() {
+    this.spans = [];
+  }
+
+  startSpan(name, options, parent) {
+    let span = new FakeSpan(name, options, parent);
+    this.spans.push(span);
+    return span;
+  }
+}
+
+// the parts of @opentelemetry/api used to parent attempt spans.
+const API = {
+  context: {active: () => ({})},
+  trace: {setSpan: (context, span) => ({span: span})},
+};
+
+describe('Tracing', () => {
+  let tracer;
+  let tracing;
+
+  beforeEach(() => {
+    tracer = new FakeTracer();
+    tracing = Tracing.create(tracer, API);
+  });
+
+  it('requires a tracer with a startSpan method', () => {
+    expect(Tracing.create(null).enabled).to.be.false;
+    expect(() => Tracing.create({})).to.throw(DaxClientError).with.property('code', DaxErrorCode.IllegalArgument);
+  });
+
+  it('traces a call and its attempts as child spans', () => {
+    let node = {
+      address: () => ({host: 'node1', port: 8111}),
+      getItem: () => Promise.resolve({Item: {}, ConsumedCapacity: {TableName: 't', CapacityUnits: 0.5}}),
+    };
+    let client = fakeDaxClient(node, {tracer: tracer, tracingApi: API});
+    return client.getItem({TableName: 't', Key: {k: {S: 'x'}}}).promise().then(() => {
+      let call = tracer.spans.find((s) => s.name === 'DAX.getItem');
+      let attempt = tracer.spans.find((s) => s.name === 'DAX.getItem attempt');
+      expect(call.attributes).to.include({'db.system': 'dynamodb', 'db.operation': 'getItem', 'rpc.system': 'dax'});
+      expect(call.attributes['aws.dynamodb.table_names']).to.deep.equal(['t']);
+      expect(call.attributes['aws.dynamodb.consumed_capacity']).to.deep.equal(['{"TableName":"t","CapacityUnits":0.5}']);
+      expect(attempt.attributes).to.include({'dax.attempt': 1, 'net.peer.name': 'node1', 'net.peer.port': 8111});
+      expect(attempt.parent).to.deep.equal({span: call});
+      expect(call.ended).to.equal(1);
+      expect(attempt.ended).to.equal(1);
+    });
+  });
+
+  it('records the error of a failed call', () => {
+    let err = new DaxClientError('throttled', DaxErrorCode.Throttling, false);
+    return tracing.traceCall('query', {TableName: 't'}, null, () => Promise.reject(err)).then(() => {
+      throw new Error('expected an error');
+    }, (e) => {
+      let span = tracer.spans[0];
+      expect(e).to.equal(err);
+      expect(span.attributes).to.include({'error.type': DaxErrorCode.Throttling, 'dax.error.code': DaxErrorCode.Throttling});
+      expect(span.exceptions).to.deep.equal([err]);
+      expect(span.status).to.deep.equal({code: 2, message: err.message});
+      expect(span.ended).to.equal(1);
+    });
+  });
+
+  it('ends the span of a call that throws', () => {
+    let err = new Error('sync');
+    expect(() => tracing.traceCall('scan', {TableName: 't'}, null, () => {
+      throw err;
+    })).to.throw(err);
+    let span = tracer.spans[0];
+    expect(span.exceptions).to.deep.equal([err]);
+    expect(span.status).to.deep.equal({code: 2, message: 'sync'});
+    expect(span.ended).to.equal(1);
+  });
+
+  it('names the tables of batch and transaction requests', () => {
+    tracing.traceCall('batchGetItem', {RequestItems: {a: {}, b: {}}}, null, () => Promise.resolve());
+    tracing.traceCall('transactWriteItems', {TransactItems: [{Put: {TableName: 'a'}}, {Delete: {TableName: 'a'}}, {Update: {TableName: 'c'}}]},
+      null, () => Promise.resolve());
+    expect(tracer.spans.map((s) => s.attributes['aws.dynamodb.table_names'])).to.deep.equal([['a', 'b'], ['a', 'c']]);
+  });
+});
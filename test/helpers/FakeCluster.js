@@ -0,0 +1,135 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+const EventEmitter = require('events');
+const net = require('net');
+const AmazonDaxClient = require('../../src/AmazonDaxClient');
+const DaxClient = require('../../src/DaxClient');
+const {SocketTubePool} = require('../../src/Tube');
+
+const CREDENTIALS = {accessKeyId: 'AK', secretAccessKey: 'SK', sessionToken: null};
+
+/**
+ * Stands in for a Cluster: routes every read to client and every write to leader, which are
+ * DaxClients or fakes with the same methods.
+ */
+class FakeCluster extends EventEmitter {
+  constructor(client, leader) {
+    super();
+    this.client = client;
+    this.leader = leader || client;
+    this._leaderSessionId = 1;
+  }
+
+  startup() {}
+
+  startupComplete() {
+    return true;
+  }
+
+  readClient() {
+    return this.client;
+  }
+
+  leaderClient() {
+    return this.leader;
+  }
+
+  metadataClient() {
+    return this.client;
+  }
+
+  trackRequest(client, request) {
+    return request();
+  }
+
+  leaderCircuitsOpen() {
+    return false;
+  }
+
+  waitForRecovery() {
+    return Promise.resolve();
+  }
+
+  notify(event, detail) {
+    this.emit(event, detail);
+  }
+
+  close() {
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Returns an AmazonDaxClient over a FakeCluster of the given client.
+ */
+function fakeDaxClient(client, config, leader) {
+  let cluster = new FakeCluster(client, leader);
+  return new AmazonDaxClient(Object.assign({region: 'us-east-1', accessKeyId: 'AK', secretAccessKey: 'SK'}, config), cluster);
+}
+
+/**
+ * Starts a TCP server standing in for a node that never answers. Resolves to {server, pool, client},
+ * client being a DaxClient connected to it that knows the key schema of table 't'.
+ */
+function silentNode(poolOptions, requestTimeout) {
+  return new Promise((resolve) => {
+    let server = net.createServer((socket) => {
+      socket.on('error', () => {});
+      socket.on('data', (data) => {
+        server.bytesReceived += data.length;
+      });
+    });
+    server.bytesReceived = 0;
+    server.listen(0, '127.0.0.1', () => {
+      let credentials = {resolvePromise: () => Promise.resolve(CREDENTIALS)};
+      let pool = new SocketTubePool('127.0.0.1', server.address().port, credentials, 'us-east-1', 5000, 1000, null, null, false,
+        poolOptions);
+      let client = new DaxClient(pool, 'us-east-1', null, requestTimeout || 60000);
+      client._keyCache.put('t', [{AttributeName: 'k', AttributeType: 'S'}]);
+      resolve({server: server, pool: pool, client: client});
+    });
+  });
+}
+
+/**
+ * A minimal AbortSignal, for the Node.js versions without AbortController.
+ */
+class FakeAbortSignal extends EventEmitter {
+  constructor() {
+    super();
+    this.aborted = false;
+  }
+
+  addEventListener(event, listener) {
+    this.on(event, listener);
+  }
+
+  removeEventListener(event, listener) {
+    this.removeListener(event, listener);
+  }
+
+  abort() {
+    this.aborted = true;
+    this.emit('abort');
+  }
+}
+
+module.exports = {
+  FakeCluster: FakeCluster,
+  FakeAbortSignal: FakeAbortSignal,
+  fakeDaxClient: fakeDaxClient,
+  silentNode: silentNode,
+};
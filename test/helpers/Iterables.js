@@ -0,0 +1,40 @@
+/*
+ * Copyright 2017 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"). You may not
+ * use this file except in compliance with the License. A copy of the License
+ * is located at
+ *
+ *    http://aws.amazon.com/apache2.0/
+ *
+ * or in the "license" file accompanying this file. This file is distributed on
+ * an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+ * express or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+'use strict';
+
+/**
+ * Resolves to the values of an async iterable, stopping after max of them if given.
+ */
+function collect(iterable, max) {
+  let iterator = iterable[Symbol.asyncIterator]();
+  let values = [];
+  let next = () => {
+    if(values.length === max) {
+      return iterator.return().then(() => values);
+    }
+    return iterator.next().then((result) => {
+      if(result.done) {
+        return values;
+      }
+      values.push(result.value);
+      return next();
+    });
+  };
+  return next();
+}
+
+module.exports = {
+  collect: collect,
+};